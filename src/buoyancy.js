@@ -0,0 +1,146 @@
+// Floats scene objects on a RippleSimulation, bobbing and tilting them with the water under them and dragging a wake behind the moving ones
+
+import * as THREE from "three"
+
+import { SurfaceQuery } from "./surface-query.js"
+
+const UP = new THREE.Vector3(0, 1, 0)
+
+/**
+ * Floats objects (a duck, a leaf, a boat from loadModel...) on the water
+ * the objects must be direct children of the scene, move them around by setting their position.x/z (for a horizontal water mesh),
+ * the helper takes care of their height and tilt
+ *
+ * Usage:
+ * const buoyancy = new Buoyancy(simulation, waterMesh)
+ * const duck = buoyancy.add(duckModel, { draft: 2 })
+ * duck.heading = Math.PI / 2
+ * // in updateScene, after simulation.update(interval), the wakes are added by the simulation steps
+ * buoyancy.update(interval)
+ */
+export class Buoyancy {
+    /**
+     * @param {RippleSimulation} simulation the simulation to float on
+     * @param {THREE.Mesh} waterMesh the mesh displaying the simulation, its transform maps the simulation to the world
+     * @param {GerstnerWaves} swell optional swell from ocean-waves.js the objects ride on as well
+     */
+    constructor(simulation, waterMesh, swell = null) {
+        this.simulation = simulation
+        this.query = new SurfaceQuery(simulation, waterMesh, swell)
+        // floating objects and their settings, see add()
+        this.bodies = []
+        // the water is read back asynchronously, one request at a time, and the objects follow the latest answer
+        this.pending = false
+        this.latest = null
+        // removes the wakes from the simulation steps, see dispose()
+        this.offBeforeStep = simulation.onBeforeStep((stepIndex, timestep) => this.addWakes(timestep))
+    }
+
+    /**
+     * @param {THREE.Object3D} object the object to float
+     * @param {object} options
+     * @param {number} options.draft how far below the surface the origin of the object sits, in world units
+     * @param {number} options.tilt how much the object follows the slope of the water, 0 keeps it upright
+     * @param {number} options.response [0..1] how much of the way to the surface the object catches up every 1/60 of a second, lower for heavier objects
+     * @param {number} options.wakeRadius radius of the wake in system units, 0 for no wake
+     * @param {number} options.wakeStrength strength of the wake when moving at the simulation's strokeSpeed
+     * @returns the body, its heading (radians around the up axis) can be changed to turn the object
+     */
+    add(object, { draft = 0, tilt = 1, response = 0.5, wakeRadius = 10, wakeStrength = 0.1 } = {}) {
+        const body = {
+            object,
+            draft,
+            tilt,
+            response,
+            wakeRadius,
+            wakeStrength,
+            heading: object.rotation.y,
+            // position on the water at the end of the last wake, in the coordinates of RippleSimulation.disturb
+            lastPoint: null,
+            // seconds of simulation time since the end of the last wake
+            wakeTime: 0,
+        }
+        this.bodies.push(body)
+        return body
+    }
+
+    /**
+     * @param {THREE.Object3D} object an object added with add()
+     */
+    remove(object) {
+        this.bodies = this.bodies.filter((body) => body.object !== object)
+    }
+
+    /**
+     * Stops floating the objects and adding their wakes, the helper can't be used afterwards
+     */
+    dispose() {
+        this.offBeforeStep()
+        this.bodies = []
+    }
+
+    /**
+     * Moves the objects with the water, call it once per frame after RippleSimulation.update()
+     * @param {number} interval time elapsed since the last frame in seconds
+     */
+    update(interval) {
+        if (this.bodies.length === 0) return
+
+        if (!this.pending) {
+            const bodies = [...this.bodies]
+            this.pending = true
+            this.query.queryPoints(bodies.map((body) => body.object.position)).then((samples) => {
+                this.pending = false
+                if (samples !== null) {
+                    this.latest = { bodies, samples }
+                }
+            })
+        }
+
+        if (this.latest !== null) {
+            const target = new THREE.Vector3()
+            const normal = new THREE.Vector3()
+            const orientation = new THREE.Quaternion()
+            const heading = new THREE.Quaternion()
+            this.latest.bodies.forEach((body, i) => {
+                // removed while its sample was on the way
+                if (!this.bodies.includes(body)) return
+                const { position, normal: surfaceNormal } = this.latest.samples[i]
+                // the share of the way caught up depends on the time elapsed, not on the number of frames
+                const catchUp = 1 - Math.pow(1 - body.response, interval * 60)
+
+                // only the height follows the water, the object keeps moving across it
+                target.copy(body.object.position)
+                target.y = position.y - body.draft
+                body.object.position.lerp(target, catchUp)
+
+                normal.copy(UP).lerp(surfaceNormal, body.tilt).normalize()
+                orientation.setFromUnitVectors(UP, normal).multiply(heading.setFromAxisAngle(UP, body.heading))
+                body.object.quaternion.slerp(orientation, catchUp)
+            })
+        }
+    }
+
+    /**
+     * Drags a wake behind the objects that moved since their last one, run at the start of every step so the wakes don't depend on the frame rate
+     * @param {number} timestep duration of the step in seconds
+     */
+    addWakes(timestep) {
+        this.bodies.forEach((body) => {
+            const point = this.query.toSimulation(body.object.position)
+            body.wakeTime += timestep
+            if (body.lastPoint !== null && point.distanceTo(body.lastPoint) <= 1e-3) return
+
+            if (body.wakeRadius > 0 && body.lastPoint !== null) {
+                // the hull pushes the water down as it goes
+                this.simulation.addStroke(body.lastPoint.x, body.lastPoint.y, point.x, point.y, body.wakeTime, {
+                    radius: body.wakeRadius,
+                    strength: body.wakeStrength,
+                    sign: -1,
+                })
+            }
+            body.lastPoint = point
+            body.wakeTime = 0
+        })
+    }
+}
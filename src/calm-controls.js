@@ -0,0 +1,70 @@
+// Calm folder for the GUI of a demo, smoothing or calming a RippleSimulation everywhere, in a circle in the middle or along the edges
+
+import { SMOOTH_KERNELS } from "./simulation-constants.js"
+
+const REGIONS = ["everywhere", "circle", "edges"]
+
+/**
+ * Adds a Calm folder to a GUI: smooth the water at once with a kernel, a number of iterations and a strength,
+ * or calm it down over some seconds
+ *
+ * Usage:
+ * const gui = new dat.GUI()
+ * addCalmFolder(gui, this.simulation)
+ * @param {dat.GUI} gui the GUI of the demo
+ * @param {RippleSimulation} simulation the simulation to calm
+ * @returns {dat.GUI} the folder
+ */
+export const addCalmFolder = (gui, simulation) => {
+    const settings = {
+        kernel: "box",
+        iterations: 10,
+        strength: 1,
+        region: "everywhere",
+        radius: Math.min(simulation.geomWidth, simulation.geomHeight) / 4,
+        duration: 3,
+        smoothWater: () => simulation.smooth(settings.iterations, {
+            kernel: settings.kernel,
+            strength: settings.strength,
+            region: region(),
+        }),
+        calmWater: () => simulation.calm(settings.duration, { region: region() }),
+    }
+    const region = () => {
+        switch (settings.region) {
+            case "circle":
+                return { x: 0, y: 0, radius: settings.radius }
+            case "edges":
+                return createEdgesMask(simulation.fboWidth, simulation.fboHeight)
+            default:
+                return null
+        }
+    }
+
+    const folder = gui.addFolder("Calm")
+    folder.add(settings, "kernel", SMOOTH_KERNELS)
+    folder.add(settings, "iterations", 1, 50, 1)
+    folder.add(settings, "strength", 0.05, 1, 0.05)
+    folder.add(settings, "region", REGIONS)
+    folder.add(settings, "radius", 10, Math.min(simulation.geomWidth, simulation.geomHeight) / 2, 5).name("circle radius")
+    folder.add(settings, "smoothWater").name("smooth now")
+    folder.add(settings, "duration", 0.5, 10, 0.5).name("calm seconds")
+    folder.add(settings, "calmWater").name("calm gradually")
+    return folder
+}
+
+/**
+ * @param {number} width width of the grid in cells
+ * @param {number} height height of the grid in cells
+ * @returns {Float32Array} 1 along the edges of the grid, fading out a quarter of the way in
+ */
+const createEdgesMask = (width, height) => {
+    const mask = new Float32Array(width * height)
+    for (let j = 0; j < height; j++) {
+        for (let i = 0; i < width; i++) {
+            const edge = Math.min(i + 0.5, width - i - 0.5, j + 0.5, height - j - 0.5) / (Math.min(width, height) / 4)
+            mask[j * width + i] = Math.max(1 - edge, 0)
+        }
+    }
+    return mask
+}
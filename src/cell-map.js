@@ -0,0 +1,110 @@
+// Per cell maps (wave speed, damping...) from images, canvases and arrays, and their resampling to another grid
+// a map is a Float32Array with one value per cell (row 0 being v = 0 of the heightmap)
+
+/**
+ * Reads a canvas as a map, the brightness times the alpha of each pixel in [0..1]
+ * the canvas is treated as a top-down map, i.e. its top row ends up at v = 1 of the heightmap
+ * @param {HTMLCanvasElement} canvas canvas holding the painted values, any size (it gets resampled to the simulation size)
+ * @param {object} options
+ * @param {number} options.fboWidth width of the simulation texture in pixels
+ * @param {number} options.fboHeight height of the simulation texture in pixels
+ * @returns {Float32Array} the map
+ */
+export const createMapFromCanvas = (canvas, { fboWidth, fboHeight }) => {
+    const resampled = document.createElement("canvas")
+    resampled.width = fboWidth
+    resampled.height = fboHeight
+    const ctx = resampled.getContext("2d")
+    ctx.drawImage(canvas, 0, 0, fboWidth, fboHeight)
+    const pixels = ctx.getImageData(0, 0, fboWidth, fboHeight).data
+
+    const map = new Float32Array(fboWidth * fboHeight)
+    for (let row = 0; row < fboHeight; row++) {
+        // flip the rows, canvas rows go top to bottom but the heightmap rows go bottom to top
+        const j = fboHeight - 1 - row
+        for (let i = 0; i < fboWidth; i++) {
+            const p = (row * fboWidth + i) * 4
+            const brightness = (pixels[p] + pixels[p + 1] + pixels[p + 2]) / (3 * 255)
+            map[j * fboWidth + i] = brightness * pixels[p + 3] / 255
+        }
+    }
+    return map
+}
+
+/**
+ * Reads an image as a map, see createMapFromCanvas
+ * @param {HTMLImageElement} image loaded image, e.g. texture.image of a texture from loadTexture
+ * @param {object} options same as createMapFromCanvas
+ * @returns {Float32Array} the map
+ */
+export const createMapFromImage = (image, options) => {
+    const canvas = document.createElement("canvas")
+    canvas.width = image.width
+    canvas.height = image.height
+    canvas.getContext("2d").drawImage(image, 0, 0)
+    return createMapFromCanvas(canvas, options)
+}
+
+/**
+ * Turns whatever a map setter was given into a Float32Array map
+ * @param {Float32Array|HTMLCanvasElement|HTMLImageElement} source one value per cell, or a canvas/image read with createMapFromCanvas
+ * @param {object} options same as createMapFromCanvas
+ * @returns {Float32Array} the map, null if source is null
+ */
+export const toCellMap = (source, options) => {
+    if (source === null || source instanceof Float32Array) {
+        return source
+    }
+    if (source instanceof HTMLCanvasElement) {
+        return createMapFromCanvas(source, options)
+    }
+    return createMapFromImage(source, options)
+}
+
+/**
+ * Resamples a map to another grid size with bilinear interpolation, e.g. when the simulation changes resolution
+ * @param {Float32Array|Uint8Array} map values row by row, channels values per cell
+ * @param {number} width width of the map in cells
+ * @param {number} height height of the map in cells
+ * @param {number} newWidth width of the resampled map in cells
+ * @param {number} newHeight height of the resampled map in cells
+ * @param {number} channels number of values per cell, e.g. 4 for a whole heightmap
+ * @returns {Float32Array} the resampled map
+ */
+export const resampleMap = (map, width, height, newWidth, newHeight, channels = 1) => {
+    const resampled = new Float32Array(newWidth * newHeight * channels)
+    // cell centers line up, so the edge cells of both grids sit at the edges of the water
+    const sourceCoordinate = (cell, size, newSize) => Math.min(Math.max((cell + 0.5) * size / newSize - 0.5, 0), size - 1)
+    for (let j = 0; j < newHeight; j++) {
+        const y = sourceCoordinate(j, height, newHeight)
+        const j0 = Math.floor(y)
+        const j1 = Math.min(j0 + 1, height - 1)
+        const fy = y - j0
+        for (let i = 0; i < newWidth; i++) {
+            const x = sourceCoordinate(i, width, newWidth)
+            const i0 = Math.floor(x)
+            const i1 = Math.min(i0 + 1, width - 1)
+            const fx = x - i0
+            for (let c = 0; c < channels; c++) {
+                const value = (ii, jj) => map[(jj * width + ii) * channels + c]
+                const bottom = value(i0, j0) + (value(i1, j0) - value(i0, j0)) * fx
+                const top = value(i0, j1) + (value(i1, j1) - value(i0, j1)) * fx
+                resampled[(j * newWidth + i) * channels + c] = bottom + (top - bottom) * fy
+            }
+        }
+    }
+    return resampled
+}
+
+/**
+ * Resamples an obstacle mask to another grid size, the cells at least half covered by obstacles becoming obstacles
+ * @param {Uint8Array} mask mask from obstacle-mask.js, 1 for obstacle cells
+ * @param {number} width width of the mask in cells
+ * @param {number} height height of the mask in cells
+ * @param {number} newWidth width of the resampled mask in cells
+ * @param {number} newHeight height of the resampled mask in cells
+ * @returns {Uint8Array} the resampled mask, still only 0 and 1
+ */
+export const resampleMask = (mask, width, height, newWidth, newHeight) => {
+    return Uint8Array.from(resampleMap(mask, width, height, newWidth, newHeight), (value) => value >= 0.5 ? 1 : 0)
+}
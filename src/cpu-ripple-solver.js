@@ -0,0 +1,847 @@
+// Plain javascript port of heightmapFragment.glsl, shallowWaterFragment.glsl, smoothFragment.glsl and foamFragment.glsl that runs headless (e.g. in node, see test/)
+// same conventions as the gpu version (RGBA layout of GPUComputationRenderer.createTexture(), texels sampled at their centers and clamped to the edges)
+
+import { BOUNDARY_MODES, BRUSHES, FOAM_DEFAULTS, MAX_IMPULSES, MAX_PENDING_IMPULSES, SOLVERS, STAMP_SIZE, strokeFactor } from "./simulation-constants.js"
+
+/**
+ * Water ripples computed on the cpu, Hugo Elias style or with the shallow water equations (see SOLVERS)
+ *
+ * Usage:
+ * const solver = new CpuRippleSolver({ fboWidth: 128, fboHeight: 128, geomWidth: 512, geomHeight: 512 })
+ * solver.disturb(0, 0)
+ * solver.step()
+ * const height = solver.getHeight(64, 64)
+ */
+export class CpuRippleSolver {
+    /**
+     * @param {object} options same options as RippleSimulation
+     * @param {number} options.fboWidth width of the simulation grid in cells
+     * @param {number} options.fboHeight height of the simulation grid in cells
+     * @param {number} options.geomWidth width of the water geometry in system units
+     * @param {number} options.geomHeight height of the water geometry in system units
+     * @param {number} options.mouseSize default radius of an impulse in system units
+     * @param {number} options.viscosity damping factor applied to the waves every timestep, 1.0 means no damping
+     * @param {number} options.waveHeight default strength (height multiplier) of an impulse
+     * @param {number} options.strokeSpeed pointer speed in system units per second at which a stroke gets the full waveHeight
+     * @param {function} options.fillTexture custom function to fill in the initial heightmap,
+     * it receives a DataTexture look-alike ({ image: { data, width, height } }) so the fill functions of the demos can be reused as-is
+     * @param {Uint8Array} options.obstacleMask optional mask from obstacle-mask.js, 1 for obstacle cells
+     * @param {string} options.boundary how waves behave at the grid edges, one of BOUNDARY_MODES
+     * @param {number} options.spongeWidth width of the absorbing layer along the edges in cells
+     * @param {number} options.spongeStrength [0..1] how much of the wave the absorbing layer damps per timestep at the very edge
+     * @param {Float32Array} options.waveSpeedMap optional [0..1] wave speed factor per cell, 1 being the fastest stable speed
+     * @param {Float32Array} options.dampingMap optional [0..1] extra damping per timestep per cell
+     * @param {string} options.solver equations to solve, one of SOLVERS
+     * @param {Float32Array} options.bathymetry shallowWater solver only: depth of the water at rest per cell in system units, null for a flat bottom
+     * @param {number} options.depth shallowWater solver only: depth of the water at rest when there is no bathymetry
+     * @param {number} options.gravity shallowWater solver only: gravity in system units per second squared
+     * @param {number} options.timestep shallowWater solver only: duration of one step in seconds
+     * @param {number} options.substeps number of steps per timestep of the RippleSimulation, the viscosity and damping map being per timestep
+     * @param {Float32Array} options.brushStamp [0..1] image of the stamp brush, STAMP_SIZE * STAMP_SIZE values (row 0 being the bottom of the image)
+     * @param {object} options.foam settings of the foam field, see setFoam(), null for no foam
+     */
+    constructor({
+        fboWidth = 128,
+        fboHeight = 128,
+        geomWidth = 512,
+        geomHeight = 512,
+        mouseSize = 20.0,
+        viscosity = 0.98,
+        waveHeight = 0.3,
+        strokeSpeed = 200,
+        fillTexture = (texture) => { },
+        obstacleMask = null,
+        boundary = "reflective",
+        spongeWidth = 16,
+        spongeStrength = 0.25,
+        waveSpeedMap = null,
+        dampingMap = null,
+        solver = "ripple",
+        bathymetry = null,
+        depth = 20,
+        gravity = 400,
+        timestep = 1 / 60,
+        substeps = 1,
+        brushStamp = null,
+        foam = null,
+    } = {}) {
+        if (!SOLVERS.includes(solver)) {
+            console.error(`Unknown solver: ${solver}`)
+            solver = "ripple"
+        }
+        this.solver = solver
+        this.fboWidth = fboWidth
+        this.fboHeight = fboHeight
+        this.geomWidth = geomWidth
+        this.geomHeight = geomHeight
+        this.mouseSize = mouseSize
+        this.viscosity = viscosity
+        this.waveHeight = waveHeight
+        this.strokeSpeed = strokeSpeed
+        this.boundary = boundary
+        this.spongeWidth = spongeWidth
+        this.spongeStrength = spongeStrength
+        this.depth = depth
+        this.gravity = gravity
+        this.timestep = timestep
+        this.substeps = substeps
+
+        // x == height, y == previous height, z/w not used by the ripple solver and face velocities for the shallowWater one, same as the gpu heightmap
+        this.data = new Float32Array(fboWidth * fboHeight * 4)
+        // the other half of the ping-pong pair
+        this.scratch = new Float32Array(fboWidth * fboHeight * 4)
+        fillTexture({ image: { data: this.data, width: fboWidth, height: fboHeight } })
+        if (solver === "shallowWater") {
+            // the water starts still whatever the fill function put in z/w
+            for (let p = 0; p < this.data.length; p += 4) {
+                this.data[p + 1] = this.data[p]
+                this.data[p + 2] = 0
+                this.data[p + 3] = 0
+            }
+        }
+        this.setBathymetry(bathymetry)
+        this.setWaveSpeedMap(waveSpeedMap)
+        this.setDampingMap(dampingMap)
+
+        // queue of the impulses to apply in the next step(), same as RippleSimulation.impulses
+        this.impulses = []
+        // noise to add in the next step(), same as RippleSimulation.addNoise
+        this.noiseAmplitude = 0
+        this.noiseSeed = 0
+        this.setObstacleMask(obstacleMask)
+        this.setBrushStamp(brushStamp)
+
+        // [0..1] foam per cell and the other half of its ping-pong pair, same as the foam variable of RippleSimulation
+        this.foam = null
+        this.foamScratch = null
+        if (foam !== null) {
+            this.foam = new Float32Array(fboWidth * fboHeight)
+            this.foamScratch = new Float32Array(fboWidth * fboHeight)
+            this.foamSettings = { ...FOAM_DEFAULTS }
+            this.setFoam(foam)
+        }
+    }
+
+    /**
+     * @param {object} settings any of decay, threshold, gain, impulseGain and drift, see RippleSimulation.setFoam
+     */
+    setFoam(settings) {
+        Object.assign(this.foamSettings, settings)
+    }
+
+    /**
+     * @param {Float32Array} map [0..1] image of the stamp brush, STAMP_SIZE * STAMP_SIZE values (row 0 being the bottom of the image), null for an empty stamp
+     */
+    setBrushStamp(map) {
+        // rounded to 8 bits like the gpu stamp texture
+        this.brushStamp = map !== null
+            ? Float32Array.from(map, (value) => Math.round(Math.min(Math.max(value, 0), 1) * 255) / 255)
+            : new Float32Array(STAMP_SIZE * STAMP_SIZE)
+    }
+
+    /**
+     * Samples the stamp like a linearly filtered texture clamped to its edges
+     * @param {number} u [0..1] position across the stamp
+     * @param {number} v [0..1] position across the stamp
+     * @returns the stamp value at (u, v)
+     */
+    stampAt(u, v) {
+        const x = Math.min(Math.max(u * STAMP_SIZE - 0.5, 0), STAMP_SIZE - 1)
+        const y = Math.min(Math.max(v * STAMP_SIZE - 0.5, 0), STAMP_SIZE - 1)
+        const i0 = Math.floor(x)
+        const j0 = Math.floor(y)
+        const i1 = Math.min(i0 + 1, STAMP_SIZE - 1)
+        const j1 = Math.min(j0 + 1, STAMP_SIZE - 1)
+        const fx = x - i0
+        const fy = y - j0
+        const value = (i, j) => this.brushStamp[j * STAMP_SIZE + i]
+        const bottom = value(i0, j0) + (value(i1, j0) - value(i0, j0)) * fx
+        const top = value(i0, j1) + (value(i1, j1) - value(i0, j1)) * fx
+        return bottom + (top - bottom) * fy
+    }
+
+    /**
+     * @param {Uint8Array} mask obstacle mask from obstacle-mask.js, 1 for obstacle cells, null to clear it
+     */
+    setObstacleMask(mask) {
+        this.obstacleMask = mask !== null ? mask : new Uint8Array(this.fboWidth * this.fboHeight)
+    }
+
+    /**
+     * @param {number} p index of the red channel of a cell, see index()
+     * @returns true if the cell is an obstacle
+     */
+    isObstacle(p) {
+        return this.obstacleMask[p / 4] === 1
+    }
+
+    /**
+     * @param {Float32Array} map [0..1] wave speed factor per cell, 1 being the fastest stable speed, null for full speed everywhere
+     */
+    setWaveSpeedMap(map) {
+        this.waveSpeed = map !== null ? Float32Array.from(map, (value) => Math.min(Math.max(value, 0), 1)) : new Float32Array(this.fboWidth * this.fboHeight).fill(1)
+    }
+
+    /**
+     * @param {Float32Array} map [0..1] extra damping per timestep per cell, null for no extra damping
+     */
+    setDampingMap(map) {
+        this.damping = map !== null ? Float32Array.from(map, (value) => Math.min(Math.max(value, 0), 1)) : new Float32Array(this.fboWidth * this.fboHeight)
+    }
+
+    /**
+     * @param {number} p index of the red channel of a cell
+     * @returns the damping factor applied to the waves of the cell every step, same as dampingAt() in simulationCommon.glsl
+     */
+    dampingAt(p) {
+        return (this.viscosity * (1 - this.damping[p / 4])) ** (1 / this.substeps)
+    }
+
+    /**
+     * @param {Float32Array} depths depth of the water at rest per cell in system units, 0 or less for dry land, null for a flat bottom at this.depth
+     */
+    setBathymetry(depths) {
+        this.bathymetry = depths !== null ? Float32Array.from(depths) : new Float32Array(this.fboWidth * this.fboHeight).fill(this.depth)
+    }
+
+    /**
+     * @param {number} value gravity of the shallowWater solver in system units per second squared
+     */
+    setGravity(value) {
+        this.gravity = value
+    }
+
+    /**
+     * @param {number} value default radius of an impulse in system units
+     */
+    setMouseSize(value) {
+        this.mouseSize = value
+    }
+
+    /**
+     * @param {number} value damping factor applied to the waves every timestep
+     */
+    setViscosity(value) {
+        this.viscosity = value
+    }
+
+    /**
+     * @param {number} value default strength (height multiplier) of an impulse
+     */
+    setWaveHeight(value) {
+        this.waveHeight = value
+    }
+
+    /**
+     * @param {string} mode how waves behave at the grid edges, one of BOUNDARY_MODES
+     */
+    setBoundary(mode) {
+        if (!BOUNDARY_MODES.includes(mode)) {
+            console.error(`Unknown boundary mode: ${mode}`)
+            return
+        }
+        this.boundary = mode
+    }
+
+    /**
+     * Queues an impulse to be applied in the next step(), see RippleSimulation.addImpulse
+     * @param {object} impulse x, y, radius, strength, sign, optional stroke end (endX, endY) and brush (brush, rotation, scaleX, scaleY) of the impulse
+     */
+    addImpulse({ x, y, radius = this.mouseSize, strength = this.waveHeight, sign = 1, endX = x, endY = y, brush = "cosine", rotation = 0, scaleX = 1, scaleY = scaleX }) {
+        if (!BRUSHES.includes(brush)) {
+            console.error(`Unknown brush: ${brush}`)
+            brush = "cosine"
+        }
+        this.impulses.push({ x, y, radius, strength, sign, endX, endY, brush, rotation, scaleX, scaleY })
+        if (this.impulses.length > MAX_PENDING_IMPULSES) {
+            this.impulses.shift()
+        }
+    }
+
+    /**
+     * Pokes the water at the given position in the next step(), shorthand for addImpulse()
+     * @param {number} x position of the disturbance in system units
+     * @param {number} y position of the disturbance in system units
+     * @param {object} options optional radius, strength and sign of the impulse
+     */
+    disturb(x, y, options = {}) {
+        this.addImpulse({ ...options, x, y })
+    }
+
+    /**
+     * Drags the water along the segment a pointer moved through, see RippleSimulation.addStroke
+     * @param {number} x previous position of the pointer in system units
+     * @param {number} y previous position of the pointer in system units
+     * @param {number} endX current position of the pointer in system units
+     * @param {number} endY current position of the pointer in system units
+     * @param {number} interval time elapsed between the two positions in seconds
+     * @param {object} options optional radius, strength, sign and brush of the impulse
+     */
+    addStroke(x, y, endX, endY, interval, options = {}) {
+        const { strength = this.waveHeight } = options
+        const speedFactor = strokeFactor(Math.hypot(endX - x, endY - y), interval, this.strokeSpeed)
+        this.addImpulse({ ...options, x, y, endX, endY, strength: strength * speedFactor })
+    }
+
+    /**
+     * Adds a fine white noise to the whole surface in the next step(), see RippleSimulation.addNoise
+     * @param {number} amplitude maximum height of the noise
+     * @param {number} seed [0..1) picks the pattern of the noise
+     */
+    addNoise(amplitude, seed) {
+        this.noiseAmplitude += amplitude
+        this.noiseSeed = seed
+    }
+
+    /**
+     * Takes over the impulses and noise another solver has yet to apply, e.g. the one it replaces in RippleSimulation.setResolution
+     * they are in system units, so they carry over to any grid as they are
+     * @param {CpuRippleSolver} solver the solver to take them from, left with nothing pending
+     */
+    takePending(solver) {
+        solver.impulses.splice(0).forEach((impulse) => this.addImpulse(impulse))
+        if (solver.noiseAmplitude !== 0) {
+            this.addNoise(solver.noiseAmplitude, solver.noiseSeed)
+            solver.noiseAmplitude = 0
+        }
+    }
+
+    /**
+     * Noise of a cell, same as noiseHeight() in simulationCommon.glsl (the pattern differs a little as javascript computes in double precision)
+     * @param {number} amplitude amplitude of the noise in this step
+     * @param {number} i column of the cell
+     * @param {number} j row of the cell
+     * @returns the height to add to the cell
+     */
+    noiseHeight(amplitude, i, j) {
+        if (amplitude <= 0) {
+            return 0
+        }
+        // hash12 of the shader, at the cell center like gl_FragCoord
+        const fract = (v) => v - Math.floor(v)
+        const px = i + 0.5 + this.noiseSeed * 1000
+        const py = j + 0.5 + this.noiseSeed * 1000
+        let x = fract(px * 0.1031)
+        let y = fract(py * 0.1031)
+        let z = fract(px * 0.1031)
+        const d = x * (y + 33.33) + y * (z + 33.33) + z * (x + 33.33)
+        x += d
+        y += d
+        z += d
+        return amplitude * (fract((x + y) * z) * 2 - 1)
+    }
+
+    /**
+     * Index of the red channel of a cell, out of range cells are clamped to the edges like ClampToEdgeWrapping does
+     * @param {number} i column of the cell
+     * @param {number} j row of the cell
+     * @returns index into the RGBA data
+     */
+    index(i, j) {
+        i = Math.min(Math.max(i, 0), this.fboWidth - 1)
+        j = Math.min(Math.max(j, 0), this.fboHeight - 1)
+        return (j * this.fboWidth + i) * 4
+    }
+
+    /**
+     * Height of a neighbour cell, same as neighbourHeight() in heightmapFragment.glsl
+     * walls (obstacles and the grid edges unless periodic) mirror the height of the current cell
+     * @param {Float32Array} src heightmap to read from
+     * @param {number} i column of the neighbour, may be out of range
+     * @param {number} j row of the neighbour, may be out of range
+     * @param {number} height height of the current cell
+     * @returns the height of the neighbour
+     */
+    neighbourHeight(src, i, j, height) {
+        const n = this.neighbourIndex(i, j)
+        return n < 0 ? height : src[n]
+    }
+
+    /**
+     * Index of a neighbour cell, same as isWall() in simulationCommon.glsl
+     * @param {number} i column of the neighbour, may be out of range
+     * @param {number} j row of the neighbour, may be out of range
+     * @returns index into the RGBA data, wrapped around when periodic, -1 for walls (obstacles and the grid edges unless periodic)
+     */
+    neighbourIndex(i, j) {
+        if (this.boundary === "periodic") {
+            i = (i + this.fboWidth) % this.fboWidth
+            j = (j + this.fboHeight) % this.fboHeight
+        } else if (i < 0 || j < 0 || i >= this.fboWidth || j >= this.fboHeight) {
+            return -1
+        }
+
+        const n = this.index(i, j)
+        return this.isObstacle(n) ? -1 : n
+    }
+
+    /**
+     * Sum of the impulses at a cell, same as impulsesHeight() in simulationCommon.glsl
+     * @param {Array<object>} impulses impulses applied in this step
+     * @param {number} i column of the cell
+     * @param {number} j row of the cell
+     * @returns the height to add to the cell
+     */
+    impulsesHeight(impulses, i, j) {
+        // cell center in system units, same as ( uv - vec2( 0.5 ) ) * vec2( GEOM_WIDTH, GEOM_HEIGHT ) in the shader
+        const x = ((i + 0.5) / this.fboWidth - 0.5) * this.geomWidth
+        const y = ((j + 0.5) / this.fboHeight - 0.5) * this.geomHeight
+        let height = 0
+        for (const impulse of impulses) {
+            // offset from the closest point of the stroke segment, in the shader's coordinates where y is flipped
+            const strokeX = impulse.endX - impulse.x
+            const strokeY = -impulse.endY + impulse.y
+            const t = Math.min(Math.max(((x - impulse.x) * strokeX + (y + impulse.y) * strokeY) / Math.max(strokeX * strokeX + strokeY * strokeY, 1e-6), 0.0), 1.0)
+            const offsetX = x - impulse.x - strokeX * t
+            // back to the impulse's coordinates
+            const offsetY = -(y + impulse.y - strokeY * t)
+            // into the brush's own rotated and scaled axes
+            const c = Math.cos(impulse.rotation)
+            const s = Math.sin(impulse.rotation)
+            const brushX = (c * offsetX + s * offsetY) / (impulse.radius * impulse.scaleX)
+            const brushY = (-s * offsetX + c * offsetY) / (impulse.radius * impulse.scaleY)
+            height += 2.0 * this.brushProfile(impulse.brush, brushX, brushY) * impulse.strength * impulse.sign
+        }
+        return height
+    }
+
+    /**
+     * Shape of a brush, same as brushProfile() in simulationCommon.glsl
+     * @param {string} brush one of BRUSHES
+     * @param {number} x position relative to the impulse in brush units (the brush covers -1..1)
+     * @param {number} y position relative to the impulse in brush units
+     * @returns [0..1] the height of the brush at (x, y)
+     */
+    brushProfile(brush, x, y) {
+        const distance = Math.hypot(x, y)
+        switch (brush) {
+            case "gaussian":
+                return distance < 1.0 ? Math.exp(-4.5 * distance * distance) : 0.0
+            case "ring":
+                return 0.5 * (Math.cos(Math.min(Math.abs(distance - 0.75) * 4.0, 1.0) * Math.PI) + 1.0)
+            case "square": {
+                // smoothstep(0.8, 1.0, edge)
+                const edge = Math.min(Math.max((Math.max(Math.abs(x), Math.abs(y)) - 0.8) / 0.2, 0.0), 1.0)
+                return 1.0 - edge * edge * (3.0 - 2.0 * edge)
+            }
+            case "spike":
+                return Math.max(1.0 - distance, 0.0) ** 4
+            case "stamp":
+                if (Math.abs(x) > 1.0 || Math.abs(y) > 1.0) {
+                    return 0.0
+                }
+                return this.stampAt(x * 0.5 + 0.5, -y * 0.5 + 0.5)
+            default:
+                return 0.5 * (Math.cos(Math.min(distance, 1.0) * Math.PI) + 1.0)
+        }
+    }
+
+    /**
+     * Sponge layer at a cell, same as spongeFactor() in simulationCommon.glsl
+     * @param {number} i column of the cell
+     * @param {number} j row of the cell
+     * @returns 1.0 in open water, less and less closer to the edges when the boundary is absorbing
+     */
+    spongeFactor(i, j) {
+        if (this.boundary !== "absorbing") {
+            return 1.0
+        }
+        const edgeDistance = Math.min(i + 0.5, this.fboWidth - i - 0.5, j + 0.5, this.fboHeight - j - 0.5)
+        const sponge = 1.0 - Math.min(Math.max(edgeDistance / this.spongeWidth, 0.0), 1.0)
+        return (1.0 - this.spongeStrength * sponge * sponge) ** (1 / this.substeps)
+    }
+
+    /**
+     * Advances the simulation by one frame, consuming the pending impulses
+     */
+    step() {
+        // like the gpu version, at most MAX_IMPULSES are applied per step
+        const impulses = this.impulses.splice(0, MAX_IMPULSES)
+        const noiseAmplitude = this.noiseAmplitude
+        this.noiseAmplitude = 0
+        // from the state before the step, like the foam variable that reads the same heightmap as the solver
+        if (this.foam !== null) {
+            this.stepFoam(impulses)
+        }
+        if (this.solver === "shallowWater") {
+            this.stepShallowWater(impulses, noiseAmplitude)
+        } else {
+            this.stepRipple(impulses, noiseAmplitude)
+        }
+        const src = this.data
+        this.data = this.scratch
+        this.scratch = src
+    }
+
+    /**
+     * Advances the foam by one step, same as foamFragment.glsl
+     * @param {Array<object>} impulses impulses applied in this step
+     */
+    stepFoam(impulses) {
+        const src = this.data
+        const { decay, threshold, gain, impulseGain, drift } = this.foamSettings
+        const spacingX = this.geomWidth / this.fboWidth
+        const spacingY = this.geomHeight / this.fboHeight
+        // foam of a cell, walls hold none
+        const foamAt = (i, j) => {
+            const n = this.neighbourIndex(i, j)
+            return n < 0 ? 0 : this.foam[n / 4]
+        }
+
+        for (let j = 0; j < this.fboHeight; j++) {
+            for (let i = 0; i < this.fboWidth; i++) {
+                const p = this.index(i, j)
+
+                // obstacle cells hold no foam
+                if (this.isObstacle(p)) {
+                    this.foamScratch[p / 4] = 0
+                    continue
+                }
+
+                const height = src[p]
+                const north = this.neighbourHeight(src, i, j + 1, height)
+                const south = this.neighbourHeight(src, i, j - 1, height)
+                const east = this.neighbourHeight(src, i + 1, j, height)
+                const west = this.neighbourHeight(src, i - 1, j, height)
+
+                // velocity of the water in cells per step
+                let velocityX
+                let velocityY
+                if (this.solver === "shallowWater") {
+                    const westFace = this.neighbourIndex(i - 1, j)
+                    const southFace = this.neighbourIndex(i, j - 1)
+                    velocityX = 0.5 * (src[p + 2] + (westFace < 0 ? 0 : src[westFace + 2])) * this.timestep / spacingX
+                    velocityY = 0.5 * (src[p + 3] + (southFace < 0 ? 0 : src[southFace + 3])) * this.timestep / spacingY
+                } else {
+                    const gradientX = 0.5 * (east - west)
+                    const gradientY = 0.5 * (north - south)
+                    const speed = -(height - src[p + 1]) / (gradientX * gradientX + gradientY * gradientY + 1e-3)
+                    velocityX = speed * gradientX
+                    velocityY = speed * gradientY
+                }
+                const limit = Math.max(Math.hypot(velocityX * drift, velocityY * drift), 1.0)
+                velocityX *= drift / limit
+                velocityY *= drift / limit
+
+                // bilinear lookup upstream, same as sampleFoam( gl_FragCoord.xy - velocity ) with the half cell taken out
+                const x = i - velocityX
+                const y = j - velocityY
+                const baseX = Math.floor(x)
+                const baseY = Math.floor(y)
+                const fx = x - baseX
+                const fy = y - baseY
+                const bottom = foamAt(baseX, baseY) * (1 - fx) + foamAt(baseX + 1, baseY) * fx
+                const top = foamAt(baseX, baseY + 1) * (1 - fx) + foamAt(baseX + 1, baseY + 1) * fx
+                let foam = (bottom * (1 - fy) + top * fy) * decay
+
+                const curvature = Math.abs(0.25 * (north + south + east + west) - height)
+                foam += gain * Math.max(curvature - threshold, 0.0)
+                foam += impulseGain * Math.abs(this.impulsesHeight(impulses, i, j))
+
+                // NaN fails the comparison, a broken heightmap leaves no foam behind
+                this.foamScratch[p / 4] = foam >= 0 ? Math.min(foam, 1.0) : 0
+            }
+        }
+
+        const foam = this.foam
+        this.foam = this.foamScratch
+        this.foamScratch = foam
+    }
+
+    /**
+     * Hugo Elias step from data into scratch, same as heightmapFragment.glsl
+     * @param {Array<object>} impulses impulses applied in this step
+     * @param {number} noiseAmplitude amplitude of the noise added in this step
+     */
+    stepRipple(impulses, noiseAmplitude) {
+        const src = this.data
+        const dst = this.scratch
+
+        for (let j = 0; j < this.fboHeight; j++) {
+            for (let i = 0; i < this.fboWidth; i++) {
+                const p = this.index(i, j)
+
+                // obstacle cells hold no water
+                if (this.isObstacle(p)) {
+                    dst[p] = 0
+                    dst[p + 1] = 0
+                    dst[p + 2] = src[p + 2]
+                    dst[p + 3] = src[p + 3]
+                    continue
+                }
+
+                const neighbours = this.neighbourHeight(src, i, j + 1, src[p]) + this.neighbourHeight(src, i, j - 1, src[p])
+                    + this.neighbourHeight(src, i + 1, j, src[p]) + this.neighbourHeight(src, i - 1, j, src[p])
+                // the wave speed map scales c^2 of the wave equation, at full speed (c^2 == 0.5) this is exactly Hugo Elias' formula,
+                // substeps split the distance travelled in a timestep so the waves keep their speed
+                const waveSpeed = this.waveSpeed[p / 4] / this.substeps
+                const courant = 0.5 * waveSpeed * waveSpeed
+                let newHeight = (2 * src[p] - src[p + 1] + courant * (neighbours - 4 * src[p])) * this.dampingAt(p)
+                newHeight += this.impulsesHeight(impulses, i, j) + this.noiseHeight(noiseAmplitude, i, j)
+                newHeight *= this.spongeFactor(i, j)
+
+                dst[p] = newHeight
+                dst[p + 1] = src[p]
+                dst[p + 2] = src[p + 2]
+                dst[p + 3] = src[p + 3]
+            }
+        }
+    }
+
+    /**
+     * Rest depth of a cell
+     * @param {number} n index of the red channel of the cell, -1 for walls
+     * @returns the depth of the water at rest, 0 for walls
+     */
+    restDepth(n) {
+        return n < 0 ? 0 : this.bathymetry[n / 4]
+    }
+
+    /**
+     * Velocity through the face going from cell a to cell b after this step, same as faceVelocity() in shallowWaterFragment.glsl
+     * @param {number} a index of the red channel of cell a
+     * @param {number} b index of the red channel of cell b
+     * @param {number} aHeight height of cell a
+     * @param {number} bHeight height of cell b
+     * @param {number} aDepth rest depth of cell a
+     * @param {number} bDepth rest depth of cell b
+     * @param {number} velocity velocity through the face before this step
+     * @param {number} spacing distance between the cell centers in system units
+     * @returns the new velocity, 0 when either side is a wall or dry
+     */
+    faceVelocity(a, b, aHeight, bHeight, aDepth, bDepth, velocity, spacing) {
+        if (aDepth <= 0 || bDepth <= 0) {
+            return 0
+        }
+        // the face gets the mean wave speed and damping of the cells on both sides
+        const waveSpeed = 0.5 * (this.waveSpeed[a / 4] + this.waveSpeed[b / 4])
+        const damping = 0.5 * (this.dampingAt(a) + this.dampingAt(b))
+        return (velocity - waveSpeed * waveSpeed * this.gravity * this.timestep * (bHeight - aHeight) / spacing) * damping
+    }
+
+    /**
+     * Water flowing through the face going from cell a to cell b, same as faceFlux() in shallowWaterFragment.glsl
+     * @returns the flux carried by the upwind cell
+     */
+    faceFlux(velocity, aHeight, bHeight, aDepth, bDepth) {
+        const depth = velocity > 0 ? aDepth + aHeight : bDepth + bHeight
+        return velocity * Math.max(depth, 0)
+    }
+
+    /**
+     * Shallow water step from data into scratch, same as shallowWaterFragment.glsl
+     * @param {Array<object>} impulses impulses applied in this step
+     * @param {number} noiseAmplitude amplitude of the noise added in this step
+     */
+    stepShallowWater(impulses, noiseAmplitude) {
+        const src = this.data
+        const dst = this.scratch
+        const spacingX = this.geomWidth / this.fboWidth
+        const spacingY = this.geomHeight / this.fboHeight
+
+        for (let j = 0; j < this.fboHeight; j++) {
+            for (let i = 0; i < this.fboWidth; i++) {
+                const p = this.index(i, j)
+                const depth = this.bathymetry[p / 4]
+
+                // obstacle and dry cells hold no water
+                if (this.isObstacle(p) || depth <= 0) {
+                    dst.fill(0, p, p + 4)
+                    continue
+                }
+
+                const north = this.neighbourIndex(i, j + 1)
+                const south = this.neighbourIndex(i, j - 1)
+                const east = this.neighbourIndex(i + 1, j)
+                const west = this.neighbourIndex(i - 1, j)
+                const northDepth = this.restDepth(north)
+                const southDepth = this.restDepth(south)
+                const eastDepth = this.restDepth(east)
+                const westDepth = this.restDepth(west)
+                // walls are sampled like ClampToEdgeWrapping does, their velocity is 0 anyway
+                const northCell = north < 0 ? p : north
+                const southCell = south < 0 ? p : south
+                const eastCell = east < 0 ? p : east
+                const westCell = west < 0 ? p : west
+
+                const height = src[p]
+                const northVelocity = this.faceVelocity(p, northCell, height, src[northCell], depth, northDepth, src[p + 3], spacingY)
+                const southVelocity = this.faceVelocity(southCell, p, src[southCell], height, southDepth, depth, src[southCell + 3], spacingY)
+                const eastVelocity = this.faceVelocity(p, eastCell, height, src[eastCell], depth, eastDepth, src[p + 2], spacingX)
+                const westVelocity = this.faceVelocity(westCell, p, src[westCell], height, westDepth, depth, src[westCell + 2], spacingX)
+
+                let newHeight = height - this.timestep * (
+                    (this.faceFlux(eastVelocity, height, src[eastCell], depth, eastDepth) - this.faceFlux(westVelocity, src[westCell], height, westDepth, depth)) / spacingX
+                    + (this.faceFlux(northVelocity, height, src[northCell], depth, northDepth) - this.faceFlux(southVelocity, src[southCell], height, southDepth, depth)) / spacingY
+                )
+                newHeight += this.impulsesHeight(impulses, i, j) + this.noiseHeight(noiseAmplitude, i, j)
+
+                const sponge = this.spongeFactor(i, j)
+                dst[p] = newHeight * sponge
+                dst[p + 1] = height
+                dst[p + 2] = eastVelocity * sponge
+                dst[p + 3] = northVelocity * sponge
+            }
+        }
+    }
+
+    /**
+     * Calms the water down by blurring the heightmap like smoothFragment.glsl, see RippleSimulation.smooth
+     * @param {number} iterations number of ping-pong smoothing passes, each one blurs twice
+     * @param {object} options kernel, strength and region of the blur
+     */
+    smooth(iterations = 10, { kernel = "box", strength = 1, region = null } = {}) {
+        for (let n = 0; n < iterations * 2; n++) {
+            this.smoothPass(kernel, strength, 1, region)
+        }
+    }
+
+    /**
+     * Multiplies the whole state by a factor, a smoothFragment.glsl pass without blur, see RippleSimulation.calm
+     * @param {number} factor [0..1] factor where the region weighs 1
+     * @param {object|Float32Array} region where to apply it, see regionWeight()
+     */
+    scaleState(factor, region = null) {
+        this.smoothPass("box", 0, factor, region)
+    }
+
+    /**
+     * One pass of smoothFragment.glsl from data into scratch, then swaps them
+     * @param {string} kernel one of SMOOTH_KERNELS
+     * @param {number} strength [0..1] how much of the blurred value replaces the current one
+     * @param {number} scale factor the values are multiplied with after the blur
+     * @param {object|Float32Array} region where the pass applies, see regionWeight()
+     */
+    smoothPass(kernel, strength, scale, region) {
+        const src = this.data
+        const dst = this.scratch
+        for (let j = 0; j < this.fboHeight; j++) {
+            for (let i = 0; i < this.fboWidth; i++) {
+                const p = this.index(i, j)
+                const north = this.smoothIndex(i, j + 1)
+                const south = this.smoothIndex(i, j - 1)
+                const east = this.smoothIndex(i + 1, j)
+                const west = this.smoothIndex(i - 1, j)
+                const weight = this.regionWeight(region, i, j)
+                for (let c = 0; c < 4; c++) {
+                    let blurred
+                    if (kernel === "gaussian") {
+                        // 3x3 binomial kernel
+                        blurred = (src[p + c] * 4.0
+                            + (src[north + c] + src[south + c] + src[east + c] + src[west + c]) * 2.0
+                            + src[this.smoothIndex(i + 1, j + 1) + c] + src[this.smoothIndex(i - 1, j - 1) + c]
+                            + src[this.smoothIndex(i + 1, j - 1) + c] + src[this.smoothIndex(i - 1, j + 1) + c]) / 16.0
+                    } else {
+                        blurred = (src[p + c] + src[north + c] + src[south + c] + src[east + c] + src[west + c]) / 5.0
+                    }
+                    const value = src[p + c] + (blurred - src[p + c]) * strength * weight
+                    dst[p + c] = value * (1.0 - weight * (1.0 - scale))
+                }
+            }
+        }
+        this.data = dst
+        this.scratch = src
+    }
+
+    /**
+     * Index of a cell read by a smoothing pass, same as neighbourValue() in smoothFragment.glsl
+     * @param {number} i column of the cell, may be out of range
+     * @param {number} j row of the cell, may be out of range
+     * @returns index into the RGBA data, wrapped around when periodic, clamped to the edges otherwise
+     */
+    smoothIndex(i, j) {
+        if (this.boundary === "periodic") {
+            i = (i + this.fboWidth) % this.fboWidth
+            j = (j + this.fboHeight) % this.fboHeight
+        }
+        return this.index(i, j)
+    }
+
+    /**
+     * How much a smoothing pass applies to a cell, same as regionWeight() in smoothFragment.glsl
+     * @param {object|Float32Array} region null for everywhere, { x, y, radius } for a circle in the coordinates of disturb(),
+     * or a [0..1] weight per cell (row 0 being v = 0 of the heightmap)
+     * @param {number} i column of the cell
+     * @param {number} j row of the cell
+     * @returns [0..1] the weight of the pass
+     */
+    regionWeight(region, i, j) {
+        if (region === null) {
+            return 1.0
+        }
+        if (region instanceof Float32Array) {
+            // rounded to 8 bits like the gpu mask texture
+            return Math.round(Math.min(Math.max(region[j * this.fboWidth + i], 0), 1) * 255) / 255
+        }
+        const x = ((i + 0.5) / this.fboWidth - 0.5) * this.geomWidth
+        const y = ((j + 0.5) / this.fboHeight - 0.5) * this.geomHeight
+        const distance = Math.hypot(x - region.x, y + region.y)
+        // 1 - smoothstep(0.8 * radius, radius, distance)
+        const edge = Math.min(Math.max((distance - 0.8 * region.radius) / (0.2 * region.radius), 0.0), 1.0)
+        return 1.0 - edge * edge * (3.0 - 2.0 * edge)
+    }
+
+    /**
+     * @param {number} i column of the cell
+     * @param {number} j row of the cell
+     * @returns the current height of the cell
+     */
+    getHeight(i, j) {
+        return this.data[this.index(i, j)]
+    }
+
+    /**
+     * Height interpolated between the last two steps and bilinearly between the cells, same as heightAt() in probeFragment.glsl
+     * @param {number} u [0..1] horizontal position on the heightmap
+     * @param {number} v [0..1] vertical position on the heightmap
+     * @param {number} alpha how far between the previous (0) and current (1) step, see interpolationAlpha() for several substeps
+     * @returns the height
+     */
+    heightAt(u, v, alpha) {
+        const cellX = u * this.fboWidth - 0.5
+        const cellY = v * this.fboHeight - 0.5
+        const i = Math.floor(cellX)
+        const j = Math.floor(cellY)
+        const fx = cellX - i
+        const fy = cellY - j
+        const height = (p) => this.data[p + 1] + (this.data[p] - this.data[p + 1]) * alpha
+        const bottom = height(this.index(i, j)) * (1 - fx) + height(this.index(i + 1, j)) * fx
+        const top = height(this.index(i, j + 1)) * (1 - fx) + height(this.index(i + 1, j + 1)) * fx
+        return bottom * (1 - fy) + top * fy
+    }
+
+    /**
+     * Water surface under some points, see RippleSimulation.sampleSurface
+     * @param {Array<{x: number, y: number}>} points positions in the same coordinates as disturb()
+     * @param {number} alpha how far between the previous (0) and current (1) step, see interpolationAlpha() for several substeps
+     * @returns {Array<{height: number, slopeX: number, slopeY: number}>} height and slopes under each point
+     */
+    sampleSurface(points, alpha = 1) {
+        const du = 1 / this.fboWidth
+        const dv = 1 / this.fboHeight
+        return points.map((point) => {
+            const u = point.x / this.geomWidth + 0.5
+            const v = -point.y / this.geomHeight + 0.5
+            return {
+                height: this.heightAt(u, v, alpha),
+                slopeX: (this.heightAt(u + du, v, alpha) - this.heightAt(u - du, v, alpha)) / (2 * this.geomWidth * du),
+                // the y of disturb() goes the opposite way of v
+                slopeY: -(this.heightAt(u, v + dv, alpha) - this.heightAt(u, v - dv, alpha)) / (2 * this.geomHeight * dv),
+            }
+        })
+    }
+
+    /**
+     * @returns the RGBA Float32Array holding the latest heightmap, laid out like the gpu render target
+     */
+    getHeightData() {
+        return this.data
+    }
+
+    /**
+     * @returns the Float32Array holding the latest foam, one value per cell row by row, null when the foam is off
+     */
+    getFoamData() {
+        return this.foam
+    }
+}
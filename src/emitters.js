@@ -0,0 +1,263 @@
+// Wave sources for RippleSimulation.addEmitter(): a tapping point, a paddle along a line, a boat on a path and seeded rain
+// positions are in the same coordinates as RippleSimulation.disturb
+
+import { createRandom, randomGaussian, randomPoisson } from "./random.js"
+
+/**
+ * Base class of the emitters, it keeps its own clock that only runs while the emitter is started
+ * the parameters are plain fields, change them directly or with set() at any time
+ */
+export class Emitter {
+    /**
+     * @param {object} options
+     * @param {number} options.amplitude height multiplier of the impulses, see RippleSimulation.addImpulse
+     * @param {number} options.radius radius of the impulses in system units
+     * @param {number} options.frequency oscillations per second, 0 for a constant push
+     * @param {number} options.phase phase of the oscillation in radians
+     * @param {bool} options.running false to create the emitter stopped, see start()
+     */
+    constructor({ amplitude = 0.3, radius = 20, frequency = 1, phase = 0, running = true } = {}) {
+        this.amplitude = amplitude
+        this.radius = radius
+        this.frequency = frequency
+        this.phase = phase
+        this.running = running
+        // seconds the emitter has been running for
+        this.time = 0
+    }
+
+    start() {
+        this.running = true
+    }
+
+    stop() {
+        this.running = false
+    }
+
+    /**
+     * @param {object} params any of the constructor options, e.g. { frequency: 2 }
+     */
+    set(params) {
+        Object.assign(this, params)
+    }
+
+    /**
+     * @returns the signed strength of the impulse at the current time of the emitter
+     */
+    strength() {
+        if (this.frequency <= 0) {
+            return this.amplitude
+        }
+        return this.amplitude * Math.sin(2 * Math.PI * this.frequency * this.time + this.phase)
+    }
+
+    /**
+     * Called by RippleSimulation.step(), emits and advances the clock while the emitter is running
+     * @param {RippleSimulation} simulation simulation to add the impulses to
+     * @param {number} timestep duration of the step in seconds
+     */
+    update(simulation, timestep) {
+        if (!this.running) return
+        this.emit(simulation, timestep)
+        this.time += timestep
+    }
+
+    /**
+     * Adds the impulses of the current step, implemented by the subclasses
+     * @param {RippleSimulation} simulation simulation to add the impulses to
+     * @param {number} timestep duration of the step in seconds
+     */
+    emit(simulation, timestep) { }
+}
+
+/**
+ * Sinusoidal point source, e.g. a dripping tap or a bobbing float
+ *
+ * Usage:
+ * const tap = simulation.addEmitter(new PointEmitter({ x: 100, y: 0, frequency: 2, amplitude: 0.2 }))
+ * tap.set({ frequency: 3 })
+ * tap.stop()
+ */
+export class PointEmitter extends Emitter {
+    /**
+     * @param {object} options same as Emitter, plus
+     * @param {number} options.x position of the source in system units
+     * @param {number} options.y position of the source in system units
+     */
+    constructor({ x = 0, y = 0, ...options } = {}) {
+        super(options)
+        this.x = x
+        this.y = y
+    }
+
+    emit(simulation) {
+        simulation.addImpulse({ x: this.x, y: this.y, radius: this.radius, strength: this.strength() })
+    }
+}
+
+/**
+ * Wave-maker pushing the water along a segment, e.g. a paddle along a pool edge making straight wave fronts
+ */
+export class LineEmitter extends Emitter {
+    /**
+     * @param {object} options same as Emitter, plus
+     * @param {number} options.x start of the segment in system units
+     * @param {number} options.y start of the segment in system units
+     * @param {number} options.endX end of the segment in system units
+     * @param {number} options.endY end of the segment in system units
+     */
+    constructor({ x = 0, y = 0, endX = 0, endY = 0, ...options } = {}) {
+        super(options)
+        this.x = x
+        this.y = y
+        this.endX = endX
+        this.endY = endY
+    }
+
+    emit(simulation) {
+        simulation.addImpulse({ x: this.x, y: this.y, endX: this.endX, endY: this.endY, radius: this.radius, strength: this.strength() })
+    }
+}
+
+/**
+ * Source travelling along a path and leaving a wake behind, e.g. a boat or a swimming duck
+ * it oscillates too if given a frequency, and stops by itself at the end of a path that doesn't loop
+ */
+export class PathEmitter extends Emitter {
+    /**
+     * @param {object} options same as Emitter (frequency defaults to 0 here), plus
+     * @param {Array<{x: number, y: number}>} options.path waypoints in system units (e.g. THREE.Vector2)
+     * @param {number} options.speed distance travelled per second in system units
+     * @param {bool} options.loop true to go back to the first waypoint after the last one
+     */
+    constructor({ path = [], speed = 50, loop = true, frequency = 0, ...options } = {}) {
+        super({ frequency, ...options })
+        this.path = path
+        this.speed = speed
+        this.loop = loop
+        // distance travelled along the path in system units
+        this.distance = 0
+    }
+
+    /**
+     * @param {number} distance distance along the path in system units
+     * @returns the position at that distance, null if it is past the end of a path that doesn't loop
+     */
+    pointAt(distance) {
+        const waypoints = this.loop ? [...this.path, this.path[0]] : this.path
+        const lengths = waypoints.slice(1).map((point, i) => Math.hypot(point.x - waypoints[i].x, point.y - waypoints[i].y))
+        const total = lengths.reduce((sum, length) => sum + length, 0)
+        if (total === 0 || (!this.loop && distance > total)) {
+            return null
+        }
+
+        let remaining = this.loop ? distance % total : distance
+        for (let i = 0; i < lengths.length; i++) {
+            if (remaining <= lengths[i]) {
+                const t = lengths[i] > 0 ? remaining / lengths[i] : 0
+                return {
+                    x: waypoints[i].x + (waypoints[i + 1].x - waypoints[i].x) * t,
+                    y: waypoints[i].y + (waypoints[i + 1].y - waypoints[i].y) * t,
+                }
+            }
+            remaining -= lengths[i]
+        }
+        return null
+    }
+
+    emit(simulation, timestep) {
+        const start = this.pointAt(this.distance)
+        this.distance += this.speed * timestep
+        const end = this.pointAt(this.distance)
+        if (start === null || end === null) {
+            this.stop()
+            return
+        }
+        simulation.addImpulse({ x: start.x, y: start.y, endX: end.x, endY: end.y, radius: this.radius, strength: this.strength() })
+    }
+}
+
+/**
+ * Rain falling on the water, each drop digs a small crater that spreads as a crisp ring
+ * drops land as a Poisson process so they never fall in a regular pattern, and heavy rain adds a fine noise on the whole surface
+ * the drops and the noise come from a seeded generator, so the same seed gives the same rain
+ */
+export class RainEmitter extends Emitter {
+    /**
+     * @param {object} options same as Emitter (radius being the median radius of the drops), plus
+     * @param {number} options.rate average number of drops per second
+     * @param {number} options.intensity strength of a drop of median radius, bigger drops hit harder
+     * @param {number} options.radiusSpread spread of the drop radii (sigma of a log-normal distribution), 0 for drops all the same size
+     * @param {number} options.noiseFloor amplitude of the noise added every step per unit of intensity, reached when the rate reaches heavyRate
+     * @param {number} options.heavyRate drops per second from which the rain counts as heavy, the noise fades in towards it
+     * @param {object} options.area { minX, maxX, minY, maxY } where the drops fall in system units, null for the whole water
+     * @param {number} options.seed seed of the random generator
+     */
+    constructor({
+        rate = 30,
+        intensity = 0.3,
+        radius = 4,
+        radiusSpread = 0.4,
+        noiseFloor = 0.1,
+        heavyRate = 300,
+        area = null,
+        seed = 1,
+        ...options
+    } = {}) {
+        super({ radius, ...options })
+        this.rate = rate
+        this.intensity = intensity
+        this.radiusSpread = radiusSpread
+        this.noiseFloor = noiseFloor
+        this.heavyRate = heavyRate
+        this.area = area
+        this.setSeed(seed)
+    }
+
+    /**
+     * Restarts the random sequence of the drops
+     * @param {number} seed any integer
+     */
+    setSeed(seed) {
+        this.seed = seed
+        this.random = createRandom(seed)
+    }
+
+    /**
+     * @param {object} params any of the constructor options, a seed restarts the random sequence like setSeed()
+     */
+    set({ seed, ...params }) {
+        super.set(params)
+        if (seed !== undefined) {
+            this.setSeed(seed)
+        }
+    }
+
+    emit(simulation, timestep) {
+        const { minX, maxX, minY, maxY } = this.area !== null ? this.area : {
+            minX: -simulation.geomWidth / 2,
+            maxX: simulation.geomWidth / 2,
+            minY: -simulation.geomHeight / 2,
+            maxY: simulation.geomHeight / 2,
+        }
+
+        // past MAX_IMPULSES drops in a step, the simulation spreads them over the next steps
+        const drops = randomPoisson(this.random, this.rate * timestep)
+        for (let i = 0; i < drops; i++) {
+            const radius = this.radius * Math.exp(this.radiusSpread * randomGaussian(this.random))
+            simulation.addImpulse({
+                x: minX + (maxX - minX) * this.random(),
+                y: minY + (maxY - minY) * this.random(),
+                radius,
+                strength: this.intensity * radius / this.radius,
+                sign: -1,
+            })
+        }
+
+        // the noise fades in quadratically, light rain is only drops
+        const heaviness = Math.min(this.rate / this.heavyRate, 1)
+        if (this.noiseFloor > 0 && heaviness > 0) {
+            simulation.addNoise(this.noiseFloor * this.intensity * heaviness * heaviness, this.random())
+        }
+    }
+}
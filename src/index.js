@@ -1,15 +1,22 @@
 // ThreeJS and Third-party deps
 import * as THREE from "three"
 import * as dat from 'dat.gui'
-import Stats from "three/examples/jsm/libs/stats.module"
-import { GPUComputationRenderer } from "three/examples/jsm/misc/GPUComputationRenderer"
-import { SimplexNoise } from "three/examples/jsm/math/SimplexNoise"
+import Stats from "three/examples/jsm/libs/stats.module.js"
 
 // Core boilerplate code deps
-import { createCamera, createRenderer, runApp, updateLoadingProgressBar } from "./core-utils"
+import { createCamera, createRenderer, runApp, updateLoadingProgressBar } from "./core-utils.js"
 
 // Other deps
-import HeightmapFragment from "./shaders/heightmapFragment.glsl"
+import { Buoyancy } from "./buoyancy.js"
+import { RainEmitter } from "./emitters.js"
+import { createFillTexture, generateHeightmap, INITIAL_CONDITIONS } from "./initial-conditions.js"
+import { RippleSimulation } from "./ripple-simulation.js"
+import { BOUNDARY_MODES, BRUSHES, SOLVERS, STAMP_SIZE } from "./simulation-constants.js"
+import { addStabilityPanels } from "./stability-panels.js"
+import { GerstnerWaves } from "./ocean-waves.js"
+import { InputPlayer, InputRecorder } from "./recorder.js"
+import { applySnapshot, decodeSnapshot, downloadSnapshot, fetchSnapshot } from "./snapshot.js"
+import GerstnerWavesShader from "./shaders/gerstnerWaves.glsl"
 
 global.THREE = THREE
 // previously this feature is .legacyMode = false, see https://www.donmccurdy.com/2020/06/17/color-management-in-threejs/
@@ -41,10 +48,39 @@ const params = {
   mouseSize: 20.0,
   viscosity: 0.98,
   waveHeight: 0.3,
+  brush: "cosine",
+  brushRotation: 0,
+  brushStretch: 1,
+  pullDown: false,
+  boundary: "absorbing",
+  // the solver is picked when the simulation is created, so changing it reloads the page with ?solver=...
+  solver: new URLSearchParams( window.location.search ).get( 'solver' ) || "ripple",
+  gravity: 400,
+  lilyPads: false,
+  rain: false,
+  rainRate: 60,
+  rainIntensity: 0.3,
+  boatSpeed: 0.3,
+  swell: true,
+  windDirection: 30,
+  swellAmplitude: 4,
+  choppiness: 0.5,
+  resolution: "128x128",
+  initialCondition: "fractalNoise",
+  seed: 1,
+  recording: false,
 }
-// Texture width/height for simulation
+// Texture width/height for simulation to start with, the resolution param changes it afterwards
 const FBO_WIDTH = 128
 const FBO_HEIGHT = 128
+// simulation sizes to pick from, coarser grids for slower devices
+const RESOLUTIONS = [ "256x256", "128x128", "64x64" ]
+// settings of the initial state generators, the seed comes from params
+const INITIAL_CONDITION_OPTIONS = {
+  fractalNoise: { amplitude: 2, octaves: 10, persistence: 0.5, lacunarity: 2 },
+  drop: { radius: 6, height: 4 },
+  waveTrain: { amplitude: 0.5, wavelength: 24, direction: Math.PI / 2 }
+}
 // Water geometry size in system units
 const GEOM_WIDTH = 512
 const GEOM_HEIGHT = 512
@@ -59,10 +95,14 @@ let app = {
   async initScene() {
     await updateLoadingProgressBar(0.1)
 
-    this.mouseMoved = false
-    this.pointer = new THREE.Vector2()
+    // active pointers (mouse, fingers, pens) by pointerId, so every finger on a tablet makes its own ripples
+    this.pointers = new Map()
     this.raycaster = new THREE.Raycaster()
+    this.container.style.touchAction = 'none'
     this.container.addEventListener( 'pointermove', this.onPointerMove.bind(this) )
+    this.container.addEventListener( 'pointerup', this.onPointerUp.bind(this) )
+    this.container.addEventListener( 'pointercancel', this.onPointerUp.bind(this) )
+    this.container.addEventListener( 'pointerleave', this.onPointerUp.bind(this) )
 
     const sun = new THREE.DirectionalLight( 0xFFFFFF, 5.0 )
     sun.position.set( 300, 400, 175 )
@@ -77,27 +117,70 @@ let app = {
       color: new THREE.Color( 0x0040C0 )
     })
     
-    // customize THREE.MeshPhongMaterial's vertex shader with onBeforeCompile
+    // swell of the open sea under the ripples, the wind direction is in degrees in the GUI
+    this.swell = new GerstnerWaves( {
+      windDirection: THREE.MathUtils.degToRad( params.windDirection ),
+      amplitude: params.swellAmplitude,
+      choppiness: params.choppiness,
+      enabled: params.swell
+    } )
+
+    // customize THREE.MeshPhongMaterial's vertex and fragment shaders with onBeforeCompile
     // userData is the bridge for passing heightmap data from gpgpu to the water material's uniforms
     this.waterMat.userData.heightmap = { value: null }
+    this.waterMat.userData.heightmapAlpha = { value: 1.0 }
+    this.waterMat.userData.foamMap = { value: null }
+    // defines rather than numbers baked into the shader code, so setResolution() can recompile the material with new ones
+    this.waterMat.defines = {
+      FBO_WIDTH: FBO_WIDTH.toFixed( 1 ),
+      FBO_HEIGHT: FBO_HEIGHT.toFixed( 1 ),
+      GERSTNER_WAVE_COUNT: this.swell.count
+    }
 
     this.waterMat.onBeforeCompile = (shader) => {
       shader.uniforms.heightmap = this.waterMat.userData.heightmap
+      shader.uniforms.heightmapAlpha = this.waterMat.userData.heightmapAlpha
+      shader.uniforms.foamMap = this.waterMat.userData.foamMap
+      Object.assign( shader.uniforms, this.swell.uniforms )
       shader.vertexShader = shader.vertexShader.replace('#include <common>', `
+        ${GerstnerWavesShader}
         uniform sampler2D heightmap;
+        uniform float heightmapAlpha;
+        uniform sampler2D foamMap;
+        varying float vFoam;
+        // height interpolated between the last two simulation steps, see RippleSimulation.update
+        float heightAt( vec2 uv ) {
+          vec2 heights = texture2D( heightmap, uv ).xy;
+          return mix( heights.y, heights.x, heightmapAlpha );
+        }
         #include <common>
       `)
       shader.vertexShader = shader.vertexShader.replace('#include <beginnormal_vertex>', `
         // Compute normal from heightmap
-        vec2 cellSize = vec2( 1.0 / (${FBO_WIDTH.toFixed( 1 )}), 1.0 / ${FBO_HEIGHT.toFixed( 1 )} );
+        vec2 cellSize = vec2( 1.0 / (FBO_WIDTH), 1.0 / FBO_HEIGHT );
         vec3 objectNormal = vec3(
-          ( texture2D( heightmap, uv + vec2( - cellSize.x, 0 ) ).x - texture2D( heightmap, uv + vec2( cellSize.x, 0 ) ).x ) * ${FBO_WIDTH.toFixed( 1 )} / ${GEOM_WIDTH.toFixed( 1 )},
-          ( texture2D( heightmap, uv + vec2( 0, - cellSize.y ) ).x - texture2D( heightmap, uv + vec2( 0, cellSize.y ) ).x ) * ${FBO_HEIGHT.toFixed( 1 )} / ${GEOM_HEIGHT.toFixed( 1 )},
+          ( heightAt( uv + vec2( - cellSize.x, 0 ) ) - heightAt( uv + vec2( cellSize.x, 0 ) ) ) * FBO_WIDTH / ${GEOM_WIDTH.toFixed( 1 )},
+          ( heightAt( uv + vec2( 0, - cellSize.y ) ) - heightAt( uv + vec2( 0, cellSize.y ) ) ) * FBO_HEIGHT / ${GEOM_HEIGHT.toFixed( 1 )},
           1.0 );
+        // the slopes of the ripples add up with the ones of the swell, the y of the swell goes the opposite way of the mesh's y
+        vec3 swellNormal = gerstnerNormal( vec2( position.x, - position.y ) );
+        objectNormal = vec3( objectNormal.xy * swellNormal.z + vec2( swellNormal.x, - swellNormal.y ), swellNormal.z );
       `)
       shader.vertexShader = shader.vertexShader.replace('#include <begin_vertex>', `
-        float heightValue = texture2D( heightmap, uv ).x;
-        vec3 transformed = vec3( position.x, position.y, heightValue );
+        float heightValue = heightAt( uv );
+        // the ripples ride on the swell
+        vec3 swell = gerstnerDisplacement( vec2( position.x, - position.y ) );
+        vec3 transformed = vec3( position.x + swell.x, position.y - swell.y, heightValue + swell.z );
+        vFoam = texture2D( foamMap, uv ).x;
+      `)
+      shader.fragmentShader = shader.fragmentShader.replace('#include <common>', `
+        varying float vFoam;
+        #include <common>
+      `)
+      shader.fragmentShader = shader.fragmentShader.replace('#include <color_fragment>', `
+        #include <color_fragment>
+        // white froth on the crests and in the wakes
+        diffuseColor.rgb = mix( diffuseColor.rgb, vec3( 1.0 ), vFoam );
       `)
     }
 
@@ -108,119 +191,344 @@ let app = {
     this.waterMesh.updateMatrix()
     scene.add( this.waterMesh )
 
-    // Creates the gpu computation class and sets it up
-    this.gpuCompute = new GPUComputationRenderer( FBO_WIDTH, FBO_HEIGHT, renderer )
-    if ( renderer.capabilities.isWebGL2 === false ) {
-      this.gpuCompute.setDataType( THREE.HalfFloatType )
+    // Creates the ripple simulation that computes the heightmap on the gpu
+    this.simulation = new RippleSimulation( renderer, {
+      fboWidth: FBO_WIDTH,
+      fboHeight: FBO_HEIGHT,
+      geomWidth: GEOM_WIDTH,
+      geomHeight: GEOM_HEIGHT,
+      mouseSize: params.mouseSize,
+      viscosity: params.viscosity,
+      waveHeight: params.waveHeight,
+      boundary: params.boundary,
+      solver: params.solver,
+      bathymetry: params.solver === "shallowWater" ? this.createBeachBathymetry() : null,
+      gravity: params.gravity,
+      foam: {},
+      brushStamp: this.createStampCanvas(),
+      fillTexture: createFillTexture( params.initialCondition, { ...INITIAL_CONDITION_OPTIONS[ params.initialCondition ], seed: params.seed } )
+    } )
+
+    // ?snapshot=<url of a file saved with the save snapshot button> opens on that moment instead of the noise
+    const snapshotUrl = new URLSearchParams( window.location.search ).get( 'snapshot' )
+    if ( snapshotUrl !== null ) {
+      const snapshot = await fetchSnapshot( snapshotUrl )
+      if ( snapshot !== null ) {
+        applySnapshot( this.simulation, snapshot )
+      }
     }
 
-    const heightmap0 = this.gpuCompute.createTexture()
-    this.fillTexture( heightmap0 )
-    this.heightmapVariable = this.gpuCompute.addVariable( 'heightmap', HeightmapFragment, heightmap0 )
-    this.gpuCompute.setVariableDependencies( this.heightmapVariable, [ this.heightmapVariable ] )
-
-    this.heightmapVariable.material.uniforms[ 'mousePos' ] = { value: new THREE.Vector2( 10000, 10000 ) }
-    this.heightmapVariable.material.uniforms[ 'mouseSize' ] = { value: params.mouseSize }
-    this.heightmapVariable.material.uniforms[ 'viscosityConstant' ] = { value: params.viscosity }
-    this.heightmapVariable.material.uniforms[ 'waveheightMultiplier' ] = { value: params.waveHeight }
-    this.heightmapVariable.material.defines.GEOM_WIDTH = GEOM_WIDTH.toFixed( 1 )
-    this.heightmapVariable.material.defines.GEOM_HEIGHT = GEOM_HEIGHT.toFixed( 1 )
-
-    const error = this.gpuCompute.init()
-    if ( error !== null ) {
-      console.error( error )
+    // floating objects: a few buoys and a boat sailing in circles
+    this.buoyancy = new Buoyancy( this.simulation, this.waterMesh, this.swell )
+    const buoyMat = new THREE.MeshPhongMaterial( { color: 0xE04020 } )
+    for ( let i = 0; i < 3; i ++ ) {
+      const buoy = new THREE.Mesh( new THREE.SphereGeometry( 6, 16, 8 ), buoyMat )
+      buoy.position.set( - 120 + i * 110, 0, 60 - i * 50 )
+      scene.add( buoy )
+      this.buoyancy.add( buoy, { draft: 2, response: 0.3 } )
     }
+    this.boat = new THREE.Mesh( new THREE.BoxGeometry( 40, 8, 14 ), new THREE.MeshPhongMaterial( { color: 0xF0F0E0 } ) )
+    scene.add( this.boat )
+    this.boatBody = this.buoyancy.add( this.boat, { draft: 2, tilt: 0.8, response: 0.2, wakeRadius: 8, wakeStrength: 0.1 } )
+    this.boatAngle = 0
+
+    // rain, seeded so every visit gets the same shower
+    this.rain = this.simulation.addEmitter( new RainEmitter( {
+      rate: params.rainRate,
+      intensity: params.rainIntensity,
+      seed: 42,
+      running: params.rain
+    } ) )
 
     // GUI controls
     const gui = new dat.GUI()
     gui.add(params, "mouseSize", 1.0, 100.0, 1.0 ).onChange((newVal) => {
-      this.heightmapVariable.material.uniforms[ 'mouseSize' ].value = newVal
+      this.simulation.setMouseSize( newVal )
     })
     gui.add(params, "viscosity", 0.9, 0.999, 0.001 ).onChange((newVal) => {
-      this.heightmapVariable.material.uniforms[ 'viscosityConstant' ].value = newVal
+      this.simulation.setViscosity( newVal )
     })
     gui.add(params, "waveHeight", 0.1, 2.0, 0.05 ).onChange((newVal) => {
-      this.heightmapVariable.material.uniforms[ 'waveheightMultiplier' ].value = newVal
+      this.simulation.setWaveHeight( newVal )
+    })
+    gui.add(params, "boundary", BOUNDARY_MODES ).onChange((newVal) => {
+      this.simulation.setBoundary( newVal )
+    })
+    gui.add(params, "solver", SOLVERS ).onChange((newVal) => {
+      // keeps the other params, e.g. ?snapshot=
+      const search = new URLSearchParams( window.location.search )
+      search.set( 'solver', newVal )
+      window.location.search = search.toString()
+    })
+    gui.add(params, "resolution", RESOLUTIONS ).onChange((newVal) => {
+      this.setResolution( newVal )
+    })
+    gui.add(params, "lilyPads" ).onChange((newVal) => {
+      this.simulation.setDampingMap( newVal ? this.createLilyPadsCanvas() : null )
+    })
+    gui.add(params, "boatSpeed", 0.0, 1.0, 0.05 )
+    const oceanFolder = gui.addFolder("Ocean")
+    oceanFolder.add(params, "swell" ).onChange((newVal) => {
+      this.swell.set( { enabled: newVal } )
+    })
+    oceanFolder.add(params, "windDirection", 0, 360, 5 ).name( 'wind direction' ).onChange((newVal) => {
+      this.swell.set( { windDirection: THREE.MathUtils.degToRad( newVal ) } )
+    })
+    oceanFolder.add(params, "swellAmplitude", 0, 12, 0.5 ).name( 'amplitude' ).onChange((newVal) => {
+      this.swell.set( { amplitude: newVal } )
     })
+    oceanFolder.add(params, "choppiness", 0, 1, 0.05 ).onChange((newVal) => {
+      this.swell.set( { choppiness: newVal } )
+    })
+    const brushFolder = gui.addFolder("Brush")
+    brushFolder.add(params, "brush", BRUSHES )
+    brushFolder.add(params, "brushRotation", 0, 360, 5 ).name( 'rotation' )
+    brushFolder.add(params, "brushStretch", 0.25, 4, 0.05 ).name( 'stretch' )
+    brushFolder.add(params, "pullDown" ).name( 'pull down' )
+    const rainFolder = gui.addFolder("Rain")
+    rainFolder.add(params, "rain" ).onChange((newVal) => {
+      newVal ? this.rain.start() : this.rain.stop()
+    })
+    rainFolder.add(params, "rainRate", 1, 600, 1 ).name( 'drops per second' ).onChange((newVal) => {
+      this.rain.set( { rate: newVal } )
+    })
+    rainFolder.add(params, "rainIntensity", 0.05, 1.0, 0.05 ).name( 'intensity' ).onChange((newVal) => {
+      this.rain.set( { intensity: newVal } )
+    })
+    const initialFolder = gui.addFolder("Initial state")
+    // the image generator needs an image to read, this scene has none
+    initialFolder.add(params, "initialCondition", Object.keys( INITIAL_CONDITIONS ).filter(( name ) => name !== "image") ).name( 'generator' )
+    initialFolder.add(params, "seed", 1, 100, 1 )
+    initialFolder.add( { resetWater: this.resetWater.bind(this) }, 'resetWater' ).name( 'reset water' )
+    const snapshotFolder = gui.addFolder("Snapshot")
+    const snapshotButtons = {
+      save: () => downloadSnapshot( this.simulation, 'water-ripples' ),
+      load: this.loadSnapshotFile.bind(this)
+    }
+    snapshotFolder.add( snapshotButtons, 'save' ).name( 'save snapshot' )
+    snapshotFolder.add( snapshotButtons, 'load' ).name( 'load snapshot' )
+    // records everything that happens to the water, the saved file can be replayed to get the very same ripples
+    this.recorder = null
+    this.player = null
+    const recordingFolder = gui.addFolder("Recording")
+    recordingFolder.add(params, "recording" ).name( 'record' ).onChange((newVal) => {
+      newVal ? this.startRecording() : this.stopRecording()
+    })
+    recordingFolder.add( { replay: this.loadRecordingFile.bind(this) }, 'replay' ).name( 'replay recording' )
+    if ( params.solver === "shallowWater" ) {
+      gui.add(params, "gravity", 50, 600, 10 ).onChange((newVal) => {
+        this.simulation.setGravity( newVal )
+      })
+    }
 
     // Stats - show fps
     this.stats1 = new Stats()
     this.stats1.showPanel(0) // Panel 0 = fps
     this.stats1.domElement.style.cssText = "position:absolute;top:0px;left:0px;"
+    // clicking the overlay cycles through the stability measures of the simulation
+    addStabilityPanels( this.stats1, this.simulation )
     // this.container is the parent DOM element of the threejs canvas element
     this.container.appendChild(this.stats1.domElement)
 
     await updateLoadingProgressBar(1.0, 100)
   },
-  fillTexture( texture ) {
-    const waterMaxHeight = 2;
-    const simplex = new SimplexNoise()
-
-    function layeredNoise( x, y ) {
-      let multR = waterMaxHeight;
-      let mult = 0.025;
-      let r = 0;
-      for ( let i = 0; i < 10; i ++ ) {
-        r += multR * simplex.noise( x * mult, y * mult );
-        multR *= 0.5;
-        mult *= 2;
-      }
-
-      return r;
-    }
-
-    const pixels = texture.image.data;
+  // changes the size of the simulation mid-session, the waves carry over and updateScene rebuilds the water mesh to match
+  setResolution( resolution ) {
+    const [ width, height ] = resolution.split( 'x' ).map( Number )
+    this.simulation.setResolution( width, height )
+  },
+  // rebuilds the water mesh if the displayed simulation changed size (resolution control, replays)
+  fitWaterMesh( simulation ) {
+    const { fboWidth: width, fboHeight: height } = simulation
+    if ( this.waterMat.defines.FBO_WIDTH === width.toFixed( 1 ) && this.waterMat.defines.FBO_HEIGHT === height.toFixed( 1 ) ) return
 
-    let p = 0;
+    // we minus 1 so as to match the number of pixels from the gpgpu texture
+    this.waterMesh.geometry.dispose()
+    this.waterMesh.geometry = new THREE.PlaneGeometry( GEOM_WIDTH, GEOM_HEIGHT, width - 1, height - 1 )
+    this.waterMat.defines.FBO_WIDTH = width.toFixed( 1 )
+    this.waterMat.defines.FBO_HEIGHT = height.toFixed( 1 )
+    this.waterMat.needsUpdate = true
+  },
+  // restarts the water from the generator picked in the GUI
+  resetWater() {
+    const options = { ...INITIAL_CONDITION_OPTIONS[ params.initialCondition ], seed: params.seed }
+    const { fboWidth, fboHeight } = this.simulation
+    this.simulation.writeHeightmap( generateHeightmap( params.initialCondition, options, fboWidth, fboHeight ) )
+  },
+  startRecording() {
+    this.recorder = new InputRecorder( this.simulation, {
+      initialCondition: params.initialCondition,
+      seed: params.seed,
+      rain: { rate: this.rain.rate, intensity: this.rain.intensity, seed: this.rain.seed },
+      boatSpeed: params.boatSpeed
+    } )
+  },
+  // stops recording and saves the recording as a json file
+  stopRecording() {
+    const recording = this.recorder.stop()
+    this.recorder = null
+    const link = document.createElement( 'a' )
+    link.href = URL.createObjectURL( new Blob( [ JSON.stringify( recording ) ], { type: 'application/json' } ) )
+    link.download = 'water-ripples-recording.json'
+    link.click()
+    URL.revokeObjectURL( link.href )
+  },
+  // lets the user pick a recording, the water shows the replay until it ends then goes back to the live simulation
+  loadRecordingFile() {
+    const input = document.createElement( 'input' )
+    input.type = 'file'
+    input.accept = '.json'
+    input.addEventListener( 'change', () => {
+      if ( input.files.length === 0 ) return
+      input.files[ 0 ].text().then(( text ) => {
+        if ( this.player !== null ) {
+          this.player.dispose()
+        }
+        this.player = new InputPlayer( renderer, JSON.parse( text ) )
+      })
+    })
+    input.click()
+  },
+  // lets the user pick a .bin file saved with the save snapshot button and restores the water from it
+  loadSnapshotFile() {
+    const input = document.createElement( 'input' )
+    input.type = 'file'
+    input.accept = '.bin'
+    input.addEventListener( 'change', () => {
+      if ( input.files.length === 0 ) return
+      input.files[ 0 ].arrayBuffer().then(( buffer ) => {
+        const snapshot = decodeSnapshot( buffer )
+        if ( snapshot !== null ) {
+          applySnapshot( this.simulation, snapshot )
+        }
+      })
+    })
+    input.click()
+  },
+  // damping map with a patch of lily pads in the middle of the water, the waves die out as they go through it
+  createLilyPadsCanvas() {
+    const canvas = document.createElement( 'canvas' )
+    canvas.width = FBO_WIDTH
+    canvas.height = FBO_HEIGHT
+    const ctx = canvas.getContext( '2d' )
+    ctx.fillStyle = 'black'
+    ctx.fillRect( 0, 0, canvas.width, canvas.height )
+    const gradient = ctx.createRadialGradient( canvas.width / 2, canvas.height / 2, 0, canvas.width / 2, canvas.height / 2, canvas.width / 4 )
+    gradient.addColorStop( 0, 'rgb(40, 40, 40)' )
+    gradient.addColorStop( 1, 'black' )
+    ctx.fillStyle = gradient
+    ctx.fillRect( 0, 0, canvas.width, canvas.height )
+    return canvas
+  },
+  // image of the stamp brush, a letter W standing for water
+  createStampCanvas() {
+    const canvas = document.createElement( 'canvas' )
+    canvas.width = STAMP_SIZE
+    canvas.height = STAMP_SIZE
+    const ctx = canvas.getContext( '2d' )
+    ctx.fillStyle = 'black'
+    ctx.fillRect( 0, 0, canvas.width, canvas.height )
+    ctx.fillStyle = 'white'
+    ctx.font = `bold ${ STAMP_SIZE * 0.8 }px sans-serif`
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    ctx.fillText( 'W', canvas.width / 2, canvas.height / 2 )
+    return canvas
+  },
+  // sea floor for the shallow water solver: deep water at the front, rising to a beach at the back of the pool
+  createBeachBathymetry() {
+    const depths = new Float32Array( FBO_WIDTH * FBO_HEIGHT )
     for ( let j = 0; j < FBO_HEIGHT; j ++ ) {
+      // rows go from the front (v = 0) to the back (v = 1) of the rotated plane
+      const v = ( j + 0.5 ) / FBO_HEIGHT
       for ( let i = 0; i < FBO_WIDTH; i ++ ) {
-        const x = i * 128 / FBO_WIDTH;
-        const y = j * 128 / FBO_HEIGHT;
-
-        pixels[ p + 0 ] = layeredNoise( x, y );
-        pixels[ p + 1 ] = 0;
-        pixels[ p + 2 ] = 0;
-        pixels[ p + 3 ] = 1;
-
-        p += 4;
+        depths[ j * FBO_WIDTH + i ] = THREE.MathUtils.lerp( 30, - 2, v )
       }
     }
+    return depths
   },
   onPointerMove( event ) {
-    if ( event.isPrimary === false ) return
+    if ( !this.pointers.has( event.pointerId ) ) {
+      this.pointers.set( event.pointerId, { coords: new THREE.Vector2(), moved: false, lastPoint: null, lastTime: 0 } )
+    }
+    const pointer = this.pointers.get( event.pointerId )
     // converting mouse coordinates into -1 to +1 space
-    this.pointer.x = ( event.clientX / window.innerWidth ) * 2 - 1
-    this.pointer.y = - ( event.clientY / window.innerHeight ) * 2 + 1
-    this.mouseMoved = true
+    pointer.coords.x = ( event.clientX / window.innerWidth ) * 2 - 1
+    pointer.coords.y = - ( event.clientY / window.innerHeight ) * 2 + 1
+    pointer.moved = true
+  },
+  // drags the water from where the pointer hit it in its last move, so fast swipes leave a continuous wake
+  stroke( pointer, x, y, elapsed ) {
+    const brush = {
+      brush: params.brush,
+      rotation: THREE.MathUtils.degToRad( params.brushRotation ),
+      scaleX: params.brushStretch,
+      scaleY: 1,
+      sign: params.pullDown ? - 1 : 1
+    }
+    if ( pointer.lastPoint === null ) {
+      this.simulation.disturb( x, y, brush )
+      pointer.lastPoint = new THREE.Vector2( x, y )
+    } else {
+      this.simulation.addStroke( pointer.lastPoint.x, pointer.lastPoint.y, x, y, elapsed - pointer.lastTime, brush )
+      pointer.lastPoint.set( x, y )
+    }
+    pointer.lastTime = elapsed
+  },
+  onPointerUp( event ) {
+    this.pointers.delete( event.pointerId )
   },
   // @param {number} interval - time elapsed between 2 consecutive frames
   // @param {number} elapsed - total time elapsed since app start
   updateScene(interval, elapsed) {
     this.stats1.update()
+    this.swell.update( interval )
+
+    // while a recording replays, the live water, the pointers and the floating objects wait
+    if ( this.player !== null && this.player.finished ) {
+      this.player.dispose()
+      this.player = null
+    }
+    if ( this.player !== null ) {
+      this.player.update( interval )
+      this.fitWaterMesh( this.player.simulation )
+      this.waterMat.userData.heightmap.value = this.player.simulation.getHeightTexture()
+      this.waterMat.userData.heightmapAlpha.value = this.player.simulation.alpha
+      this.waterMat.userData.foamMap.value = this.player.simulation.getFoamTexture()
+      return
+    }
 
-    // Set uniforms: mouse interaction
-    const hmUniforms = this.heightmapVariable.material.uniforms
-    if ( this.mouseMoved ) {
-      this.raycaster.setFromCamera( this.pointer, camera )
+    // Pointer interaction: one ripple per pointer that moved since the last frame
+    this.pointers.forEach(( pointer ) => {
+      if ( !pointer.moved ) return
+      this.raycaster.setFromCamera( pointer.coords, camera )
       const intersects = this.raycaster.intersectObject( this.waterMesh )
 
       if ( intersects.length > 0 ) {
         const point = intersects[ 0 ].point
         // point is in world coordinates
-        hmUniforms[ 'mousePos' ].value.set( point.x, point.z )
+        this.stroke( pointer, point.x, point.z, elapsed )
       } else {
-        hmUniforms[ 'mousePos' ].value.set( 10000, 10000 )
+        pointer.lastPoint = null
       }
 
-      this.mouseMoved = false
-    } else {
-      hmUniforms[ 'mousePos' ].value.set( 10000, 10000 )
-    }
+      pointer.moved = false
+    })
+
+    // Do the gpgpu computation, in fixed timesteps so the waves move at the same speed on any display
+    this.simulation.update( interval )
 
-    // Do the gpgpu computation
-    this.gpuCompute.compute()
+    this.fitWaterMesh( this.simulation )
+    this.waterMat.userData.heightmap.value = this.simulation.getHeightTexture()
+    this.waterMat.userData.heightmapAlpha.value = this.simulation.alpha
+    this.waterMat.userData.foamMap.value = this.simulation.getFoamTexture()
 
-    this.waterMat.userData.heightmap.value = this.gpuCompute.getCurrentRenderTarget( this.heightmapVariable ).texture
+    // sail the boat around a circle, the buoyancy helper handles its height, tilt and wake
+    this.boatAngle += params.boatSpeed * interval
+    this.boat.position.x = Math.cos( this.boatAngle ) * 150
+    this.boat.position.z = Math.sin( this.boatAngle ) * 150
+    this.boatBody.heading = - this.boatAngle - Math.PI / 2
+    this.buoyancy.update( interval )
   }
 }
 
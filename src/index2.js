@@ -1,19 +1,20 @@
 // ThreeJS and Third-party deps
 import * as THREE from "three"
 import * as dat from 'dat.gui'
-import Stats from "three/examples/jsm/libs/stats.module"
-import { GPUComputationRenderer } from "three/examples/jsm/misc/GPUComputationRenderer"
-import { SimplexNoise } from "three/examples/jsm/math/SimplexNoise"
+import Stats from "three/examples/jsm/libs/stats.module.js"
 
 // Core boilerplate code deps
-import { createRenderer, runApp, updateLoadingProgressBar } from "./core-utils"
+import { createRenderer, runApp, updateLoadingProgressBar } from "./core-utils.js"
 
 // Other deps
-import { loadTexture } from "./common-utils"
+import { createFillTexture } from "./initial-conditions.js"
+import { RippleSimulation } from "./ripple-simulation.js"
+import { BOUNDARY_MODES } from "./simulation-constants.js"
+import { addStabilityPanels } from "./stability-panels.js"
+import { addCalmFolder } from "./calm-controls.js"
+import { loadTexture } from "./common-utils.js"
 import WaterVertex from "./shaders/waterVertex.glsl"
 import WaterFragment from "./shaders/waterFragment.glsl"
-import HeightmapFragment from "./shaders/heightmapFragment.glsl"
-import SmoothFragment from "./shaders/smoothFragment.glsl"
 import Mountains from "./assets/mountains.jpg"
 
 global.THREE = THREE
@@ -28,17 +29,20 @@ const params = {
   // general scene params
   mouseSize: 20.0,
   viscosity: 0.98,
-  waveHeight: 0.3
+  waveHeight: 0.3,
+  boundary: "reflective",
+  resolution: "512x256"
 }
 
 // Texture width for simulation
 const FBO_WIDTH = 512
 const FBO_HEIGHT = 256
+// simulation sizes to pick from, coarser grids for slower devices, FBO_WIDTH/FBO_HEIGHT being the one to start with
+const RESOLUTIONS = [ "512x256", "256x128", "128x64" ]
 // Water size in system units
 const GEOM_WIDTH = window.innerWidth
 const GEOM_HEIGHT = window.innerWidth / 2
 
-const simplex = new SimplexNoise()
 
 /**************************************************
  * 1. Initialize core threejs components
@@ -80,12 +84,15 @@ let app = {
 
     await updateLoadingProgressBar(0.1)
 
-    this.mouseMoved = false
-    this.mouseCoords = new THREE.Vector2()
+    // active pointers (mouse, fingers, pens) by pointerId, so every finger on a tablet makes its own ripples
+    this.pointers = new Map()
     this.raycaster = new THREE.Raycaster()
 
     this.container.style.touchAction = 'none'
     this.container.addEventListener( 'pointermove', this.onPointerMove.bind(this) )
+    this.container.addEventListener( 'pointerup', this.onPointerUp.bind(this) )
+    this.container.addEventListener( 'pointercancel', this.onPointerUp.bind(this) )
+    this.container.addEventListener( 'pointerleave', this.onPointerUp.bind(this) )
 
     const sun = new THREE.DirectionalLight( 0xFFFFFF, 5.0 )
     sun.position.set( 300, 400, 175 )
@@ -105,6 +112,8 @@ let app = {
         THREE.ShaderLib[ 'phong' ].uniforms,
         {
           'heightmap': { value: null },
+          'heightmapAlpha': { value: 1.0 },
+          'foamMap': { value: null },
         }
       ] ),
       vertexShader: WaterVertex,
@@ -141,113 +150,85 @@ let app = {
 
     scene.add( this.waterMesh )
 
-    // Creates the gpu computation class and sets it up
-    this.gpuCompute = new GPUComputationRenderer( FBO_WIDTH, FBO_HEIGHT, renderer )
-
-    if ( renderer.capabilities.isWebGL2 === false ) {
-      this.gpuCompute.setDataType( THREE.HalfFloatType )
-    }
-
-    const heightmap0 = this.gpuCompute.createTexture()
-
-    this.fillTexture( heightmap0 )
-
-    this.heightmapVariable = this.gpuCompute.addVariable( 'heightmap', HeightmapFragment, heightmap0 )
-
-    this.gpuCompute.setVariableDependencies( this.heightmapVariable, [ this.heightmapVariable ] )
-
-    this.heightmapVariable.material.uniforms[ 'mousePos' ] = { value: new THREE.Vector2( 10000, 10000 ) }
-    this.heightmapVariable.material.uniforms[ 'mouseSize' ] = { value: 20.0 }
-    this.heightmapVariable.material.uniforms[ 'viscosityConstant' ] = { value: 0.98 }
-    this.heightmapVariable.material.uniforms[ 'waveheightMultiplier' ] = { value: 0.3 }
-    this.heightmapVariable.material.defines.GEOM_WIDTH = GEOM_WIDTH.toFixed( 1 )
-    this.heightmapVariable.material.defines.GEOM_HEIGHT = GEOM_HEIGHT.toFixed( 1 )
-
-    const error = this.gpuCompute.init()
-    if ( error !== null ) {
-      console.error( error )
-    }
-
-    // Create compute shader to smooth the water surface and velocity
-    this.smoothShader = this.gpuCompute.createShaderMaterial( SmoothFragment, { smoothTexture: { value: null } } )
+    // Creates the ripple simulation that computes the heightmap on the gpu
+    this.simulation = new RippleSimulation( renderer, {
+      fboWidth: FBO_WIDTH,
+      fboHeight: FBO_HEIGHT,
+      geomWidth: GEOM_WIDTH,
+      geomHeight: GEOM_HEIGHT,
+      mouseSize: params.mouseSize,
+      viscosity: params.viscosity,
+      waveHeight: params.waveHeight,
+      boundary: params.boundary,
+      foam: {},
+      fillTexture: createFillTexture( "fractalNoise", { amplitude: 2, octaves: 15, persistence: 0.53, persistenceGrowth: 0.025, lacunarity: 1.25 } )
+    } )
 
     // GUI controls
     const gui = new dat.GUI()
     gui.add(params, "mouseSize", 1.0, 100.0, 1.0 ).onChange((newVal) => {
-      this.heightmapVariable.material.uniforms[ 'mouseSize' ].value = newVal
+      this.simulation.setMouseSize( newVal )
     })
     gui.add(params, "viscosity", 0.9, 0.999, 0.001 ).onChange((newVal) => {
-      this.heightmapVariable.material.uniforms[ 'viscosityConstant' ].value = newVal
+      this.simulation.setViscosity( newVal )
     })
     gui.add(params, "waveHeight", 0.1, 2.0, 0.05 ).onChange((newVal) => {
-      this.heightmapVariable.material.uniforms[ 'waveheightMultiplier' ].value = newVal
+      this.simulation.setWaveHeight( newVal )
     })
-    const buttonSmooth = {
-      smoothWater: this.smoothWater.bind(this)
-    }
-    gui.add( buttonSmooth, 'smoothWater' )
+    gui.add(params, "boundary", BOUNDARY_MODES ).onChange((newVal) => {
+      this.simulation.setBoundary( newVal )
+    })
+    gui.add(params, "resolution", RESOLUTIONS ).onChange((newVal) => {
+      this.setResolution( newVal )
+    })
+    addCalmFolder( gui, this.simulation )
 
     // Stats - show fps
     this.stats1 = new Stats()
     this.stats1.showPanel(0) // Panel 0 = fps
     this.stats1.domElement.style.cssText = "position:absolute;top:0px;left:0px;"
+    // clicking the overlay cycles through the stability measures of the simulation
+    addStabilityPanels( this.stats1, this.simulation )
     // this.container is the parent DOM element of the threejs canvas element
     this.container.appendChild(this.stats1.domElement)
 
     await updateLoadingProgressBar(1.0, 100)
   },
-  fillTexture( texture ) {
-    const waterMaxHeight = 2;
-
-    function noise( x, y ) {
-      let multR = waterMaxHeight;
-      let mult = 0.025;
-      let r = 0;
-      for ( let i = 0; i < 15; i ++ ) {
-        r += multR * simplex.noise( x * mult, y * mult );
-        multR *= 0.53 + 0.025 * i;
-        mult *= 1.25;
-      }
-
-      return r;
-    }
-
-    const pixels = texture.image.data;
-
-    let p = 0;
-    for ( let j = 0; j < FBO_HEIGHT; j ++ ) {
-      for ( let i = 0; i < FBO_WIDTH; i ++ ) {
-        const x = i * 128 / FBO_WIDTH;
-        const y = j * 128 / FBO_HEIGHT;
-
-        pixels[ p + 0 ] = noise( x, y );
-        pixels[ p + 1 ] = 0;
-        pixels[ p + 2 ] = 0;
-        pixels[ p + 3 ] = 1;
-
-        p += 4;
-      }
-    }
+  // changes the size of the simulation mid-session and rebuilds the water surface to match, the waves carry over
+  setResolution( resolution ) {
+    const [ width, height ] = resolution.split( 'x' ).map( Number )
+    this.simulation.setResolution( width, height )
+
+    this.waterMesh.geometry.dispose()
+    this.waterMesh.geometry = new THREE.PlaneGeometry( GEOM_WIDTH, GEOM_HEIGHT, width, height )
+    this.waterMesh.material.defines.FBO_WIDTH = width.toFixed( 1 )
+    this.waterMesh.material.defines.FBO_HEIGHT = height.toFixed( 1 )
+    this.waterMesh.material.needsUpdate = true
   },
-  smoothWater() {
-    const currentRenderTarget = this.gpuCompute.getCurrentRenderTarget( this.heightmapVariable )
-    const alternateRenderTarget = this.gpuCompute.getAlternateRenderTarget( this.heightmapVariable )
-
-    for ( let i = 0; i < 10; i ++ ) {
-      this.smoothShader.uniforms[ 'smoothTexture' ].value = currentRenderTarget.texture
-      this.gpuCompute.doRenderTarget( this.smoothShader, alternateRenderTarget )
-
-      this.smoothShader.uniforms[ 'smoothTexture' ].value = alternateRenderTarget.texture
-      this.gpuCompute.doRenderTarget( this.smoothShader, currentRenderTarget )
+  setPointerCoords( pointerId, x, y ) {
+    if ( !this.pointers.has( pointerId ) ) {
+      this.pointers.set( pointerId, { coords: new THREE.Vector2(), moved: false, lastPoint: null, lastTime: 0 } )
     }
-  },
-  setMouseCoords( x, y ) {
-    this.mouseCoords.set( ( x / renderer.domElement.clientWidth ) * 2 - 1, ( y / renderer.domElement.clientHeight ) * 2 - 1 )
-    this.mouseMoved = true
+    const pointer = this.pointers.get( pointerId )
+    pointer.coords.set( ( x / renderer.domElement.clientWidth ) * 2 - 1, ( y / renderer.domElement.clientHeight ) * 2 - 1 )
+    pointer.moved = true
   },
   onPointerMove( event ) {
-    if ( event.isPrimary === false ) return
-    this.setMouseCoords( event.clientX, event.clientY )
+    this.setPointerCoords( event.pointerId, event.clientX, event.clientY )
+  },
+  // drags the water from where the pointer hit it in its last move, so fast swipes leave a continuous wake
+  stroke( pointer, x, y, elapsed ) {
+    if ( pointer.lastPoint === null ) {
+      this.simulation.disturb( x, y )
+      pointer.lastPoint = new THREE.Vector2( x, y )
+    } else {
+      this.simulation.addStroke( pointer.lastPoint.x, pointer.lastPoint.y, x, y, elapsed - pointer.lastTime )
+      pointer.lastPoint.set( x, y )
+    }
+    pointer.lastTime = elapsed
+  },
+  onPointerUp( event ) {
+    this.pointers.delete( event.pointerId )
   },
   resize() {
     camera.left = window.innerWidth / -2
@@ -262,31 +243,31 @@ let app = {
     // this.controls.update()
     this.stats1.update()
 
-    // Set uniforms: mouse interaction
-    const hmUniforms = this.heightmapVariable.material.uniforms
-    if ( this.mouseMoved ) {
+    // Pointer interaction: one ripple per pointer that moved since the last frame
+    this.pointers.forEach(( pointer ) => {
+      if ( !pointer.moved ) return
 
-      this.raycaster.setFromCamera( this.mouseCoords, camera )
+      this.raycaster.setFromCamera( pointer.coords, camera )
 
       const intersects = this.raycaster.intersectObject( this.waterMesh )
 
       if ( intersects.length > 0 ) {
         const point = intersects[ 0 ].point
-        hmUniforms[ 'mousePos' ].value.set( point.x, point.y )
+        this.stroke( pointer, point.x, point.y, elapsed )
       } else {
-        hmUniforms[ 'mousePos' ].value.set( 10000, 10000 )
+        pointer.lastPoint = null
       }
 
-      this.mouseMoved = false
-    } else {
-      hmUniforms[ 'mousePos' ].value.set( 10000, 10000 )
-    }
+      pointer.moved = false
+    })
 
-    // Do the gpu computation
-    this.gpuCompute.compute()
+    // Do the gpu computation, in fixed timesteps so the waves move at the same speed on any display
+    this.simulation.update( interval )
 
     // Get compute output in custom uniform
-    this.waterUniforms[ 'heightmap' ].value = this.gpuCompute.getCurrentRenderTarget( this.heightmapVariable ).texture
+    this.waterUniforms[ 'heightmap' ].value = this.simulation.getHeightTexture()
+    this.waterUniforms[ 'heightmapAlpha' ].value = this.simulation.alpha
+    this.waterUniforms[ 'foamMap' ].value = this.simulation.getFoamTexture()
   }
 }
 
@@ -1,17 +1,23 @@
 // ThreeJS and Third-party deps
 import * as THREE from "three"
 import * as dat from 'dat.gui'
-import Stats from "three/examples/jsm/libs/stats.module"
-import { GPUComputationRenderer } from "three/examples/jsm/misc/GPUComputationRenderer"
-import { SimplexNoise } from "three/examples/jsm/math/SimplexNoise"
+import Stats from "three/examples/jsm/libs/stats.module.js"
 
 // Core boilerplate code deps
-import { createCamera, createRenderer, runApp, updateLoadingProgressBar, getDefaultUniforms } from "./core-utils"
+import { createCamera, createRenderer, runApp, updateLoadingProgressBar, getDefaultUniforms } from "./core-utils.js"
 
 // Other deps
-import { loadTexture } from "./common-utils"
-import HeightmapFragment from "./shaders/heightmapFragment.glsl"
-import SmoothFragment from "./shaders/smoothFragment.glsl"
+import { LineEmitter, PointEmitter } from "./emitters.js"
+import { createFillTexture } from "./initial-conditions.js"
+import { RippleSimulation } from "./ripple-simulation.js"
+import { BOUNDARY_MODES } from "./simulation-constants.js"
+import { addStabilityPanels } from "./stability-panels.js"
+import { addCalmFolder } from "./calm-controls.js"
+import { createMaskFromPolygons } from "./obstacle-mask.js"
+import { loadTexture } from "./common-utils.js"
+import { PoolCaustics } from "./pool-caustics.js"
+import { UnderwaterView } from "./underwater-view.js"
+import { SurfaceQuery } from "./surface-query.js"
 // mosaic pattern from https://www.sketchuptextureclub.com/textures/architecture/tiles-interior/mosaico/pool-tiles/mosaico-pool-tiles-texture-seamless-15699
 import Mosaic from "./assets/mosaic.jpg"
 import PoolSide from "./assets/Poolside3.jpg"
@@ -21,8 +27,6 @@ global.THREE = THREE
 // turning this on has the benefit of doing certain automatic conversions (for hexadecimal and CSS colors from sRGB to linear-sRGB)
 THREE.ColorManagement.enabled = true
 
-// reference from https://tympanus.net/codrops/2020/01/07/playing-with-texture-projection-in-three-js/
-
 /**************************************************
  * 0. Tweakable parameters for the scene
  *************************************************/
@@ -31,6 +35,22 @@ const params = {
   mouseSize: 20.0,
   viscosity: 0.999,
   waveHeight: 0.5,
+  boundary: "reflective",
+  emitters: true,
+  emitterFrequency: 0.8,
+  resolution: "512x256",
+  // height of the water at rest in world units
+  waterLevel: 230,
+  // the sun in degrees, above the horizon and around from the front of the pool (+z) towards +x
+  sunElevation: 60,
+  sunAzimuth: 40,
+  // the camera: height in world units, distance from the center of the pool and angle around it in degrees (0 in front, +z),
+  // looking towards the middle of the pool tilted up or down by cameraTilt degrees, inside the pool and below the waves it dives
+  // it starts in front of the pool below the water level, looking at the waves from below through the glass
+  cameraHeight: 0,
+  cameraDistance: 500,
+  cameraAngle: 0,
+  cameraTilt: 0,
 }
 
 const uniforms = {
@@ -40,11 +60,18 @@ const uniforms = {
 // Texture width for simulation
 const FBO_WIDTH = 512
 const FBO_HEIGHT = 256
+// simulation sizes to pick from, coarser grids for slower devices, FBO_WIDTH/FBO_HEIGHT being the one to start with
+const RESOLUTIONS = [ "512x256", "256x128", "128x64" ]
 // Water size in system units
 const GEOM_WIDTH = 1000
 const GEOM_HEIGHT = 1000 / 2
+// Thickness of the pool walls in system units, the water inside the walls reflects off them
+const POOL_WALL = 4
+// Height of the pool box in world units, centered on the origin, the water spanning it from side to side
+const POOL_HEIGHT = 500
+// Distance of the sun from the center of the pool in world units, only its direction matters
+const SUN_DISTANCE = 1000
 
-const simplex = new SimplexNoise()
 
 /**************************************************
  * 1. Initialize core threejs components
@@ -90,17 +117,20 @@ let app = {
 
     await updateLoadingProgressBar(0.3)
 
-    this.mouseMoved = false
-    this.mouseCoords = new THREE.Vector2()
+    // active pointers (mouse, fingers, pens) by pointerId, so every finger on a tablet makes its own ripples
+    this.pointers = new Map()
     this.raycaster = new THREE.Raycaster()
 
     this.container.style.touchAction = 'none'
     this.container.addEventListener( 'pointermove', this.onPointerMove.bind(this) )
+    this.container.addEventListener( 'pointerup', this.onPointerUp.bind(this) )
+    this.container.addEventListener( 'pointercancel', this.onPointerUp.bind(this) )
+    this.container.addEventListener( 'pointerleave', this.onPointerUp.bind(this) )
 
     // set up lighting
-    const sun = new THREE.DirectionalLight( 0xFFFFFF, 2.5 )
-    sun.position.set( 300, 800, 350 )
-    scene.add( sun )
+    this.sun = new THREE.DirectionalLight( 0xFFFFFF, 2.5 )
+    this.setSun( params.sunElevation, params.sunAzimuth )
+    scene.add( this.sun )
     const ambient = new THREE.AmbientLight( 0xFFFFFF, 0.7 )
     scene.add( ambient )
 
@@ -115,36 +145,20 @@ let app = {
 
     const geometry = new THREE.PlaneGeometry( GEOM_WIDTH, GEOM_HEIGHT, FBO_WIDTH, FBO_HEIGHT )
 
-    // create a new camera from which to project
-    let cam2 = new THREE.OrthographicCamera(-600, 600, 500, -500, 1, 2000)
-    cam2.position.set(300, 800, 350)
-    cam2.lookAt(0,0,0)
-    // make sure the cam2 matrices are updated
-    cam2.updateProjectionMatrix()
-    cam2.updateMatrixWorld()
-    cam2.updateWorldMatrix()
-    // get the matrices from the camera so they're fixed in camera's original position
-    // viewMatrixCamera tested by maths to show it does transforms world coordinates to p-cam's view coordinates
-    // modelMatrixCamera tested by maths to show it is the inverse of viewMatrixCamera
-    const viewMatrixCamera = cam2.matrixWorldInverse.clone()
-    const projectionMatrixCamera = cam2.projectionMatrix.clone()
-    const projectionMatrixInverseCamera = cam2.projectionMatrixInverse.clone()
-    const modelMatrixCamera = cam2.matrixWorld.clone()
-
-    // plane equation: https://tutorial.math.lamar.edu/classes/calciii/eqnsofplanes.aspx
-    let plane_point = new THREE.Vector3(0,250,0)
-    // previous mistake I made here is to directly apply the matrix transformation to the unit normal vector...
-    // don't make the same mistake again next time caz that costed me a whole day to figure out what's wrong
-    let n_pt1 = new THREE.Vector3(0,250,0)
-    let n_pt2 = new THREE.Vector3(0,251,0)
-    let pool_view_npt1 = n_pt1.applyMatrix4(viewMatrixCamera)
-    let pool_view_npt2 = n_pt2.applyMatrix4(viewMatrixCamera)
-    let pool_view_nv = pool_view_npt2.sub(pool_view_npt1)
-    let pool_view_pt = plane_point.applyMatrix4(viewMatrixCamera)
-    let coef_d = pool_view_nv.x * pool_view_pt.x + pool_view_nv.y * pool_view_pt.y + pool_view_nv.z * pool_view_pt.z
-    let plane_coefs = new THREE.Vector4(pool_view_nv.x, pool_view_nv.y, pool_view_nv.z, coef_d)
-    
-    this.poolGeom = new THREE.BoxGeometry(1000,500,500,1,1,1)
+    // the caustics follow the sun and the water level, see pool-caustics.js
+    const poolBox = new THREE.Box3(
+      new THREE.Vector3( - GEOM_WIDTH / 2, - POOL_HEIGHT / 2, - GEOM_HEIGHT / 2 ),
+      new THREE.Vector3( GEOM_WIDTH / 2, POOL_HEIGHT / 2, GEOM_HEIGHT / 2 )
+    )
+    this.caustics = new PoolCaustics( renderer, {
+      box: poolBox,
+      waterLevel: params.waterLevel,
+      light: this.sun,
+      fboWidth: FBO_WIDTH,
+      fboHeight: FBO_HEIGHT
+    } )
+
+    this.poolGeom = new THREE.BoxGeometry(GEOM_WIDTH,POOL_HEIGHT,GEOM_HEIGHT,1,1,1)
 
     // testing override
     this.poolMat = new THREE.MeshPhongMaterial({
@@ -157,83 +171,14 @@ let app = {
       map: PoolSquareTexture,
       side: THREE.BackSide,
     })
+    // the top of the pool is open, from inside the pool it would hide the sky
     this.poolMatRf = new THREE.MeshBasicMaterial({
-      color: 0xffffff,
-      transparent: true,
+      visible: false,
     })
 
-    // add custom shader code to the pool materials
-    this.poolMat.userData.heightmap = { value: null }
-    const obc_poolmat = (shader) => {
-      shader.uniforms.heightmap = this.poolMat.userData.heightmap
-      shader.uniforms.viewMatrixCamera = { type: 'm4', value: viewMatrixCamera }
-      shader.uniforms.projectionMatrixCamera = { type: 'm4', value: projectionMatrixCamera }
-      shader.uniforms.projectionMatrixInverseCamera = { type: 'm4', value: projectionMatrixInverseCamera }
-      shader.uniforms.modelMatrixCamera = { type: 'mat4', value: modelMatrixCamera }
-      shader.uniforms.plane_coefs = { type: 'v4', value: plane_coefs }
-      shader.vertexShader = shader.vertexShader.replace('#include <common>', `
-        uniform mat4 viewMatrixCamera;
-        uniform mat4 projectionMatrixCamera;
-        uniform mat4 projectionMatrixInverseCamera;
-        uniform mat4 modelMatrixCamera;
-        uniform vec4 plane_coefs;
-        varying vec2 poolUv;
-
-        #include <common>
-      `);
-      shader.vertexShader = shader.vertexShader.replace('#include <begin_vertex>', `
-        #include <begin_vertex>
-
-        // first we need to get the coordinates of the pool as seen from the projector cam
-        vec4 vTexCoords = viewMatrixCamera * modelMatrix * vec4(position, 1.0);
-        vec4 vPoolCoords = vTexCoords;
-        // then we "lift up" those coordinates to the plane of the pool surface,
-        // note that the plane equation we use here is already in projector cam's view space
-        vPoolCoords.z = (plane_coefs.w - plane_coefs.x * vTexCoords.x - plane_coefs.y * vTexCoords.y) / plane_coefs.z;
-        // get world coordinates of the pool surface by transforming back from projector cam's view space
-        vPoolCoords = modelMatrixCamera * vPoolCoords;
-        // further transform those into uv coordinates of the pool surface
-        // todo: parametrize these numbers
-        poolUv = (vPoolCoords.xz + vec2(500., 250.)) / vec2(1000.,500.);
-        // inverse the v coords to be correct
-        poolUv.y = 1. - poolUv.y;
-      `);
-      shader.fragmentShader = shader.fragmentShader.replace('#include <common>', `
-        uniform sampler2D heightmap;
-        varying vec2 poolUv;
-
-        #include <common>
-      `);
-      shader.fragmentShader = shader.fragmentShader.replace('vec4 diffuseColor = vec4( diffuse, opacity );', `
-        vec4 diffuseColor = vec4( diffuse, opacity );
-
-        vec3 refractedPoolLight = vec3(0.);
-
-        if (poolUv.x >= 0. && poolUv.x <= 1. && poolUv.y >= 0. && poolUv.y <= 1.) {
-          // raise base luminosity to simulate sun light hitting the pool at an angle
-          diffuseColor.rgb += vec3(1.0,1.0,1.0);
-        }
-        // hand-calibrated thresholds such that the refracted lights do not creep through over the water surface
-        if (poolUv.x >= 0.007 && poolUv.x <= 1. && poolUv.y >= 0. && poolUv.y <= 0.985) {
-          vec4 hm = texture2D(heightmap, poolUv);
-          float hV = hm.x;
-
-          // we would like to mimick real life sunlight refractions in swimming pools
-          // so we need a texture that accentuates the lit pixels, creating a cell-like grid with thin light seams
-          // to do this we'd need to first abs the original heightmap values, to create those accute turns
-          // square-rooting it next further accentuates those sharp turns
-          // however until now these sharp turns are still touching y=0, which means they are dark seams instead of light seams
-          // so we'd need to reverse the curve by deducting it from a higher number, which is where the "energy" value eV is introduced
-          // we can use a fixed number as long as we keep pumping out waves (if waves die away, the pool will light up more and more)
-          float lightPattern = pow(3.-pow(abs(hV),0.5), 2.) * 0.3;
-          
-          refractedPoolLight = vec3(lightPattern);
-        }
-        diffuseColor.rgb += refractedPoolLight;
-      `);
-    }
-    this.poolMat.onBeforeCompile = obc_poolmat
-    this.poolMatSq.onBeforeCompile = obc_poolmat
+    // light the pool with the caustics
+    this.caustics.patchMaterial( this.poolMat )
+    this.caustics.patchMaterial( this.poolMatSq )
 
     this.pool = new THREE.Mesh(this.poolGeom, [
       this.poolMatSq, //px
@@ -251,14 +196,23 @@ let app = {
       roughness: 0.2,
       transmission: 1,
       thickness: 1.5,
-      side: THREE.BackSide
+      // seen from below through the side of the pool too, like from the default camera, and hit by the pointer from there
+      side: THREE.DoubleSide,
     })
     // add custom shader code to the pool materials
     this.surfaceMat.userData.heightmap = { value: null }
+    this.surfaceMat.userData.heightmapAlpha = { value: 1.0 }
     const obc_surfaceMat = (shader) => {
       shader.uniforms.heightmap = this.surfaceMat.userData.heightmap
+      shader.uniforms.heightmapAlpha = this.surfaceMat.userData.heightmapAlpha
       shader.vertexShader = shader.vertexShader.replace('#include <common>', `
         uniform sampler2D heightmap;
+        uniform float heightmapAlpha;
+        // height interpolated between the last two simulation steps, see RippleSimulation.update
+        float heightAt( vec2 uv ) {
+          vec2 heights = texture2D( heightmap, uv ).xy;
+          return mix( heights.y, heights.x, heightmapAlpha );
+        }
 
         #include <common>
       `);
@@ -266,12 +220,12 @@ let app = {
         // Compute normal from heightmap
         vec2 cellSize = vec2( 1.0 / (FBO_WIDTH), 1.0 / FBO_HEIGHT );
         vec3 objectNormal = vec3(
-            ( texture2D( heightmap, uv + vec2( - cellSize.x, 0 ) ).x - texture2D( heightmap, uv + vec2( cellSize.x, 0 ) ).x ) * FBO_WIDTH / GEOM_WIDTH,
-            ( texture2D( heightmap, uv + vec2( 0, - cellSize.y ) ).x - texture2D( heightmap, uv + vec2( 0, cellSize.y ) ).x ) * FBO_HEIGHT / GEOM_HEIGHT,
+            ( heightAt( uv + vec2( - cellSize.x, 0 ) ) - heightAt( uv + vec2( cellSize.x, 0 ) ) ) * FBO_WIDTH / GEOM_WIDTH,
+            ( heightAt( uv + vec2( 0, - cellSize.y ) ) - heightAt( uv + vec2( 0, cellSize.y ) ) ) * FBO_HEIGHT / GEOM_HEIGHT,
             1.0 );
       `);
       shader.vertexShader = shader.vertexShader.replace('#include <begin_vertex>', `
-        float heightValue = texture2D( heightmap, uv ).x;
+        float heightValue = heightAt( uv );
         vec3 transformed = vec3( position.x, position.y, heightValue );
       `);
     }
@@ -284,119 +238,184 @@ let app = {
 
     this.waterMesh = new THREE.Mesh( geometry, this.surfaceMat )
     this.waterMesh.rotation.x = -Math.PI/2
-    this.waterMesh.position.y = 230
+    this.waterMesh.position.y = params.waterLevel
     this.waterMesh.matrixAutoUpdate = false
     this.waterMesh.updateMatrix()
 
     scene.add( this.waterMesh )
 
-    // Creates the gpu computation class and sets it up
-    this.gpuCompute = new GPUComputationRenderer( FBO_WIDTH, FBO_HEIGHT, renderer )
-
-    if ( renderer.capabilities.isWebGL2 === false ) {
-      this.gpuCompute.setDataType( THREE.HalfFloatType )
-    }
-
-    const heightmap0 = this.gpuCompute.createTexture()
-    this.fillTexture( heightmap0 )
-
-    this.heightmapVariable = this.gpuCompute.addVariable( 'heightmap', HeightmapFragment, heightmap0 )
-
-    this.gpuCompute.setVariableDependencies( this.heightmapVariable, [ this.heightmapVariable ] )
-
-    this.heightmapVariable.material.uniforms[ 'mousePos' ] = { value: new THREE.Vector2( 10000, 10000 ) }
-    this.heightmapVariable.material.uniforms[ 'mouseSize' ] = { value: params.mouseSize }
-    this.heightmapVariable.material.uniforms[ 'viscosityConstant' ] = { value: params.viscosity }
-    this.heightmapVariable.material.uniforms[ 'waveheightMultiplier' ] = { value: params.waveHeight }
-    this.heightmapVariable.material.defines.GEOM_WIDTH = GEOM_WIDTH.toFixed( 1 )
-    this.heightmapVariable.material.defines.GEOM_HEIGHT = GEOM_HEIGHT.toFixed( 1 )
-
-    const error = this.gpuCompute.init()
-    if ( error !== null ) {
-      console.error( error )
-    }
+    // the underside of the water and the fog under it, the top of the water above only shows while the camera is out of the water
+    this.underwater = new UnderwaterView( this.waterMesh, {
+      box: poolBox,
+      waterLevel: params.waterLevel,
+      light: this.sun
+    } )
+    scene.add( this.underwater.mesh )
+    this.underwater.patchMaterial( this.poolMat )
+    this.underwater.patchMaterial( this.poolMatSq )
+
+    // Creates the ripple simulation that computes the heightmap on the gpu
+    this.simulation = new RippleSimulation( renderer, {
+      fboWidth: FBO_WIDTH,
+      fboHeight: FBO_HEIGHT,
+      geomWidth: GEOM_WIDTH,
+      geomHeight: GEOM_HEIGHT,
+      mouseSize: params.mouseSize,
+      viscosity: params.viscosity,
+      waveHeight: params.waveHeight,
+      boundary: params.boundary,
+      fillTexture: createFillTexture( "fractalNoise", { amplitude: 0.8, octaves: 10, persistence: 0.3, persistenceGrowth: 0.025, lacunarity: 1.25 } ),
+      obstacleMask: this.createPoolWalls( FBO_WIDTH, FBO_HEIGHT )
+    } )
+
+    // keep the waves moving: a wave-maker along the front edge of the pool and two bobbing floats
+    this.emitters = [
+      new LineEmitter( {
+        x: - GEOM_WIDTH / 2 + POOL_WALL * 4, y: GEOM_HEIGHT / 2 - POOL_WALL * 4,
+        endX: GEOM_WIDTH / 2 - POOL_WALL * 4, endY: GEOM_HEIGHT / 2 - POOL_WALL * 4,
+        radius: 10, amplitude: 0.1, frequency: params.emitterFrequency
+      } ),
+      new PointEmitter( { x: - GEOM_WIDTH / 4, y: 0, radius: 15, amplitude: 0.2, frequency: params.emitterFrequency * 1.7 } ),
+      new PointEmitter( { x: GEOM_WIDTH / 5, y: - GEOM_HEIGHT / 5, radius: 15, amplitude: 0.2, frequency: params.emitterFrequency * 2.3, phase: Math.PI / 2 } ),
+    ]
+    this.emitters.forEach(( emitter ) => this.simulation.addEmitter( emitter ))
+
+    // the height of the water at the camera, for the camera to dive when it goes below the waves rather than the water at rest
+    this.surfaceQuery = new SurfaceQuery( this.simulation, this.waterMesh )
+    this.cameraSurface = params.waterLevel
+    this.cameraQueryPending = false
+    this.setCamera()
+
+    // Pointer interaction, once per simulation step: one ripple per pointer that moved since the last step
+    this.simulation.onBeforeStep(() => {
+      this.pointers.forEach(( pointer ) => {
+        if ( !pointer.moved ) return
+
+        this.raycaster.setFromCamera( pointer.coords, camera )
+
+        const intersects = this.raycaster.intersectObject( this.waterMesh )
+
+        if ( intersects.length > 0 ) {
+          // the hit is in world units, the water mesh lies flat and raised to the water level
+          const { x, y } = this.surfaceQuery.toSimulation( intersects[ 0 ].point )
+          this.simulation.disturb( x, y )
+        }
 
-    // Create compute shader to smooth the water surface and velocity
-    this.smoothShader = this.gpuCompute.createShaderMaterial( SmoothFragment, { smoothTexture: { value: null } } )
+        pointer.moved = false
+      })
+    })
 
     // GUI controls
     const gui = new dat.GUI()
     gui.add(params, "mouseSize", 1.0, 100.0, 1.0 ).onChange((newVal) => {
-      this.heightmapVariable.material.uniforms[ 'mouseSize' ].value = newVal
+      this.simulation.setMouseSize( newVal )
     })
     gui.add(params, "viscosity", 0.9, 0.999, 0.001 ).onChange((newVal) => {
-      this.heightmapVariable.material.uniforms[ 'viscosityConstant' ].value = newVal
+      this.simulation.setViscosity( newVal )
     })
     gui.add(params, "waveHeight", 0.1, 2.0, 0.05 ).onChange((newVal) => {
-      this.heightmapVariable.material.uniforms[ 'waveheightMultiplier' ].value = newVal
+      this.simulation.setWaveHeight( newVal )
     })
-    const buttonSmooth = {
-      smoothWater: this.smoothWater.bind(this)
-    }
-    gui.add( buttonSmooth, 'smoothWater' )
+    gui.add(params, "boundary", BOUNDARY_MODES ).onChange((newVal) => {
+      this.simulation.setBoundary( newVal )
+    })
+    gui.add(params, "resolution", RESOLUTIONS ).onChange((newVal) => {
+      this.setResolution( newVal )
+    })
+    gui.add(params, "emitters" ).onChange((newVal) => {
+      this.emitters.forEach(( emitter ) => newVal ? emitter.start() : emitter.stop())
+    })
+    gui.add(params, "emitterFrequency", 0.1, 3.0, 0.05 ).onChange((newVal) => {
+      this.emitters[ 0 ].set( { frequency: newVal } )
+      this.emitters[ 1 ].set( { frequency: newVal * 1.7 } )
+      this.emitters[ 2 ].set( { frequency: newVal * 2.3 } )
+    })
+    const sunFolder = gui.addFolder("Sun")
+    sunFolder.add(params, "sunElevation", 5, 90, 1 ).name( 'elevation' ).onChange((newVal) => {
+      this.setSun( newVal, params.sunAzimuth )
+    })
+    sunFolder.add(params, "sunAzimuth", 0, 360, 1 ).name( 'azimuth' ).onChange((newVal) => {
+      this.setSun( params.sunElevation, newVal )
+    })
+    gui.add(params, "waterLevel", 0, POOL_HEIGHT / 2 - 10, 1 ).name( 'water level' ).onChange((newVal) => {
+      this.waterMesh.position.y = newVal
+      this.waterMesh.updateMatrix()
+      this.caustics.setWaterLevel( newVal )
+      this.underwater.setWaterLevel( newVal )
+    })
+    const cameraFolder = gui.addFolder("Camera")
+    cameraFolder.add(params, "cameraHeight", - POOL_HEIGHT / 2 + 10, 800, 1 ).name( 'height' ).onChange(() => this.setCamera())
+    cameraFolder.add(params, "cameraDistance", 0, 1000, 1 ).name( 'distance' ).onChange(() => this.setCamera())
+    cameraFolder.add(params, "cameraAngle", 0, 360, 1 ).name( 'angle' ).onChange(() => this.setCamera())
+    cameraFolder.add(params, "cameraTilt", - 80, 80, 1 ).name( 'tilt' ).onChange(() => this.setCamera())
+    addCalmFolder( gui, this.simulation )
 
     // Stats - show fps
     this.stats1 = new Stats()
     this.stats1.showPanel(0) // Panel 0 = fps
     this.stats1.domElement.style.cssText = "position:absolute;top:0px;left:0px;"
+    // clicking the overlay cycles through the stability measures of the simulation
+    addStabilityPanels( this.stats1, this.simulation )
     // this.container is the parent DOM element of the threejs canvas element
     this.container.appendChild(this.stats1.domElement)
 
     await updateLoadingProgressBar(1.0, 100)
   },
-  fillTexture( texture ) {
-    const waterMaxHeight = 0.8;
-
-    function noise( x, y ) {
-      let multR = waterMaxHeight;
-      let mult = 0.025;
-      let r = 0;
-      for ( let i = 0; i < 10; i ++ ) {
-        r += multR * simplex.noise( x * mult, y * mult );
-        multR *= 0.3 + 0.025 * i;
-        mult *= 1.25;
-      }
-
-      return r;
-    }
-
-    const pixels = texture.image.data;
-
-    let p = 0;
-    for ( let j = 0; j < FBO_HEIGHT; j ++ ) {
-      for ( let i = 0; i < FBO_WIDTH; i ++ ) {
-        const x = i * 128 / FBO_WIDTH;
-        const y = j * 128 / FBO_HEIGHT;
-
-        pixels[ p + 0 ] = noise( x, y );
-        pixels[ p + 1 ] = 0;
-        pixels[ p + 2 ] = 0;
-        pixels[ p + 3 ] = 1;
-
-        p += 4;
-      }
-    }
+  // the water is the inside of the pool box, the walls around it are obstacles
+  createPoolWalls( width, height ) {
+    const poolInside = [
+      new THREE.Vector2( - GEOM_WIDTH / 2 + POOL_WALL, - GEOM_HEIGHT / 2 + POOL_WALL ),
+      new THREE.Vector2( GEOM_WIDTH / 2 - POOL_WALL, - GEOM_HEIGHT / 2 + POOL_WALL ),
+      new THREE.Vector2( GEOM_WIDTH / 2 - POOL_WALL, GEOM_HEIGHT / 2 - POOL_WALL ),
+      new THREE.Vector2( - GEOM_WIDTH / 2 + POOL_WALL, GEOM_HEIGHT / 2 - POOL_WALL ),
+    ]
+    return createMaskFromPolygons( [ poolInside ], {
+      fboWidth: width,
+      fboHeight: height,
+      geomWidth: GEOM_WIDTH,
+      geomHeight: GEOM_HEIGHT,
+      invert: true
+    } )
   },
-  smoothWater() {
-    const currentRenderTarget = this.gpuCompute.getCurrentRenderTarget( this.heightmapVariable )
-    const alternateRenderTarget = this.gpuCompute.getAlternateRenderTarget( this.heightmapVariable )
-
-    for ( let i = 0; i < 10; i ++ ) {
-      this.smoothShader.uniforms[ 'smoothTexture' ].value = currentRenderTarget.texture
-      this.gpuCompute.doRenderTarget( this.smoothShader, alternateRenderTarget )
-
-      this.smoothShader.uniforms[ 'smoothTexture' ].value = alternateRenderTarget.texture
-      this.gpuCompute.doRenderTarget( this.smoothShader, currentRenderTarget )
-    }
+  // moves the sun, the caustics pick the new direction up in their next update
+  setSun( elevation, azimuth ) {
+    this.sun.position.setFromSphericalCoords( SUN_DISTANCE, THREE.MathUtils.degToRad( 90 - elevation ), THREE.MathUtils.degToRad( azimuth ) )
   },
-  setMouseCoords( x, y ) {
-    this.mouseCoords.set( ( x / renderer.domElement.clientWidth ) * 2 - 1, ( y / renderer.domElement.clientHeight ) * 2 - 1 )
-    this.mouseMoved = true
+  // places the camera from its params, see params.cameraHeight
+  setCamera() {
+    const angle = THREE.MathUtils.degToRad( params.cameraAngle )
+    const tilt = THREE.MathUtils.degToRad( params.cameraTilt )
+    camera.position.set( params.cameraDistance * Math.sin( angle ), params.cameraHeight, params.cameraDistance * Math.cos( angle ) )
+    const direction = new THREE.Vector3( - Math.sin( angle ) * Math.cos( tilt ), Math.sin( tilt ), - Math.cos( angle ) * Math.cos( tilt ) )
+    camera.lookAt( camera.position.clone().add( direction ) )
+  },
+  // changes the size of the simulation mid-session and rebuilds the water surface to match, the waves carry over
+  setResolution( resolution ) {
+    const [ width, height ] = resolution.split( 'x' ).map( Number )
+    this.simulation.setResolution( width, height )
+    // walls thinner than a cell could get lost in the resampled mask, so they are drawn again at the new size
+    this.simulation.setObstacleMask( this.createPoolWalls( width, height ) )
+
+    this.waterMesh.geometry.dispose()
+    this.waterMesh.geometry = new THREE.PlaneGeometry( GEOM_WIDTH, GEOM_HEIGHT, width, height )
+    this.surfaceMat.defines.FBO_WIDTH = width.toFixed( 1 )
+    this.surfaceMat.defines.FBO_HEIGHT = height.toFixed( 1 )
+    this.surfaceMat.needsUpdate = true
+    this.caustics.setResolution( width, height )
+  },
+  setPointerCoords( pointerId, x, y ) {
+    if ( !this.pointers.has( pointerId ) ) {
+      this.pointers.set( pointerId, { coords: new THREE.Vector2(), moved: false } )
+    }
+    const pointer = this.pointers.get( pointerId )
+    pointer.coords.set( ( x / renderer.domElement.clientWidth ) * 2 - 1, - ( y / renderer.domElement.clientHeight ) * 2 + 1 )
+    pointer.moved = true
   },
   onPointerMove( event ) {
-    if ( event.isPrimary === false ) return
-    console.log(event.clientX, event.clientY)
-    this.setMouseCoords( event.clientX, event.clientY )
+    this.setPointerCoords( event.pointerId, event.clientX, event.clientY )
+  },
+  onPointerUp( event ) {
+    this.pointers.delete( event.pointerId )
   },
   resize() {
     camera.left = window.innerWidth / -2
@@ -410,37 +429,25 @@ let app = {
   updateScene(interval, elapsed) {
     this.stats1.update()
 
-    // add simulated random mouse events to keep the waves moving
-    let xStart = Math.random() * window.innerWidth
-    let yStart = Math.random() * window.innerHeight
-    this.setMouseCoords(xStart, yStart)
-
-    // Set uniforms: mouse interaction
-    const hmUniforms = this.heightmapVariable.material.uniforms
-    if ( this.mouseMoved ) {
-
-      this.raycaster.setFromCamera( this.mouseCoords, camera )
-
-      const intersects = this.raycaster.intersectObject( this.waterMesh )
-
-      if ( intersects.length > 0 ) {
-        const point = intersects[ 0 ].point
-        hmUniforms[ 'mousePos' ].value.set( point.x, point.y )
-      } else {
-        hmUniforms[ 'mousePos' ].value.set( 10000, 10000 )
-      }
-
-      this.mouseMoved = false
-    } else {
-      hmUniforms[ 'mousePos' ].value.set( 10000, 10000 )
-    }
-
-    // Do the gpu computation
-    this.gpuCompute.compute()
+    // Do the gpu computation, in fixed timesteps so the waves move at the same speed on any display
+    this.simulation.update( interval )
 
     // Get compute output in custom uniform
-    this.surfaceMat.userData.heightmap.value = this.gpuCompute.getCurrentRenderTarget( this.heightmapVariable ).texture
-    this.poolMat.userData.heightmap.value = this.gpuCompute.getCurrentRenderTarget( this.heightmapVariable ).texture
+    this.surfaceMat.userData.heightmap.value = this.simulation.getHeightTexture()
+    this.surfaceMat.userData.heightmapAlpha.value = this.simulation.alpha
+
+    // bend the sunlight through the new waves, the pool materials read the result
+    this.caustics.update( this.simulation )
+
+    // dive or surface as the camera crosses the water, with the height of the water at the camera from a frame or two ago
+    if ( ! this.cameraQueryPending ) {
+      this.cameraQueryPending = true
+      this.surfaceQuery.queryPoints( [ camera.position ] ).then(( samples ) => {
+        this.cameraQueryPending = false
+        if ( samples !== null ) this.cameraSurface = samples[ 0 ].position.y
+      })
+    }
+    this.underwater.update( camera, this.simulation, this.cameraSurface )
   }
 }
 
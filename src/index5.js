@@ -1,19 +1,21 @@
 // ThreeJS and Third-party deps
 import * as THREE from "three"
 import * as dat from 'dat.gui'
-import Stats from "three/examples/jsm/libs/stats.module"
-import { GPUComputationRenderer } from "three/examples/jsm/misc/GPUComputationRenderer"
-import { SimplexNoise } from "three/examples/jsm/math/SimplexNoise"
+import Stats from "three/examples/jsm/libs/stats.module.js"
 
 // Core boilerplate code deps
-import { createCamera, createRenderer, runApp, updateLoadingProgressBar } from "./core-utils"
+import { createCamera, createRenderer, runApp, updateLoadingProgressBar } from "./core-utils.js"
 
 // Other deps
-import {hexToRgb} from "./common-utils"
+import { PathEmitter } from "./emitters.js"
+import { createFillTexture } from "./initial-conditions.js"
+import { RippleSimulation } from "./ripple-simulation.js"
+import { BOUNDARY_MODES } from "./simulation-constants.js"
+import { addStabilityPanels } from "./stability-panels.js"
+import { addCalmFolder } from "./calm-controls.js"
+import {hexToRgb} from "./common-utils.js"
 import WaterVertex from "./shaders/waterVertex5.glsl"
 import WaterFragment from "./shaders/waterFragment5.glsl"
-import HeightmapFragment from "./shaders/heightmapFragment.glsl"
-import SmoothFragment from "./shaders/smoothFragment.glsl"
 
 global.THREE = THREE
 // previously this feature is .legacyMode = false, see https://www.donmccurdy.com/2020/06/17/color-management-in-threejs/
@@ -28,6 +30,9 @@ const params = {
   mouseSize: 80.0,
   viscosity: 0.999,
   waveHeight: 0.15,
+  boundary: "reflective",
+  emitter: true,
+  emitterSpeed: 60,
   sunOneInt: 3.6,
   sunTwoInt: 2.5,
   colorOne: "#edbd0c",
@@ -36,19 +41,21 @@ const params = {
   colorTop: "#ff0000",
   bloomStrength: 3.0,
   bloomRadius: 0.1,
-  bloomThreshold: 0.0
+  bloomThreshold: 0.0,
+  resolution: "512x256"
 }
 
 // Texture width for simulation
 // note that if you use values other than power of 2, you'd notice seams on your final rendered cube sea
 const FBO_WIDTH = 512
 const FBO_HEIGHT = 256
+// simulation sizes to pick from, coarser grids for slower devices, FBO_WIDTH/FBO_HEIGHT being the one to start with
+const RESOLUTIONS = [ "512x256", "256x128", "128x64" ]
 // Water size in system units
 const GEOM_WIDTH = 1000
 const GEOM_HEIGHT = 1000 / 2
 // this controls the fps of the gpgpu renderer, thus controls the speed of the animated waves
-const FPSInterval = 1/30
-const simplex = new SimplexNoise()
+const SIMULATION_TIMESTEP = 1/30
 
 /**************************************************
  * 1. Initialize core threejs components
@@ -79,18 +86,6 @@ let app = {
   async initScene() {
     await updateLoadingProgressBar(0.1)
 
-    // refresh the random values for waves poking every 5 seconds
-    this.randX = this.randY = 0.5
-    setInterval(() => {
-      this.randX = Math.random() * GEOM_WIDTH
-      this.randY = Math.random() * GEOM_HEIGHT
-    }, 5000)
-
-    this.mouseMoved = false
-    this.mouseCoords = new THREE.Vector2()
-
-    this.delta = 0
-
     this.sun = new THREE.DirectionalLight( 0xFFFFFF, params.sunOneInt )
     this.sun.position.set( 300, 400, 175 )
     scene.add( this.sun )
@@ -99,48 +94,13 @@ let app = {
     this.sun2.position.set( -300, 100, 175 )
     scene.add( this.sun2 )
 
-    let baseGeometry = new THREE.BoxGeometry(4.0,4.0,4.0,1,1,1)
-
-    let instancedGeometry = new THREE.InstancedBufferGeometry()
-    //we have to copy the meat - geometry into this wrapper
-    Object.keys(baseGeometry.attributes).forEach(attributeName=>{
-      instancedGeometry.attributes[attributeName] = baseGeometry.attributes[attributeName]
-    })
-    //along with the index
-    instancedGeometry.index = baseGeometry.index
-
-    let instanceCount = FBO_WIDTH * FBO_HEIGHT
-    instancedGeometry.maxInstancedCount = instanceCount
-
-    // 1. Create the values for each instance
-    let aPos = []
-    let aUv = []
-    for (let j = 0; j < FBO_HEIGHT; j++) {
-      for (let i = 0; i < FBO_WIDTH; i++) {
-        let posX = (i * 4 + 1) - FBO_WIDTH * 2
-        let posZ = (j * 4 + 1) - FBO_HEIGHT * 2
-        aPos.push(posX, 0, posZ)
-
-        aUv.push(i/FBO_WIDTH, j/FBO_HEIGHT)
-      }
-    }
-    // 2. Transform the array to float32
-    let aPosFloat32 = new Float32Array(aPos)
-    let aUvFloat32 = new Float32Array(aUv)
-    // 3. Create the instanced Buffer Attribute of size three
-    instancedGeometry.setAttribute("aPos", 
-      new THREE.InstancedBufferAttribute(aPosFloat32, 3, false)
-    )
-    instancedGeometry.setAttribute("aUv", 
-      new THREE.InstancedBufferAttribute(aUvFloat32, 2, false)
-    )
-
     // material: make a THREE.ShaderMaterial clone of THREE.MeshPhongMaterial, with customized vertex shader
     const material = new THREE.ShaderMaterial( {
       uniforms: THREE.UniformsUtils.merge( [
         THREE.ShaderLib[ 'phong' ].uniforms,
         {
           'heightmap': { value: null },
+          'heightmapAlpha': { value: 1.0 },
           'u_time': { value: 0.0 },
           'colorOne': { value: hexToRgb(params.colorOne, true) },
           'colorTwo': { value: hexToRgb(params.colorTwo, true) },
@@ -156,44 +116,63 @@ let app = {
 
     this.waterUniforms = material.uniforms
 
-    this.waterMesh = new THREE.Mesh(instancedGeometry, material)
+    this.waterMesh = new THREE.Mesh(this.createCubeSea(FBO_WIDTH, FBO_HEIGHT), material)
     scene.add( this.waterMesh )
 
-    // Creates the gpu computation class and sets it up
-    this.gpuCompute = new GPUComputationRenderer( FBO_WIDTH, FBO_HEIGHT, renderer )
-    if ( renderer.capabilities.isWebGL2 === false ) {
-      this.gpuCompute.setDataType( THREE.HalfFloatType )
-    }
-    const heightmap0 = this.gpuCompute.createTexture()
-    this.fillTexture( heightmap0 )
-    this.heightmapVariable = this.gpuCompute.addVariable( 'heightmap', HeightmapFragment, heightmap0 )
-    this.gpuCompute.setVariableDependencies( this.heightmapVariable, [ this.heightmapVariable ] )
-
-    this.heightmapVariable.material.uniforms[ 'mousePos' ] = { value: new THREE.Vector2( 10000, 10000 ) }
-    this.heightmapVariable.material.uniforms[ 'mouseSize' ] = { value: params.mouseSize }
-    this.heightmapVariable.material.uniforms[ 'viscosityConstant' ] = { value: params.viscosity }
-    this.heightmapVariable.material.uniforms[ 'waveheightMultiplier' ] = { value: params.waveHeight }
-    this.heightmapVariable.material.defines.GEOM_WIDTH = GEOM_WIDTH.toFixed( 1 )
-    this.heightmapVariable.material.defines.GEOM_HEIGHT = GEOM_HEIGHT.toFixed( 1 )
-
-    const error = this.gpuCompute.init()
-    if ( error !== null ) {
-      console.error( error )
-    }
-
-    // Create compute shader to smooth the water surface and velocity
-    this.smoothShader = this.gpuCompute.createShaderMaterial( SmoothFragment, { smoothTexture: { value: null } } )
+    // Creates the ripple simulation that computes the heightmap on the gpu
+    this.simulation = new RippleSimulation( renderer, {
+      fboWidth: FBO_WIDTH,
+      fboHeight: FBO_HEIGHT,
+      geomWidth: GEOM_WIDTH,
+      geomHeight: GEOM_HEIGHT,
+      mouseSize: params.mouseSize,
+      viscosity: params.viscosity,
+      waveHeight: params.waveHeight,
+      boundary: params.boundary,
+      timestep: SIMULATION_TIMESTEP,
+      fillTexture: createFillTexture( "fractalNoise", { amplitude: 2, octaves: 2, persistence: 0.53, persistenceGrowth: 0.025, lacunarity: 1.25 } )
+    } )
+
+    // a pulsing source wandering across the sea keeps the cubes moving
+    this.emitter = this.simulation.addEmitter( new PathEmitter( {
+      path: [
+        new THREE.Vector2( - GEOM_WIDTH * 0.3, - GEOM_HEIGHT * 0.2 ),
+        new THREE.Vector2( GEOM_WIDTH * 0.1, - GEOM_HEIGHT * 0.3 ),
+        new THREE.Vector2( GEOM_WIDTH * 0.35, GEOM_HEIGHT * 0.1 ),
+        new THREE.Vector2( 0, GEOM_HEIGHT * 0.3 ),
+        new THREE.Vector2( - GEOM_WIDTH * 0.35, GEOM_HEIGHT * 0.15 ),
+      ],
+      speed: params.emitterSpeed,
+      radius: params.mouseSize,
+      // a third of a poke as it pushes the water every step
+      amplitude: params.waveHeight / 3,
+      frequency: 0.5
+    } ) )
 
     // GUI controls
     const gui = new dat.GUI()
     gui.add(params, "mouseSize", 1.0, 100.0, 1.0 ).onChange((newVal) => {
-      this.heightmapVariable.material.uniforms[ 'mouseSize' ].value = newVal
+      this.simulation.setMouseSize( newVal )
+      this.emitter.set( { radius: newVal } )
     })
     gui.add(params, "viscosity", 0.9, 0.999, 0.001 ).onChange((newVal) => {
-      this.heightmapVariable.material.uniforms[ 'viscosityConstant' ].value = newVal
+      this.simulation.setViscosity( newVal )
     })
     gui.add(params, "waveHeight", 0.1, 2.0, 0.05 ).onChange((newVal) => {
-      this.heightmapVariable.material.uniforms[ 'waveheightMultiplier' ].value = newVal
+      this.simulation.setWaveHeight( newVal )
+      this.emitter.set( { amplitude: newVal / 3 } )
+    })
+    gui.add(params, "boundary", BOUNDARY_MODES ).onChange((newVal) => {
+      this.simulation.setBoundary( newVal )
+    })
+    gui.add(params, "resolution", RESOLUTIONS ).onChange((newVal) => {
+      this.setResolution( newVal )
+    })
+    gui.add(params, "emitter" ).onChange((newVal) => {
+      newVal ? this.emitter.start() : this.emitter.stop()
+    })
+    gui.add(params, "emitterSpeed", 0, 300, 5 ).onChange((newVal) => {
+      this.emitter.set( { speed: newVal } )
     })
     gui.add(params, "sunOneInt", 0.1, 10.0, 0.05 ).onChange((newVal) => {
       this.sun.intensity = newVal
@@ -217,67 +196,67 @@ let app = {
       let clr = new THREE.Color(val)
       this.waterUniforms[ 'colorTop' ].value = hexToRgb(clr.getHexString(), true)
     })
-    const buttonSmooth = {
-      smoothWater: this.smoothWater.bind(this)
-    }
-    gui.add( buttonSmooth, 'smoothWater' )
+    addCalmFolder( gui, this.simulation )
 
     // Stats - show fps
     this.stats1 = new Stats()
     this.stats1.showPanel(0) // Panel 0 = fps
     this.stats1.domElement.style.cssText = "position:absolute;top:0px;left:0px;"
+    // clicking the overlay cycles through the stability measures of the simulation
+    addStabilityPanels( this.stats1, this.simulation )
     // this.container is the parent DOM element of the threejs canvas element
     this.container.appendChild(this.stats1.domElement)
 
     await updateLoadingProgressBar(1.0, 100)
   },
-  fillTexture( texture ) {
-    const waterMaxHeight = 2
-
-    function noise( x, y ) {
-      let multR = waterMaxHeight
-      let mult = 0.025
-      let r = 0
-      for ( let i = 0; i < 2; i ++ ) {
-        r += multR * simplex.noise( x * mult, y * mult )
-        multR *= 0.53 + 0.025 * i
-        mult *= 1.25
-      }
-      return r
-    }
+  // one cube per simulation cell, rebuilt by setResolution()
+  createCubeSea( width, height ) {
+    // the cubes get bigger on coarser grids so the sea keeps the same size
+    const cubeSize = 4.0 * FBO_WIDTH / width
+    let baseGeometry = new THREE.BoxGeometry(cubeSize,cubeSize,cubeSize,1,1,1)
 
-    const pixels = texture.image.data
+    let instancedGeometry = new THREE.InstancedBufferGeometry()
+    //we have to copy the meat - geometry into this wrapper
+    Object.keys(baseGeometry.attributes).forEach(attributeName=>{
+      instancedGeometry.attributes[attributeName] = baseGeometry.attributes[attributeName]
+    })
+    //along with the index
+    instancedGeometry.index = baseGeometry.index
 
-    let p = 0
-    for ( let j = 0; j < FBO_HEIGHT; j ++ ) {
-      for ( let i = 0; i < FBO_WIDTH; i ++ ) {
-        const x = i * 128 / FBO_WIDTH
-        const y = j * 128 / FBO_HEIGHT
+    let instanceCount = width * height
+    instancedGeometry.maxInstancedCount = instanceCount
 
-        pixels[ p + 0 ] = noise(x,y)
-        pixels[ p + 1 ] = 0
-        pixels[ p + 2 ] = 0
-        pixels[ p + 3 ] = 1
+    // 1. Create the values for each instance
+    let aPos = []
+    let aUv = []
+    for (let j = 0; j < height; j++) {
+      for (let i = 0; i < width; i++) {
+        let posX = (i + 0.25) * cubeSize - width * cubeSize / 2
+        let posZ = (j + 0.25) * cubeSize - height * cubeSize / 2
+        aPos.push(posX, 0, posZ)
 
-        p += 4
+        aUv.push(i/width, j/height)
       }
     }
-  },
-  smoothWater() {
-    const currentRenderTarget = this.gpuCompute.getCurrentRenderTarget( this.heightmapVariable )
-    const alternateRenderTarget = this.gpuCompute.getAlternateRenderTarget( this.heightmapVariable )
-
-    for ( let i = 0; i < 10; i ++ ) {
-      this.smoothShader.uniforms[ 'smoothTexture' ].value = currentRenderTarget.texture
-      this.gpuCompute.doRenderTarget( this.smoothShader, alternateRenderTarget )
+    // 2. Transform the array to float32
+    let aPosFloat32 = new Float32Array(aPos)
+    let aUvFloat32 = new Float32Array(aUv)
+    // 3. Create the instanced Buffer Attribute of size three
+    instancedGeometry.setAttribute("aPos", 
+      new THREE.InstancedBufferAttribute(aPosFloat32, 3, false)
+    )
+    instancedGeometry.setAttribute("aUv", 
+      new THREE.InstancedBufferAttribute(aUvFloat32, 2, false)
+    )
 
-      this.smoothShader.uniforms[ 'smoothTexture' ].value = alternateRenderTarget.texture
-      this.gpuCompute.doRenderTarget( this.smoothShader, currentRenderTarget )
-    }
+    return instancedGeometry
   },
-  setMouseCoords( x, y ) {
-    this.mouseCoords.set( x - GEOM_WIDTH / 2, y - GEOM_HEIGHT / 2 )
-    this.mouseMoved = true
+  // changes the size of the simulation mid-session and rebuilds the cubes to match, the waves carry over
+  setResolution( resolution ) {
+    const [ width, height ] = resolution.split( 'x' ).map( Number )
+    this.simulation.setResolution( width, height )
+    this.waterMesh.geometry.dispose()
+    this.waterMesh.geometry = this.createCubeSea( width, height )
   },
   resize() {
     camera.left = window.innerWidth / -2
@@ -292,30 +271,12 @@ let app = {
     // this.controls.update()
     this.stats1.update()
 
-    // simulate mouse poking waves
-    if (this.mouseMoved) {
-      this.heightmapVariable.material.uniforms[ 'mousePos' ].value.set( this.mouseCoords.x, this.mouseCoords.y )
-      this.mouseMoved = false
-    } else {
-      this.heightmapVariable.material.uniforms[ 'mousePos' ].value.set( 10000, 10000 )
-    }
-
-    // this controls the fps of the gpgpu renderer, thus controls the speed of the animated waves and be consistent across devices of various fps
-    this.delta += interval
-    if (this.delta > FPSInterval) {
-      // Do the gpu computation
-      this.gpuCompute.compute()
-      this.delta = this.delta % FPSInterval
-    }
-
-    if (elapsed % 5 <= 0.5) {
-      this.setMouseCoords(
-        this.randX,
-        this.randY)
-    }
+    // Do the gpgpu computation, in fixed timesteps so the waves move at the same speed on any display
+    this.simulation.update( interval )
 
     // Get compute output in custom uniform
-    this.waterUniforms[ 'heightmap' ].value = this.gpuCompute.getCurrentRenderTarget( this.heightmapVariable ).texture
+    this.waterUniforms[ 'heightmap' ].value = this.simulation.getHeightTexture()
+    this.waterUniforms[ 'heightmapAlpha' ].value = this.simulation.alpha
     this.waterUniforms[ 'u_time' ].value = elapsed
   }
 }
@@ -0,0 +1,150 @@
+// Seeded generators of the starting water of a RippleSimulation, picked by name and shared by the demos
+// positions are in uv ([0..1] across the heightmap, v = 0 being row 0) and lengths in cells
+
+import { SimplexNoise } from "three/examples/jsm/math/SimplexNoise.js"
+
+import { toCellMap } from "./cell-map.js"
+import { createRandom } from "./random.js"
+
+/**
+ * Fractal (layered simplex) noise, the rough water the demos start with
+ * @param {object} options
+ * @param {number} options.amplitude height of the first octave in system units
+ * @param {number} options.frequency noise cycles of the first octave across the heightmap
+ * @param {number} options.octaves number of noise layers
+ * @param {number} options.persistence amplitude of each octave relative to the previous one
+ * @param {number} options.persistenceGrowth added to the persistence after every octave, so the finer octaves fade out slower (0 for a constant persistence)
+ * @param {number} options.lacunarity frequency of each octave relative to the previous one
+ * @param {number} options.seed seed of the noise, the same seed gives the same water
+ * @returns {function} the generator, see createFillTexture()
+ */
+const fractalNoise = ({ amplitude = 2, frequency = 3.2, octaves = 10, persistence = 0.5, persistenceGrowth = 0, lacunarity = 2, seed = 1 } = {}) => {
+    const simplex = new SimplexNoise({ random: createRandom(seed) })
+    return (i, j, width, rows) => {
+        const u = i / width
+        const v = j / rows
+        let height = 0
+        let octaveAmplitude = amplitude
+        let octaveFrequency = frequency
+        for (let octave = 0; octave < octaves; octave++) {
+            height += octaveAmplitude * simplex.noise(u * octaveFrequency, v * octaveFrequency)
+            octaveAmplitude *= persistence + persistenceGrowth * octave
+            octaveFrequency *= lacunarity
+        }
+        return [height, 0]
+    }
+}
+
+/**
+ * Calm water
+ * @returns {function} the generator, see createFillTexture()
+ */
+const flat = () => () => [0, 0]
+
+/**
+ * A single bump of water released at rest, it spreads as a ring like a drop
+ * @param {object} options
+ * @param {number} options.u [0..1] position of the drop across the heightmap
+ * @param {number} options.v [0..1] position of the drop across the heightmap
+ * @param {number} options.radius radius of the bump in cells
+ * @param {number} options.height height of the bump in system units, negative for a crater
+ * @returns {function} the generator, see createFillTexture()
+ */
+const drop = ({ u = 0.5, v = 0.5, radius = 8, height = 2 } = {}) => (i, j, width, rows) => {
+    const distance = Math.hypot(i + 0.5 - u * width, j + 0.5 - v * rows)
+    // same raised cosine as the impulses of the simulation
+    const value = distance < radius ? height * 0.5 * (Math.cos(Math.PI * distance / radius) + 1) : 0
+    // the previous height is the same, the water starts still
+    return [value, value]
+}
+
+/**
+ * Parallel waves crossing the whole surface, already moving
+ * the previous heights follow the dispersion of the ripple solver at full speed, other settings let the train split up a little
+ * @param {object} options
+ * @param {number} options.amplitude height of the crests in system units
+ * @param {number} options.wavelength distance between two crests in cells
+ * @param {number} options.direction direction the waves travel in, radians from the u axis towards the v axis
+ * @returns {function} the generator, see createFillTexture()
+ */
+const waveTrain = ({ amplitude = 0.5, wavelength = 32, direction = 0 } = {}) => {
+    const kx = 2 * Math.PI / wavelength * Math.cos(direction)
+    const ky = 2 * Math.PI / wavelength * Math.sin(direction)
+    // angular frequency per step of the discrete wave equation, c^2 == 0.5
+    const omega = 2 * Math.asin(Math.min(Math.sqrt(0.5 * (Math.sin(kx / 2) ** 2 + Math.sin(ky / 2) ** 2)), 1))
+    return (i, j) => {
+        const phase = kx * i + ky * j
+        return [amplitude * Math.sin(phase), amplitude * Math.sin(phase + omega)]
+    }
+}
+
+/**
+ * Heights read from an image or a canvas, mid grey being the water at rest
+ * @param {object} options
+ * @param {HTMLImageElement|HTMLCanvasElement} options.source loaded image or canvas, read like createMapFromCanvas (top row at v = 1)
+ * @param {number} options.amplitude height of white, black being -amplitude
+ * @returns {function} the generator, see createFillTexture()
+ */
+const image = ({ source = null, amplitude = 1 } = {}) => {
+    let map = null
+    return (i, j, width, rows) => {
+        if (source === null) return [0, 0]
+        if (map === null) {
+            map = toCellMap(source, { fboWidth: width, fboHeight: rows })
+        }
+        const value = (map[j * width + i] * 2 - 1) * amplitude
+        return [value, value]
+    }
+}
+
+/**
+ * The generators by name, e.g. for a GUI dropdown of Object.keys(INITIAL_CONDITIONS)
+ * each takes its options and returns a function of (i, j, width, height) giving the [height, previous height] of cell (i, j)
+ */
+export const INITIAL_CONDITIONS = { fractalNoise, flat, drop, waveTrain, image }
+
+/**
+ * Creates a fillTexture function for the RippleSimulation options
+ *
+ * Usage:
+ * const simulation = new RippleSimulation(renderer, {
+ *     fillTexture: createFillTexture("fractalNoise", { octaves: 6, seed: 7 })
+ * })
+ * @param {string} name name of the generator, one of INITIAL_CONDITIONS
+ * @param {object} options options of the generator, see the generators above
+ * @returns {function} fills a DataTexture with the initial heightmap, height in x and previous height in y
+ */
+export const createFillTexture = (name, options = {}) => {
+    if (!(name in INITIAL_CONDITIONS)) {
+        console.error(`Unknown initial condition: ${name}`)
+        name = "flat"
+    }
+    return (texture) => {
+        const { data, width, height } = texture.image
+        const generator = INITIAL_CONDITIONS[name](options)
+        for (let j = 0; j < height; j++) {
+            for (let i = 0; i < width; i++) {
+                const p = (j * width + i) * 4
+                const [value, previous] = generator(i, j, width, height)
+                data[p] = value
+                data[p + 1] = previous
+                data[p + 2] = 0
+                data[p + 3] = 0
+            }
+        }
+    }
+}
+
+/**
+ * Generates a whole heightmap, e.g. to reset a running simulation with RippleSimulation.writeHeightmap
+ * @param {string} name name of the generator, one of INITIAL_CONDITIONS
+ * @param {object} options options of the generator
+ * @param {number} width width of the heightmap in cells
+ * @param {number} height height of the heightmap in cells
+ * @returns {Float32Array} RGBA per cell row by row
+ */
+export const generateHeightmap = (name, options, width, height) => {
+    const data = new Float32Array(width * height * 4)
+    createFillTexture(name, options)({ image: { data, width, height } })
+    return data
+}
@@ -0,0 +1,115 @@
+// Recorded inputs of a RippleSimulation as plain events, and how to feed them back to a simulation
+// it has no threejs dependency so a recording can also be replayed on the cpu solver (e.g. in node, see test/)
+
+/**
+ * Turns an input told by RippleSimulation.onInput into an event of a recording
+ * @param {number} step index of the step the input applies in, counting from the start of the recording
+ * @param {string} type type of input, see RippleSimulation.onInput
+ * @param {object} params parameters of the input
+ * @returns {object} the event { step, type, ...params }, a plain object that can go through JSON.stringify
+ */
+export const captureInput = (step, type, params) => {
+    const event = { step, type }
+    Object.entries(params).forEach(([name, value]) => {
+        // the maps get copied, the scene may keep painting on them
+        event[name] = ArrayBuffer.isView(value) ? Array.from(value) : value
+    })
+    return event
+}
+
+/**
+ * Feeds a simulation the events recorded up to a step, run at the start of the step
+ * @param {RippleSimulation|CpuRippleSolver} simulation simulation to feed the inputs to, see replayEvent()
+ * @param {Array<object>} events events of a recording, in the order they happened
+ * @param {number} next index of the first event not replayed yet
+ * @param {number} stepIndex index of the step about to run
+ * @returns {number} index of the first event left for the following steps
+ */
+export const replayEvents = (simulation, events, next, stepIndex) => {
+    while (next < events.length && events[next].step <= stepIndex) {
+        replayEvent(simulation, events[next])
+        next++
+    }
+    return next
+}
+
+/**
+ * @param {RippleSimulation|CpuRippleSolver} simulation simulation to feed the input to,
+ * a CpuRippleSolver takes them all but calm, clamp, heightmap and resolution that only a RippleSimulation has
+ * @param {object} event a recorded input
+ */
+export const replayEvent = (simulation, event) => {
+    switch (event.type) {
+        case "impulse":
+            simulation.addImpulse(event)
+            break
+        case "noise":
+            simulation.addNoise(event.amplitude, event.seed)
+            break
+        case "smooth":
+            simulation.smooth(event.iterations, { kernel: event.kernel, strength: event.strength, region: toRegion(event.region) })
+            break
+        case "calm":
+            simulation.calm(event.duration, { region: toRegion(event.region) })
+            break
+        case "viscosity":
+            simulation.setViscosity(event.value)
+            break
+        case "boundary":
+            simulation.setBoundary(event.mode)
+            break
+        case "gravity":
+            simulation.setGravity(event.value)
+            break
+        case "obstacleMask":
+            simulation.setObstacleMask(event.mask !== null ? Uint8Array.from(event.mask) : null)
+            break
+        case "waveSpeedMap":
+            simulation.setWaveSpeedMap(toFloat32Array(event.map))
+            break
+        case "dampingMap":
+            simulation.setDampingMap(toFloat32Array(event.map))
+            break
+        case "bathymetry":
+            simulation.setBathymetry(toFloat32Array(event.depths))
+            break
+        case "foam": {
+            // only the settings that were changed
+            const { step, type, ...settings } = event
+            simulation.setFoam(settings)
+            break
+        }
+        case "brushStamp":
+            simulation.setBrushStamp(toFloat32Array(event.map))
+            break
+        case "clamp":
+            simulation.clampHeightmap(event.limit)
+            break
+        case "heightmap":
+            simulation.writeHeightmap(toFloat32Array(event.data))
+            break
+        case "resolution":
+            simulation.setResolution(event.fboWidth, event.fboHeight)
+            break
+        default:
+            console.error(`Unknown recorded input: ${event.type}`)
+    }
+}
+
+/**
+ * @param {Uint8Array|Float32Array} map a per cell map or null
+ * @returns {Array<number>} a copy of the map as a plain array, null if map is null
+ */
+export const toArray = (map) => map !== null ? Array.from(map) : null
+
+/**
+ * @param {Array<number>} values a map as a plain array or null
+ * @returns {Float32Array} the map, null if values is null
+ */
+export const toFloat32Array = (values) => values !== null ? Float32Array.from(values) : null
+
+/**
+ * @param {object|Array<number>} region a recorded region of RippleSimulation.smooth, a circle or a map as a plain array
+ * @returns {object|Float32Array} the region, null for everywhere (and for the recordings made before regions)
+ */
+const toRegion = (region = null) => Array.isArray(region) ? Float32Array.from(region) : region
@@ -0,0 +1,83 @@
+// Masks of islands, pool walls, piers... for the ripple simulation
+// a mask is a Uint8Array with one value per cell (row 0 being v = 0 of the heightmap), 1 for obstacles and 0 for open water
+
+import { createMapFromCanvas, createMapFromImage } from "./cell-map.js"
+
+/**
+ * Builds a mask from a canvas, bright and opaque pixels become obstacles
+ * the canvas is treated as a top-down map, i.e. its top row ends up at v = 1 of the heightmap
+ * @param {HTMLCanvasElement} canvas canvas holding the drawn obstacles, any size (it gets resampled to the simulation size)
+ * @param {object} options
+ * @param {number} options.fboWidth width of the simulation texture in pixels
+ * @param {number} options.fboHeight height of the simulation texture in pixels
+ * @param {number} options.threshold [0..1] brightness times alpha above which a pixel is an obstacle
+ * @returns {Uint8Array} the obstacle mask
+ */
+export const createMaskFromCanvas = (canvas, { fboWidth, fboHeight, threshold = 0.5 }) => {
+    return thresholdMap(createMapFromCanvas(canvas, { fboWidth, fboHeight }), threshold)
+}
+
+/**
+ * Builds a mask from an image, see createMaskFromCanvas
+ * @param {HTMLImageElement} image loaded image, e.g. texture.image of a texture from loadTexture
+ * @param {object} options same as createMaskFromCanvas
+ * @returns {Uint8Array} the obstacle mask
+ */
+export const createMaskFromImage = (image, { fboWidth, fboHeight, threshold = 0.5 }) => {
+    return thresholdMap(createMapFromImage(image, { fboWidth, fboHeight }), threshold)
+}
+
+/**
+ * Builds a mask from polygons given in the same coordinates as RippleSimulation.disturb,
+ * i.e. relative to the center of the water geometry, with y going the opposite way of the geometry's own y axis
+ * this one doesn't need a DOM so it also works with the CpuRippleSolver in node
+ * @param {Array<Array<{x: number, y: number}>>} polygons list of polygons, each one a list of vertices (e.g. THREE.Vector2)
+ * @param {object} options
+ * @param {number} options.fboWidth width of the simulation texture in pixels
+ * @param {number} options.fboHeight height of the simulation texture in pixels
+ * @param {number} options.geomWidth width of the water geometry in system units
+ * @param {number} options.geomHeight height of the water geometry in system units
+ * @param {bool} options.invert if true, the polygons are the water and everything else is an obstacle (e.g. the inside of a pool)
+ * @returns {Uint8Array} the obstacle mask
+ */
+export const createMaskFromPolygons = (polygons, { fboWidth, fboHeight, geomWidth, geomHeight, invert = false }) => {
+    const mask = new Uint8Array(fboWidth * fboHeight)
+    for (let j = 0; j < fboHeight; j++) {
+        for (let i = 0; i < fboWidth; i++) {
+            // cell center, in the same coordinates as the polygons
+            const x = ((i + 0.5) / fboWidth - 0.5) * geomWidth
+            const y = -((j + 0.5) / fboHeight - 0.5) * geomHeight
+            const inside = polygons.some((polygon) => isInsidePolygon(x, y, polygon))
+            mask[j * fboWidth + i] = inside !== invert ? 1 : 0
+        }
+    }
+    return mask
+}
+
+/**
+ * @param {Float32Array} map map from cell-map.js
+ * @param {number} threshold value above which a cell is an obstacle
+ * @returns {Uint8Array} the obstacle mask
+ */
+const thresholdMap = (map, threshold) => {
+    return Uint8Array.from(map, (value) => value > threshold ? 1 : 0)
+}
+
+/**
+ * Even-odd rule point in polygon test
+ * @param {number} x
+ * @param {number} y
+ * @param {Array<{x: number, y: number}>} polygon list of vertices
+ * @returns true if (x, y) is inside the polygon
+ */
+const isInsidePolygon = (x, y, polygon) => {
+    let inside = false
+    for (let a = 0, b = polygon.length - 1; a < polygon.length; b = a++) {
+        const pa = polygon[a]
+        const pb = polygon[b]
+        if ((pa.y > y) !== (pb.y > y) && x < (pb.x - pa.x) * (y - pa.y) / (pb.y - pa.y) + pa.x) {
+            inside = !inside
+        }
+    }
+    return inside
+}
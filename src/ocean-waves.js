@@ -0,0 +1,122 @@
+// Gerstner swell blown by the wind under the ripples of a RippleSimulation, in the water material (gerstnerWaves.glsl) and on the cpu for the floating objects
+// positions are in the same coordinates as RippleSimulation.disturb, heights in system units
+
+import * as THREE from "three"
+
+import { createRandom, randomGaussian } from "./random.js"
+
+/**
+ * A few Gerstner waves of different lengths around the wind direction, the long ones being the tallest
+ * the parameters are plain fields, change them directly or with set() at any time, they are taken into account by the next update()
+ *
+ * Usage:
+ * const swell = new GerstnerWaves({ windDirection: Math.PI / 4, amplitude: 4 })
+ * // in the water material's onBeforeCompile, with GERSTNER_WAVE_COUNT: swell.count in the material defines
+ * Object.assign(shader.uniforms, swell.uniforms)
+ * // in updateScene
+ * swell.update(interval)
+ */
+export class GerstnerWaves {
+    /**
+     * @param {object} options
+     * @param {number} options.windDirection direction the waves travel in, radians from the x axis towards the y axis
+     * @param {number} options.amplitude height of the crests when all the waves line up, in system units
+     * @param {number} options.wavelength wavelength of the middle wave in system units, the others are up to twice as long or short
+     * @param {number} options.choppiness [0..1] how much the crests lean in and sharpen, 0 for rounded sine waves, 1 for the sharpest crests without loops
+     * @param {number} options.spread standard deviation of the wave directions around the wind in radians
+     * @param {number} options.gravity gravity in system units per second squared, the waves travel at sqrt(gravity * wavelength / 2PI)
+     * @param {number} options.count number of waves
+     * @param {number} options.seed seed picking the lengths, directions and phases of the waves
+     * @param {bool} options.enabled false to flatten the swell
+     */
+    constructor({
+        windDirection = 0,
+        amplitude = 4,
+        wavelength = 160,
+        choppiness = 0.5,
+        spread = 0.4,
+        gravity = 200,
+        count = 8,
+        seed = 1,
+        enabled = true,
+    } = {}) {
+        this.windDirection = windDirection
+        this.amplitude = amplitude
+        this.wavelength = wavelength
+        this.choppiness = choppiness
+        this.spread = spread
+        this.gravity = gravity
+        this.count = count
+        this.enabled = enabled
+        // seconds the swell has been running for
+        this.time = 0
+
+        // what makes each wave different, kept apart from the parameters so changing them doesn't shuffle the waves
+        const random = createRandom(seed)
+        this.variations = Array.from({ length: count }, (_, i) => ({
+            // spread evenly over two octaves on a log scale, shortest first
+            lengthFactor: Math.pow(2, (i + random()) / count * 2 - 1),
+            angle: randomGaussian(random),
+            phase: random() * 2 * Math.PI,
+        }))
+
+        // x/y == direction times wavenumber, z == amplitude, w == steepness; and the phase of each wave at the current time
+        this.uniforms = {
+            gerstnerWaves: { value: Array.from({ length: count }, () => new THREE.Vector4()) },
+            gerstnerPhases: { value: new Array(count).fill(0) },
+        }
+        this.update(0)
+    }
+
+    /**
+     * @param {object} params any of the constructor options but count and seed, e.g. { choppiness: 0.8 }
+     */
+    set(params) {
+        Object.assign(this, params)
+    }
+
+    /**
+     * Advances the swell and updates the uniforms
+     * @param {number} delta time elapsed since the last call in seconds
+     */
+    update(delta) {
+        this.time += delta
+        const totalLength = this.variations.reduce((total, { lengthFactor }) => total + lengthFactor, 0)
+        const amplitude = this.enabled ? this.amplitude : 0
+        const choppiness = Math.min(Math.max(this.choppiness, 0), 1)
+
+        this.variations.forEach(({ lengthFactor, angle, phase }, i) => {
+            const wavelength = this.wavelength * lengthFactor
+            const k = 2 * Math.PI / wavelength
+            const direction = this.windDirection + angle * this.spread
+            // same steepness for every wave, so the short ones don't break first
+            const waveAmplitude = amplitude * lengthFactor / totalLength
+            // the steepnesses sum up to the choppiness, crests loop over themselves beyond 1
+            const steepness = waveAmplitude > 0 ? choppiness / (k * waveAmplitude * this.count) : 0
+            this.uniforms.gerstnerWaves.value[i].set(Math.cos(direction) * k, Math.sin(direction) * k, waveAmplitude, steepness)
+            // deep water dispersion, wrapped here in double precision so the shader's floats stay accurate
+            const omega = Math.sqrt(this.gravity * k)
+            this.uniforms.gerstnerPhases.value[i] = (omega * this.time - phase) % (2 * Math.PI)
+        })
+    }
+
+    /**
+     * Swell at a position, same as gerstnerDisplacement() and gerstnerNormal() in gerstnerWaves.glsl
+     * the horizontal displacement is left out, the water is sampled where it would be without choppiness
+     * @param {number} x position in system units
+     * @param {number} y position in system units
+     * @returns {{height: number, slopeX: number, slopeY: number}} the height of the swell and its slopes along x and y
+     */
+    sample(x, y) {
+        let height = 0
+        let slopeX = 0
+        let slopeY = 0
+        this.uniforms.gerstnerWaves.value.forEach((wave, i) => {
+            const theta = wave.x * x + wave.y * y - this.uniforms.gerstnerPhases.value[i]
+            height += wave.z * Math.sin(theta)
+            slopeX += wave.x * wave.z * Math.cos(theta)
+            slopeY += wave.y * wave.z * Math.cos(theta)
+        })
+        return { height, slopeX, slopeY }
+    }
+}
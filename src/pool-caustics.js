@@ -0,0 +1,241 @@
+// Caustics on the floor and the walls of a box shaped pool, from a directional light refracted by the waves of a RippleSimulation
+// positions are in world units, the water spanning the top of the box with u along x and v towards -z like the water meshes of the demos
+
+import * as THREE from "three"
+
+import CausticsVertex from "./shaders/causticsVertex.glsl"
+import CausticsFragment from "./shaders/causticsFragment.glsl"
+
+const IOR_WATER = 1.333
+
+/**
+ * Caustics rendered every frame into a map spanning the water, by a grid over the water refracting the light (see causticsVertex.glsl),
+ * and read back by the pool materials along the light refracted by the water at rest
+ *
+ * Usage:
+ * const caustics = new PoolCaustics(renderer, { box: new THREE.Box3(min, max), waterLevel: 230, light: sun, fboWidth: 512, fboHeight: 256 })
+ * caustics.patchMaterial(poolMaterial)
+ * // in updateScene, after simulation.update(interval)
+ * caustics.update(simulation)
+ */
+export class PoolCaustics {
+    /**
+     * @param {object} renderer Threejs renderer instance
+     * @param {object} options
+     * @param {THREE.Box3} options.box inside of the pool in world units, the water spans its top from side to side
+     * @param {number} options.waterLevel height of the water at rest in world units
+     * @param {THREE.DirectionalLight} options.light the sun, its direction, color and intensity are read again by every update()
+     * @param {number} options.fboWidth width of the heightmap in cells
+     * @param {number} options.fboHeight height of the heightmap in cells
+     * @param {number} options.mapWidth width of the caustics map in pixels, a few pixels per cell keep the thin lines sharp
+     * @param {number} options.mapHeight height of the caustics map in pixels
+     */
+    constructor(renderer, {
+        box,
+        waterLevel,
+        light,
+        fboWidth = 128,
+        fboHeight = 128,
+        mapWidth = 1024,
+        mapHeight = 512,
+    }) {
+        this.renderer = renderer
+        this.light = light
+        this.box = box.clone()
+        this.waterLevel = waterLevel
+        // direction the caustics were last laid out for, see updateLight()
+        this.lightDirection = new THREE.Vector3()
+
+        this.target = new THREE.WebGLRenderTarget(mapWidth, mapHeight, { type: THREE.HalfFloatType })
+        // shared with the patched pool materials, changing them needs no recompile
+        this.uniforms = {
+            causticsMap: { value: this.target.texture },
+            // takes a point of the pool back up to the water level along refractedLight: xy == uv of the caustics map, z == depth under the water
+            causticsMatrix: { value: new THREE.Matrix4() },
+            // the light under the water at rest
+            refractedLight: { value: new THREE.Vector3() },
+            sunColor: { value: new THREE.Color() },
+        }
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                heightmap: { value: null },
+                heightmapAlpha: { value: 1.0 },
+                lightDirection: { value: this.lightDirection },
+                refractedLight: this.uniforms.refractedLight,
+                waterLevel: { value: waterLevel },
+                poolMin: { value: this.box.min },
+                poolMax: { value: this.box.max },
+            },
+            vertexShader: CausticsVertex,
+            fragmentShader: CausticsFragment,
+            // where the light folds over, the triangles add up
+            blending: THREE.AdditiveBlending,
+            depthTest: false,
+            depthWrite: false,
+            extensions: { derivatives: true },
+        })
+        // the vertices land where the shader puts them, no camera or culling involved
+        this.mesh = new THREE.Mesh(new THREE.BufferGeometry(), this.material)
+        this.mesh.frustumCulled = false
+        this.scene = new THREE.Scene()
+        this.scene.background = new THREE.Color(0x000000)
+        this.scene.add(this.mesh)
+        this.camera = new THREE.OrthographicCamera()
+        this.setResolution(fboWidth, fboHeight)
+        this.updateLight()
+    }
+
+    /**
+     * @param {THREE.Box3} box new inside of the pool in world units, the water mesh and the simulation are up to the caller
+     */
+    setBox(box) {
+        this.box.copy(box)
+        this.updateMatrix()
+    }
+
+    /**
+     * @param {number} level new height of the water at rest in world units, moving the water mesh is up to the caller
+     */
+    setWaterLevel(level) {
+        this.waterLevel = level
+        this.material.uniforms.waterLevel.value = level
+        this.updateMatrix()
+    }
+
+    /**
+     * Rebuilds the grid bending the light, one vertex per cell of the heightmap, see RippleSimulation.setResolution
+     * @param {number} fboWidth width of the heightmap in cells
+     * @param {number} fboHeight height of the heightmap in cells
+     */
+    setResolution(fboWidth, fboHeight) {
+        this.mesh.geometry.dispose()
+        this.mesh.geometry = new THREE.PlaneGeometry(1, 1, fboWidth, fboHeight)
+        this.material.defines.FBO_WIDTH = fboWidth.toFixed(1)
+        this.material.defines.FBO_HEIGHT = fboHeight.toFixed(1)
+        this.material.needsUpdate = true
+    }
+
+    /**
+     * Reads the direction, color and intensity of the light again, and lays the caustics out along the new direction if the sun moved
+     */
+    updateLight() {
+        this.light.updateMatrixWorld()
+        this.light.target.updateMatrixWorld()
+        const direction = new THREE.Vector3().setFromMatrixPosition(this.light.matrixWorld)
+            .sub(new THREE.Vector3().setFromMatrixPosition(this.light.target.matrixWorld))
+            .normalize()
+        this.uniforms.sunColor.value.copy(this.light.color).multiplyScalar(this.light.intensity)
+        if (direction.equals(this.lightDirection)) return
+        this.lightDirection.copy(direction)
+        this.updateMatrix()
+    }
+
+    /**
+     * Recomputes the light under the water and the projection of the pool onto the caustics map
+     */
+    updateMatrix() {
+        const refracted = refractDirection(this.lightDirection.clone().negate(), new THREE.Vector3(0, 1, 0), 1 / IOR_WATER)
+        this.uniforms.refractedLight.value.copy(refracted)
+        const { min, max } = this.box
+        const width = max.x - min.x
+        const length = max.z - min.z
+        // horizontal over vertical parts of the light under the water
+        const slopeX = refracted.x / refracted.y
+        const slopeZ = refracted.z / refracted.y
+        this.uniforms.causticsMatrix.value.set(
+            1 / width, -slopeX / width, 0, (this.waterLevel * slopeX - min.x) / width,
+            0, slopeZ / length, -1 / length, (max.z - this.waterLevel * slopeZ) / length,
+            0, -1, 0, this.waterLevel,
+            0, 0, 0, 1
+        )
+    }
+
+    /**
+     * Renders the caustics of the current waves, call it every frame after the simulation update
+     * @param {RippleSimulation} simulation the simulation of the water in the pool
+     */
+    update(simulation) {
+        this.updateLight()
+        this.material.uniforms.heightmap.value = simulation.getHeightTexture()
+        this.material.uniforms.heightmapAlpha.value = simulation.alpha
+        const renderTarget = this.renderer.getRenderTarget()
+        this.renderer.setRenderTarget(this.target)
+        this.renderer.render(this.scene, this.camera)
+        this.renderer.setRenderTarget(renderTarget)
+    }
+
+    /**
+     * Lights a material of the pool (a MeshPhongMaterial or MeshStandardMaterial of the floor or walls) with the caustics,
+     * under the water the sun only gets to it through the waves, and the walls shade what the light cannot reach
+     * @param {THREE.Material} material the material, its onBeforeCompile gets replaced
+     */
+    patchMaterial(material) {
+        material.onBeforeCompile = (shader) => {
+            Object.assign(shader.uniforms, this.uniforms)
+            shader.vertexShader = shader.vertexShader.replace('#include <common>', `
+                uniform mat4 causticsMatrix;
+                varying vec3 causticsCoords;
+                varying vec3 poolNormal;
+
+                #include <common>
+            `)
+            shader.vertexShader = shader.vertexShader.replace('#include <begin_vertex>', `
+                #include <begin_vertex>
+
+                // where the light reaching this point of the pool came through the water, see causticsMatrix
+                causticsCoords = ( causticsMatrix * modelMatrix * vec4( transformed, 1.0 ) ).xyz;
+                // the box is seen from the inside
+                poolNormal = - normalize( mat3( modelMatrix ) * objectNormal );
+            `)
+            shader.fragmentShader = shader.fragmentShader.replace('#include <common>', `
+                uniform sampler2D causticsMap;
+                uniform vec3 refractedLight;
+                uniform vec3 sunColor;
+                varying vec3 causticsCoords;
+                varying vec3 poolNormal;
+
+                #include <common>
+            `)
+            shader.fragmentShader = shader.fragmentShader.replace('#include <lights_fragment_end>', `
+                #include <lights_fragment_end>
+
+                // under the water, the sunlight only gets to the pool through the waves
+                if ( causticsCoords.z > 0.0 ) {
+                    reflectedLight.directDiffuse = vec3( 0.0 );
+                    reflectedLight.directSpecular = vec3( 0.0 );
+                    // light coming in outside the water is in the shadow of the pool walls
+                    if ( all( greaterThanEqual( causticsCoords.xy, vec2( 0.0 ) ) ) && all( lessThanEqual( causticsCoords.xy, vec2( 1.0 ) ) ) ) {
+                        // the map holds the light per unit of area at the water level, spread over the face of the pool it falls on
+                        float irradiance = texture2D( causticsMap, causticsCoords.xy ).r * max( dot( - refractedLight, normalize( poolNormal ) ), 0.0 ) / - refractedLight.y;
+                        reflectedLight.directDiffuse += irradiance * sunColor * BRDF_Lambert( diffuseColor.rgb );
+                    }
+                }
+            `)
+        }
+        material.needsUpdate = true
+    }
+
+    /**
+     * Frees the gpu resources of the caustics
+     */
+    dispose() {
+        this.target.dispose()
+        this.mesh.geometry.dispose()
+        this.material.dispose()
+    }
+}
+
+/**
+ * Bends a ray going through the surface between two media, same as refract() in GLSL
+ * @param {THREE.Vector3} direction unit direction of the incoming ray
+ * @param {THREE.Vector3} normal unit normal of the surface, against the incoming ray
+ * @param {number} eta ratio of the refractive indices, the one the ray comes from over the one it goes into
+ * @returns {THREE.Vector3} unit direction of the refracted ray, a zero vector on total internal reflection
+ */
+const refractDirection = (direction, normal, eta) => {
+    const cosine = normal.dot(direction)
+    const k = 1 - eta * eta * (1 - cosine * cosine)
+    if (k < 0) return new THREE.Vector3()
+    return direction.clone().multiplyScalar(eta).sub(normal.clone().multiplyScalar(eta * cosine + Math.sqrt(k)))
+}
@@ -0,0 +1,48 @@
+// Seedable random numbers (mulberry32, normal and Poisson draws) for the rain and the initial conditions
+
+/**
+ * Creates a mulberry32 generator
+ * @param {number} seed any integer, the same seed gives the same sequence
+ * @returns {function} returns a number in [0..1) on every call, like Math.random
+ */
+export const createRandom = (seed) => {
+    let state = seed >>> 0
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0
+        let t = state
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+/**
+ * Standard normal distribution (Box-Muller)
+ * @param {function} random generator from createRandom
+ * @returns a number with mean 0 and standard deviation 1
+ */
+export const randomGaussian = (random) => {
+    const u = 1 - random()
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random())
+}
+
+/**
+ * Poisson distribution, i.e. how many events happen in an interval when they happen independently at a given rate
+ * @param {function} random generator from createRandom
+ * @param {number} mean expected number of events, e.g. rate times duration
+ * @returns a non negative integer
+ */
+export const randomPoisson = (random, mean) => {
+    // the product of uniforms gets too slow for large means, where the normal approximation is good enough
+    if (mean > 30) {
+        return Math.max(0, Math.round(mean + Math.sqrt(mean) * randomGaussian(random)))
+    }
+    const limit = Math.exp(-mean)
+    let count = 0
+    let product = random()
+    while (product > limit) {
+        count++
+        product *= random()
+    }
+    return count
+}
@@ -0,0 +1,198 @@
+// Records the inputs of a RippleSimulation step by step and replays them into a fresh simulation, exactly thanks to the fixed timestep
+
+import { captureInput, replayEvents, toArray, toFloat32Array } from "./input-events.js"
+import { RippleSimulation } from "./ripple-simulation.js"
+import { BOUNDARY_MODES } from "./simulation-constants.js"
+import { applySnapshot, createSnapshot, decodeSnapshot, encodeSnapshot } from "./snapshot.js"
+
+const FORMAT = "water-ripples-recording"
+const VERSION = 1
+
+/**
+ * Records the inputs of a simulation from the moment it is created until stop() is called
+ * the recording holds the settings and the state of the simulation at the start, so it doesn't depend on how the scene set it up
+ *
+ * Usage:
+ * const recorder = new InputRecorder(simulation, { seed: 42 })
+ * // later, e.g. from a GUI button
+ * const recording = recorder.stop()
+ * const json = JSON.stringify(recording)
+ */
+export class InputRecorder {
+    /**
+     * @param {RippleSimulation} simulation the simulation to record, reading its state waits for the gpu to finish its work
+     * @param {object} metadata anything worth keeping with the recording, e.g. the seeds and parameters of the scene
+     */
+    constructor(simulation, metadata = {}) {
+        this.simulation = simulation
+        this.startStep = simulation.stepCount
+        this.recording = {
+            format: FORMAT,
+            version: VERSION,
+            metadata,
+            parameters: {
+                fboWidth: simulation.fboWidth,
+                fboHeight: simulation.fboHeight,
+                geomWidth: simulation.geomWidth,
+                geomHeight: simulation.geomHeight,
+                mouseSize: simulation.mouseSize,
+                waveHeight: simulation.waveHeight,
+                strokeSpeed: simulation.strokeSpeed,
+                timestep: simulation.timestep,
+                substeps: simulation.substeps,
+                maxCatchUp: simulation.maxCatchUp,
+                solver: simulation.solver,
+                depth: simulation.depth,
+                viscosity: simulation.uniforms['viscosityConstant'].value,
+                boundary: BOUNDARY_MODES[simulation.uniforms['boundaryMode'].value],
+                spongeWidth: simulation.uniforms['spongeWidth'].value,
+                spongeStrength: simulation.uniforms['spongeStrength'].value,
+                gravity: simulation.solver === "shallowWater" ? simulation.uniforms['gravity'].value : undefined,
+                obstacleMask: toArray(simulation.obstacleMask),
+                waveSpeedMap: toArray(simulation.waveSpeedMap),
+                dampingMap: toArray(simulation.dampingMap),
+                bathymetry: toArray(simulation.bathymetry),
+                brushStamp: toArray(simulation.brushStamp),
+                foam: simulation.foamSettings !== null ? { ...simulation.foamSettings } : null,
+            },
+            // state of the simulation at the start, a snapshot file (see snapshot.js) in base64
+            start: toBase64(encodeSnapshot(createSnapshot(simulation))),
+            // { step, type, ...params } in the order they happened, step counting from the start of the recording
+            events: [],
+            // number of steps recorded, set by stop()
+            steps: 0,
+        }
+        this.recordInput = this.recordInput.bind(this)
+
+        // impulses and noise already queued when the recording starts still apply in the next step
+        const queue = simulation.cpuSolver !== null ? simulation.cpuSolver : simulation
+        queue.impulses.forEach((impulse) => this.recordInput("impulse", impulse))
+        if (queue.noiseAmplitude !== 0) {
+            this.recordInput("noise", { amplitude: queue.noiseAmplitude, seed: queue.noiseSeed })
+        }
+        simulation.onInput(this.recordInput)
+    }
+
+    /**
+     * @param {string} type type of input, see RippleSimulation.onInput
+     * @param {object} params parameters of the input
+     */
+    recordInput(type, params) {
+        this.recording.events.push(captureInput(this.simulation.stepCount - this.startStep, type, params))
+    }
+
+    /**
+     * Stops recording
+     * @returns {object} the recording, a plain object that can go through JSON.stringify
+     */
+    stop() {
+        this.simulation.offInput(this.recordInput)
+        this.recording.steps = this.simulation.stepCount - this.startStep
+        return this.recording
+    }
+}
+
+/**
+ * Replays a recording into a simulation of its own, created with the recorded settings and state
+ *
+ * Usage:
+ * const player = new InputPlayer(renderer, JSON.parse(json))
+ * // in updateScene, then render player.simulation like any other simulation
+ * player.update(interval)
+ * // or in a regression test, compare the end state with the one of the recorded run
+ * player.stepToEnd().readHeightmap()
+ */
+export class InputPlayer {
+    /**
+     * @param {object} renderer Threejs renderer instance
+     * @param {object} recording a recording from InputRecorder.stop()
+     */
+    constructor(renderer, recording) {
+        if (recording.format !== FORMAT || recording.version > VERSION) {
+            console.error(`Unsupported recording: ${recording.format} version ${recording.version}`)
+        }
+        this.recording = recording
+        const { obstacleMask, waveSpeedMap, dampingMap, bathymetry, brushStamp = null, ...parameters } = recording.parameters
+        this.simulation = new RippleSimulation(renderer, {
+            ...parameters,
+            obstacleMask: obstacleMask !== null ? Uint8Array.from(obstacleMask) : null,
+            waveSpeedMap: toFloat32Array(waveSpeedMap),
+            dampingMap: toFloat32Array(dampingMap),
+            bathymetry: toFloat32Array(bathymetry),
+            brushStamp: toFloat32Array(brushStamp),
+            // the clamps of the recorded guard are replayed as inputs, this one acting on its own would make the replay diverge
+            guard: "off",
+        })
+        const snapshot = decodeSnapshot(fromBase64(recording.start))
+        if (snapshot !== null) {
+            applySnapshot(this.simulation, snapshot)
+        }
+        // index of the next event to replay
+        this.nextEvent = 0
+        // stops the replay, see dispose()
+        this.offBeforeStep = this.simulation.onBeforeStep((stepIndex) => this.replayEvents(stepIndex))
+    }
+
+    /**
+     * @returns {bool} true once every recorded step has been replayed, the simulation then keeps going without inputs
+     */
+    get finished() {
+        return this.simulation.stepCount >= this.recording.steps
+    }
+
+    /**
+     * Advances the replay by the time elapsed since the last frame, see RippleSimulation.update
+     * @param {number} delta time elapsed since the last call in seconds
+     * @returns the interpolation factor to render with
+     */
+    update(delta) {
+        return this.simulation.update(delta)
+    }
+
+    /**
+     * Replays all the remaining steps at once
+     * @returns {RippleSimulation} the simulation, in the state the recorded one was in when the recording stopped
+     */
+    stepToEnd() {
+        while (!this.finished) {
+            this.simulation.step()
+        }
+        return this.simulation
+    }
+
+    /**
+     * Stops the replay and frees the gpu resources of the replayed simulation
+     */
+    dispose() {
+        this.offBeforeStep()
+        this.simulation.dispose()
+    }
+
+    /**
+     * Feeds the simulation the inputs recorded for a step, run at the start of the step
+     * @param {number} stepIndex index of the step about to run
+     */
+    replayEvents(stepIndex) {
+        this.nextEvent = replayEvents(this.simulation, this.recording.events, this.nextEvent, stepIndex)
+    }
+}
+
+/**
+ * @param {ArrayBuffer} buffer binary data
+ * @returns {string} the data in base64
+ */
+const toBase64 = (buffer) => {
+    const bytes = new Uint8Array(buffer)
+    let binary = ""
+    // in chunks, String.fromCharCode takes its arguments on the stack
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+    }
+    return btoa(binary)
+}
+
+/**
+ * @param {string} text data in base64
+ * @returns {ArrayBuffer} the binary data
+ */
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0)).buffer
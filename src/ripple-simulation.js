@@ -0,0 +1,1319 @@
+// The gpgpu heightmap setup every demo needs: a scene creates a RippleSimulation, disturbs it and steps it once per frame
+
+import * as THREE from "three"
+import { GPUComputationRenderer } from "three/examples/jsm/misc/GPUComputationRenderer.js"
+
+import { resampleMap, resampleMask, toCellMap } from "./cell-map.js"
+import { CpuRippleSolver } from "./cpu-ripple-solver.js"
+import { BOUNDARY_MODES, BRUSHES, calmFactor, FOAM_DEFAULTS, GUARD_MODES, interpolationAlpha, MAX_IMPULSES, MAX_PENDING_IMPULSES, MAX_PROBES, SMOOTH_KERNELS, SOLVERS, STAMP_SIZE, strokeFactor } from "./simulation-constants.js"
+import { clampState, judgeStability, measureStability } from "./stability-guard.js"
+import HeightmapFragment from "./shaders/heightmapFragment.glsl"
+import ClampFragment from "./shaders/clampFragment.glsl"
+import FoamFragment from "./shaders/foamFragment.glsl"
+import ProbeFragment from "./shaders/probeFragment.glsl"
+import ShallowWaterFragment from "./shaders/shallowWaterFragment.glsl"
+import SimulationCommon from "./shaders/simulationCommon.glsl"
+import SmoothFragment from "./shaders/smoothFragment.glsl"
+import StabilityFragment from "./shaders/stabilityFragment.glsl"
+
+// milliseconds between two checks of an asynchronous readback
+const READBACK_POLL_INTERVAL = 4
+
+/**
+ * Water ripples computed on the gpu with GPUComputationRenderer,
+ * either Hugo Elias style ripples or the shallow water equations over a bathymetry map (see SOLVERS)
+ *
+ * Usage:
+ * const simulation = new RippleSimulation(renderer, { fboWidth: 128, fboHeight: 128, geomWidth: 512, geomHeight: 512 })
+ * // in updateScene
+ * simulation.disturb(point.x, point.z)
+ * simulation.addImpulse({ x: 0, y: 0, radius: 5, strength: 1, sign: -1 })
+ * simulation.update(interval)
+ * waterMat.userData.heightmap.value = simulation.getHeightTexture()
+ * waterMat.userData.heightmapAlpha.value = simulation.alpha
+ * // with the foam option, crests and wakes can turn white
+ * waterMat.userData.foamMap.value = simulation.getFoamTexture()
+ */
+export class RippleSimulation {
+    /**
+     * @param {object} renderer Threejs renderer instance
+     * @param {object} options
+     * @param {number} options.fboWidth width of the simulation texture in pixels
+     * @param {number} options.fboHeight height of the simulation texture in pixels
+     * @param {number} options.geomWidth width of the water geometry in system units
+     * @param {number} options.geomHeight height of the water geometry in system units
+     * @param {number} options.mouseSize default radius of an impulse in system units
+     * @param {number} options.viscosity damping factor applied to the waves every timestep, 1.0 means no damping
+     * @param {number} options.waveHeight default strength (height multiplier) of an impulse
+     * @param {function} options.fillTexture custom function to fill in the initial heightmap, takes the DataTexture as the only parameter
+     * @param {Uint8Array} options.obstacleMask optional mask from obstacle-mask.js, 1 for obstacle cells
+     * @param {string} options.boundary how waves behave at the grid edges, one of BOUNDARY_MODES
+     * @param {number} options.spongeWidth width of the absorbing layer along the edges in cells
+     * @param {number} options.spongeStrength [0..1] how much of the wave the absorbing layer damps per timestep at the very edge
+     * @param {number} options.strokeSpeed pointer speed in system units per second at which a stroke gets the full waveHeight
+     * @param {number} options.timestep fixed duration of a simulation step in seconds used by update(), so the waves move at the same speed on any display
+     * @param {number} options.substeps number of step() runs per timestep, each one advancing the waves by timestep / substeps with either solver,
+     * more substeps cost more but keep fast waves stable, they change neither the wave speed nor the damping
+     * @param {number} options.maxCatchUp maximum number of timesteps update() runs in one call, the time left over (e.g. after a background tab) is dropped
+     * @param {Float32Array|HTMLCanvasElement|HTMLImageElement} options.waveSpeedMap optional wave speed factor per cell, see setWaveSpeedMap()
+     * @param {Float32Array|HTMLCanvasElement|HTMLImageElement} options.dampingMap optional extra damping per cell, see setDampingMap()
+     * @param {string} options.solver equations to solve, one of SOLVERS, it cannot be changed afterwards
+     * @param {Float32Array} options.bathymetry shallowWater solver only: depth of the water at rest per cell in system units (row 0 being v = 0 of the heightmap),
+     * 0 or less for dry land, null for a flat bottom at the given depth
+     * @param {number} options.depth shallowWater solver only: depth of the water at rest when there is no bathymetry
+     * @param {number} options.gravity shallowWater solver only: gravity in system units per second squared, waves travel at sqrt(gravity * depth),
+     * keep that below half a cell per step (timestep / substeps) or the simulation blows up
+     * @param {Float32Array|HTMLCanvasElement|HTMLImageElement} options.brushStamp optional image of the stamp brush, see setBrushStamp()
+     * @param {string} options.guard what the stability guard does when the water goes unstable, one of GUARD_MODES
+     * @param {number} options.guardInterval number of steps between two stability measures, 0 to never measure
+     * @param {number} options.maxAmplitude largest height the guard lets through, in system units
+     * @param {object} options.foam settings of the foam field, see setFoam(), {} for the defaults, null for no foam (it cannot be turned on afterwards)
+     */
+    constructor(renderer, {
+        fboWidth = 128,
+        fboHeight = 128,
+        geomWidth = 512,
+        geomHeight = 512,
+        mouseSize = 20.0,
+        viscosity = 0.98,
+        waveHeight = 0.3,
+        fillTexture = (texture) => { },
+        obstacleMask = null,
+        boundary = "reflective",
+        spongeWidth = 16,
+        spongeStrength = 0.25,
+        strokeSpeed = 200,
+        timestep = 1 / 60,
+        substeps = 1,
+        maxCatchUp = 4,
+        waveSpeedMap = null,
+        dampingMap = null,
+        solver = "ripple",
+        bathymetry = null,
+        depth = 20,
+        gravity = 400,
+        brushStamp = null,
+        guard = "clamp",
+        guardInterval = 30,
+        maxAmplitude = 100,
+        foam = null,
+    } = {}) {
+        if (!SOLVERS.includes(solver)) {
+            console.error(`Unknown solver: ${solver}`)
+            solver = "ripple"
+        }
+        this.solver = solver
+        this.renderer = renderer
+        this.fboWidth = fboWidth
+        this.fboHeight = fboHeight
+        this.geomWidth = geomWidth
+        this.geomHeight = geomHeight
+        this.mouseSize = mouseSize
+        this.waveHeight = waveHeight
+        this.strokeSpeed = strokeSpeed
+        this.timestep = timestep
+        this.substeps = substeps
+        this.maxCatchUp = maxCatchUp
+        this.depth = depth
+        this.guardInterval = guardInterval
+        this.maxAmplitude = maxAmplitude
+        // time not yet simulated by update()
+        this.accumulator = 0
+        // how far the rendering is between the last two steps, the render materials mix the previous (y) and current (x) heights with it,
+        // below 0 with several substeps, see interpolationAlpha()
+        this.alpha = 1
+        // number of step() runs since the simulation was created
+        this.stepCount = 0
+        // callbacks run at the start of every step(), see onBeforeStep()
+        this.beforeStepCallbacks = []
+        // wave sources run at the start of every step(), see addEmitter()
+        this.emitters = []
+        // callbacks told about every input changing the course of the simulation, see onInput()
+        this.inputCallbacks = []
+        // callbacks told about every stability measure, see onStability()
+        this.stabilityCallbacks = []
+        // latest stability measure, null until the first one arrives
+        this.stability = null
+        // true while a stability measure is on its way back from the gpu
+        this.stabilityPending = false
+        this.disposed = false
+        this.setGuard(guard)
+        // calm() in progress: { step, steps, region }, null when there is none
+        this.calming = null
+        // queue of the impulses to apply in the next step(), anything can push to it with addImpulse()
+        this.impulses = []
+        // noise to add in the next step(), see addNoise()
+        this.noiseAmplitude = 0
+        this.noiseSeed = 0
+        // only set when the gpu cannot run the simulation, see useCpuFallback()
+        this.cpuSolver = null
+        // per cell maps as last set, kept to resample them in setResolution()
+        this.obstacleMask = null
+        this.waveSpeedMap = null
+        this.dampingMap = null
+        this.bathymetry = null
+        this.brushStamp = null
+        // settings of the foam field, null when there is none
+        this.foamSettings = foam !== null ? { ...FOAM_DEFAULTS, ...foam } : null
+        // the stamp keeps its size whatever the grid, it lives as long as the simulation
+        this.stampTexture = new THREE.DataTexture(new Uint8Array(STAMP_SIZE * STAMP_SIZE * 4), STAMP_SIZE, STAMP_SIZE)
+        this.stampTexture.magFilter = THREE.LinearFilter
+        this.stampTexture.minFilter = THREE.LinearFilter
+
+        this.initCompute((texture) => {
+            fillTexture(texture)
+            if (solver === "shallowWater") {
+                // z/w hold the velocities of the shallow water solver, the water starts still whatever the fill function put there
+                const data = texture.image.data
+                for (let p = 0; p < data.length; p += 4) {
+                    data[p + 1] = data[p]
+                    data[p + 2] = 0
+                    data[p + 3] = 0
+                }
+            }
+        }, { viscosity, boundary, spongeWidth, spongeStrength, gravity })
+        this.setObstacleMask(obstacleMask)
+        this.setWaveSpeedMap(waveSpeedMap)
+        this.setDampingMap(dampingMap)
+        if (solver === "shallowWater") {
+            this.setBathymetry(bathymetry)
+        }
+        this.setBrushStamp(brushStamp)
+    }
+
+    /**
+     * Creates the gpu computation class and everything that depends on the size of the grid
+     * the per cell maps are left empty, the setters fill them in
+     * @param {function} fillTexture fills in the initial heightmap, takes the DataTexture as the only parameter
+     * @param {object} physics viscosity, boundary, sponge and gravity settings to start with
+     */
+    initCompute(fillTexture, { viscosity, boundary, spongeWidth, spongeStrength, gravity }) {
+        const { fboWidth, fboHeight, renderer, solver } = this
+
+        // Creates the gpu computation class and sets it up
+        this.gpuCompute = new GPUComputationRenderer(fboWidth, fboHeight, renderer)
+        if (renderer.capabilities.isWebGL2 === false) {
+            this.gpuCompute.setDataType(THREE.HalfFloatType)
+        }
+
+        const heightmap0 = this.gpuCompute.createTexture()
+        fillTexture(heightmap0)
+        const fragmentShader = solver === "shallowWater" ? ShallowWaterFragment : HeightmapFragment
+        this.heightmapVariable = this.gpuCompute.addVariable('heightmap', SimulationCommon + fragmentShader, heightmap0)
+        this.gpuCompute.setVariableDependencies(this.heightmapVariable, [this.heightmapVariable])
+
+        this.uniforms = this.heightmapVariable.material.uniforms
+        // xy == position, z == radius, w == signed strength
+        this.uniforms['impulses'] = { value: Array.from({ length: MAX_IMPULSES }, () => new THREE.Vector4()) }
+        this.uniforms['impulseEnds'] = { value: Array.from({ length: MAX_IMPULSES }, () => new THREE.Vector4()) }
+        // x == brush index, y == rotation, zw == scale
+        this.uniforms['impulseShapes'] = { value: Array.from({ length: MAX_IMPULSES }, () => new THREE.Vector4()) }
+        this.uniforms['brushStamp'] = { value: this.stampTexture }
+        this.uniforms['impulseCount'] = { value: 0 }
+        this.uniforms['viscosityConstant'] = { value: viscosity }
+        this.uniforms['noiseAmplitude'] = { value: 0 }
+        this.uniforms['noiseSeed'] = { value: 0 }
+        this.obstacleTexture = new THREE.DataTexture(new Uint8Array(fboWidth * fboHeight * 4), fboWidth, fboHeight)
+        this.uniforms['obstacleMask'] = { value: this.obstacleTexture }
+        // r == wave speed factor, g == extra damping, 8 bits are plenty and work on every device
+        this.mediumTexture = new THREE.DataTexture(new Uint8Array(fboWidth * fboHeight * 4), fboWidth, fboHeight)
+        this.uniforms['mediumMap'] = { value: this.mediumTexture }
+        this.uniforms['boundaryMode'] = { value: 0 }
+        this.uniforms['spongeWidth'] = { value: spongeWidth }
+        this.uniforms['spongeStrength'] = { value: spongeStrength }
+        this.uniforms['substepFraction'] = { value: 1 / this.substeps }
+        // only set for the shallowWater solver, see setBathymetry()
+        this.bathymetryTexture = null
+        if (solver === "shallowWater") {
+            this.bathymetryTexture = new THREE.DataTexture(new Float32Array(fboWidth * fboHeight * 4), fboWidth, fboHeight, THREE.RGBAFormat, THREE.FloatType)
+            this.uniforms['bathymetry'] = { value: this.bathymetryTexture }
+            this.uniforms['gravity'] = { value: gravity }
+            this.uniforms['deltaTime'] = { value: this.timestep / this.substeps }
+        }
+        this.heightmapVariable.material.defines.GEOM_WIDTH = this.geomWidth.toFixed(1)
+        this.heightmapVariable.material.defines.GEOM_HEIGHT = this.geomHeight.toFixed(1)
+        this.heightmapVariable.material.defines.MAX_IMPULSES = MAX_IMPULSES
+
+        // the foam follows the heightmap, reading the same state and impulses as the solver
+        this.foamVariable = null
+        if (this.foamSettings !== null) {
+            this.foamVariable = this.gpuCompute.addVariable('foam', SimulationCommon + FoamFragment, this.gpuCompute.createTexture())
+            this.gpuCompute.setVariableDependencies(this.foamVariable, [this.heightmapVariable, this.foamVariable])
+            const material = this.foamVariable.material
+            // the impulses, maps and settings are the same uniform objects as the heightmap's
+            Object.assign(material.uniforms, this.uniforms, {
+                foamDecay: { value: 0 },
+                foamThreshold: { value: 0 },
+                foamGain: { value: 0 },
+                foamImpulseGain: { value: 0 },
+                foamDrift: { value: 0 },
+            })
+            material.defines.GEOM_WIDTH = this.geomWidth.toFixed(1)
+            material.defines.GEOM_HEIGHT = this.geomHeight.toFixed(1)
+            material.defines.MAX_IMPULSES = MAX_IMPULSES
+            if (solver === "shallowWater") {
+                material.defines.SHALLOW_WATER = 1
+            }
+        }
+
+        const error = this.gpuCompute.init()
+        if (error !== null) {
+            console.error(error)
+            this.useCpuFallback(renderer, heightmap0, {
+                viscosity, spongeWidth, spongeStrength, solver, gravity,
+                depth: this.depth,
+                timestep: this.timestep / this.substeps,
+                substeps: this.substeps,
+                foam: this.foamSettings,
+            })
+        }
+        this.setBoundary(boundary)
+        if (this.foamSettings !== null) {
+            this.setFoam(this.foamSettings)
+        }
+
+        // Create compute shader to smooth the water surface and velocity, see smooth() and calm()
+        this.smoothMaskTexture = new THREE.DataTexture(new Uint8Array(fboWidth * fboHeight * 4), fboWidth, fboHeight)
+        this.smoothShader = this.gpuCompute.createShaderMaterial(SmoothFragment, {
+            smoothTexture: { value: null },
+            smoothKernel: { value: 0 },
+            smoothStrength: { value: 1 },
+            smoothScale: { value: 1 },
+            smoothRegion: { value: new THREE.Vector4() },
+            smoothMask: { value: this.smoothMaskTexture },
+            // the same uniform object as the heightmap's, kept in sync by setBoundary()
+            boundaryMode: this.uniforms['boundaryMode'],
+        })
+        this.smoothShader.defines.GEOM_WIDTH = this.geomWidth.toFixed(1)
+        this.smoothShader.defines.GEOM_HEIGHT = this.geomHeight.toFixed(1)
+
+        // Create compute shader to read the water under some points back, see sampleSurface()
+        this.probeShader = this.gpuCompute.createShaderMaterial(ProbeFragment, {
+            probeTexture: { value: null },
+            probePoints: { value: Array.from({ length: MAX_PROBES }, () => new THREE.Vector2()) },
+            heightmapAlpha: { value: 1 },
+        })
+        this.probeShader.defines.GEOM_WIDTH = this.geomWidth.toFixed(1)
+        this.probeShader.defines.GEOM_HEIGHT = this.geomHeight.toFixed(1)
+        this.probeShader.defines.MAX_PROBES = MAX_PROBES
+        this.probeTarget = this.gpuCompute.createRenderTarget(MAX_PROBES, 1, THREE.ClampToEdgeWrapping, THREE.ClampToEdgeWrapping, THREE.NearestFilter, THREE.NearestFilter)
+        this.probeBuffer = this.probeTarget.texture.type === THREE.HalfFloatType
+            ? new Uint16Array(MAX_PROBES * 4)
+            : new Float32Array(MAX_PROBES * 4)
+
+        // Create compute shaders reducing the heightmap to a few numbers, a grid half the size at every pass, see checkStability()
+        const reduceUniforms = () => ({
+            reduceTexture: { value: null },
+            inputSize: { value: new THREE.Vector2() },
+            cellWeight: { value: 1 / (fboWidth * fboHeight) },
+        })
+        this.measureShader = this.gpuCompute.createShaderMaterial(StabilityFragment, reduceUniforms())
+        this.measureShader.defines.MEASURE = 1
+        this.reduceShader = this.gpuCompute.createShaderMaterial(StabilityFragment, reduceUniforms())
+        this.reduceTargets = []
+        for (let width = fboWidth, height = fboHeight; width > 1 || height > 1;) {
+            width = Math.ceil(width / 2)
+            height = Math.ceil(height / 2)
+            this.reduceTargets.push(this.gpuCompute.createRenderTarget(width, height, THREE.ClampToEdgeWrapping, THREE.ClampToEdgeWrapping, THREE.NearestFilter, THREE.NearestFilter))
+        }
+
+        // Create compute shader to get the simulation out of an unstable state, see clampHeightmap()
+        this.clampShader = this.gpuCompute.createShaderMaterial(ClampFragment, {
+            clampTexture: { value: null },
+            maxAmplitude: { value: 0 },
+        })
+    }
+
+    /**
+     * Switches the simulation to the CpuRippleSolver when float render targets are unavailable,
+     * the heightmap then gets uploaded to a DataTexture after every step
+     * @param {object} renderer Threejs renderer instance
+     * @param {object} heightmap0 DataTexture holding the initial heightmap
+     * @param {object} physics viscosity and sponge settings to start with
+     */
+    useCpuFallback(renderer, heightmap0, physics) {
+        this.cpuSolver = new CpuRippleSolver({
+            fboWidth: this.fboWidth,
+            fboHeight: this.fboHeight,
+            geomWidth: this.geomWidth,
+            geomHeight: this.geomHeight,
+            ...physics,
+            fillTexture: (texture) => texture.image.data.set(heightmap0.image.data),
+        })
+
+        // without OES_texture_float we can still sample half floats on WebGL1
+        const type = renderer.capabilities.isWebGL2 === false && renderer.extensions.has('OES_texture_float') === false
+            ? THREE.HalfFloatType
+            : THREE.FloatType
+        const data = type === THREE.HalfFloatType
+            ? new Uint16Array(this.fboWidth * this.fboHeight * 4)
+            : new Float32Array(this.fboWidth * this.fboHeight * 4)
+        this.cpuTexture = new THREE.DataTexture(data, this.fboWidth, this.fboHeight, THREE.RGBAFormat, type)
+        this.uploadCpuHeightmap()
+        // foam in r, like the render target of the foam variable
+        this.cpuFoamTexture = null
+        if (this.foamSettings !== null) {
+            this.cpuFoamTexture = new THREE.DataTexture(data.slice(0).fill(0), this.fboWidth, this.fboHeight, THREE.RGBAFormat, type)
+            this.uploadCpuFoam()
+        }
+    }
+
+    /**
+     * Copies the heightmap of the cpu solver into the texture returned by getHeightTexture()
+     */
+    uploadCpuHeightmap() {
+        const source = this.cpuSolver.getHeightData()
+        const target = this.cpuTexture.image.data
+        if (this.cpuTexture.type === THREE.HalfFloatType) {
+            for (let i = 0; i < source.length; i++) {
+                target[i] = THREE.DataUtils.toHalfFloat(source[i])
+            }
+        } else {
+            target.set(source)
+        }
+        this.cpuTexture.needsUpdate = true
+    }
+
+    /**
+     * Copies the foam of the cpu solver into the texture returned by getFoamTexture()
+     */
+    uploadCpuFoam() {
+        const source = this.cpuSolver.getFoamData()
+        const target = this.cpuFoamTexture.image.data
+        const half = this.cpuFoamTexture.type === THREE.HalfFloatType
+        for (let i = 0; i < source.length; i++) {
+            target[i * 4] = half ? THREE.DataUtils.toHalfFloat(source[i]) : source[i]
+        }
+        this.cpuFoamTexture.needsUpdate = true
+    }
+
+    /**
+     * @param {number} value default radius of an impulse in system units
+     */
+    setMouseSize(value) {
+        this.mouseSize = value
+    }
+
+    /**
+     * @param {number} value damping factor applied to the waves every timestep
+     */
+    setViscosity(value) {
+        this.notifyInput("viscosity", { value })
+        this.uniforms['viscosityConstant'].value = value
+        if (this.cpuSolver !== null) {
+            this.cpuSolver.setViscosity(value)
+        }
+    }
+
+    /**
+     * @param {number} value default strength (height multiplier) of an impulse
+     */
+    setWaveHeight(value) {
+        this.waveHeight = value
+    }
+
+    /**
+     * Tunes the foam field, only when the simulation was created with the foam option
+     * the foam builds up where the water curves sharply and under the impulses, is carried along with the waves and fades out,
+     * it only feeds the water materials and never changes the waves
+     * @param {object} settings any of
+     * - decay: [0..1] how much of the foam is left after a step, closer to 1 for longer trails
+     * - threshold: curvature (height difference between a cell and the mean of its neighbours, in system units) below which no foam forms
+     * - gain: foam formed per step and per unit of curvature above the threshold
+     * - impulseGain: foam formed per step and per unit of impulse height, the wakes of the strokes
+     * - drift: factor of the speed the foam is carried at, 0 to leave it where it formed
+     */
+    setFoam(settings) {
+        if (this.foamSettings === null) {
+            console.error("setFoam() needs a simulation created with the foam option")
+            return
+        }
+        this.notifyInput("foam", { ...settings })
+        Object.assign(this.foamSettings, settings)
+        if (this.cpuSolver !== null) {
+            this.cpuSolver.setFoam(this.foamSettings)
+        }
+        const uniforms = this.foamVariable.material.uniforms
+        uniforms['foamDecay'].value = this.foamSettings.decay
+        uniforms['foamThreshold'].value = this.foamSettings.threshold
+        uniforms['foamGain'].value = this.foamSettings.gain
+        uniforms['foamImpulseGain'].value = this.foamSettings.impulseGain
+        uniforms['foamDrift'].value = this.foamSettings.drift
+    }
+
+    /**
+     * Marks cells as obstacles, they hold zero height and reflect the waves
+     * @param {Uint8Array} mask obstacle mask from obstacle-mask.js, 1 for obstacle cells, null to clear it
+     */
+    setObstacleMask(mask) {
+        this.notifyInput("obstacleMask", { mask })
+        this.obstacleMask = mask
+        const data = this.obstacleTexture.image.data
+        for (let i = 0; i < this.fboWidth * this.fboHeight; i++) {
+            data[i * 4] = mask !== null && mask[i] === 1 ? 255 : 0
+        }
+        this.obstacleTexture.needsUpdate = true
+        if (this.cpuSolver !== null) {
+            this.cpuSolver.setObstacleMask(mask)
+        }
+    }
+
+    /**
+     * Scales how fast the waves travel in each cell, e.g. slower everywhere but in a deep channel,
+     * it can be called at any time (e.g. while painting on a canvas) and takes effect in the next step
+     * @param {Float32Array|HTMLCanvasElement|HTMLImageElement} map [0..1] one value per cell (row 0 being v = 0 of the heightmap)
+     * or a canvas/image read with createMapFromCanvas, 1 is the fastest stable speed, null for full speed everywhere
+     */
+    setWaveSpeedMap(map) {
+        const values = toCellMap(map, { fboWidth: this.fboWidth, fboHeight: this.fboHeight })
+        this.notifyInput("waveSpeedMap", { map: values })
+        this.waveSpeedMap = values
+        this.writeMediumChannel(0, values, 1)
+        if (this.cpuSolver !== null) {
+            this.cpuSolver.setWaveSpeedMap(values)
+        }
+    }
+
+    /**
+     * Damps the waves more in some cells, e.g. a patch of lily pads or a smooth fade out along the edges,
+     * it can be called at any time (e.g. while painting on a canvas) and takes effect in the next step
+     * @param {Float32Array|HTMLCanvasElement|HTMLImageElement} map [0..1] extra damping per timestep on top of the viscosity, one value per cell
+     * (row 0 being v = 0 of the heightmap) or a canvas/image read with createMapFromCanvas, 1 stops the waves at once, null for no extra damping
+     */
+    setDampingMap(map) {
+        const values = toCellMap(map, { fboWidth: this.fboWidth, fboHeight: this.fboHeight })
+        this.notifyInput("dampingMap", { map: values })
+        this.dampingMap = values
+        this.writeMediumChannel(1, values, 0)
+        if (this.cpuSolver !== null) {
+            this.cpuSolver.setDampingMap(values)
+        }
+    }
+
+    /**
+     * Sets the image of the stamp brush, e.g. a logo or a footprint, white pushing the water the furthest
+     * the image is resampled to STAMP_SIZE * STAMP_SIZE and spans the brush radius in every direction
+     * @param {Float32Array|HTMLCanvasElement|HTMLImageElement} source [0..1] STAMP_SIZE * STAMP_SIZE values (row 0 being the bottom of the image)
+     * or a canvas/image read with createMapFromCanvas, null for an empty stamp
+     */
+    setBrushStamp(source) {
+        const map = toCellMap(source, { fboWidth: STAMP_SIZE, fboHeight: STAMP_SIZE })
+        this.notifyInput("brushStamp", { map })
+        this.brushStamp = map
+        const data = this.stampTexture.image.data
+        for (let i = 0; i < STAMP_SIZE * STAMP_SIZE; i++) {
+            data[i * 4] = map !== null ? Math.round(Math.min(Math.max(map[i], 0), 1) * 255) : 0
+        }
+        this.stampTexture.needsUpdate = true
+        if (this.cpuSolver !== null) {
+            this.cpuSolver.setBrushStamp(map)
+        }
+    }
+
+    /**
+     * @param {number} channel channel of the medium texture to write to
+     * @param {Float32Array} map [0..1] one value per cell, null to fill the channel with the default value
+     * @param {number} defaultValue [0..1] value of the cells when there is no map
+     */
+    writeMediumChannel(channel, map, defaultValue) {
+        const data = this.mediumTexture.image.data
+        for (let i = 0; i < this.fboWidth * this.fboHeight; i++) {
+            const value = map !== null ? map[i] : defaultValue
+            data[i * 4 + channel] = Math.round(Math.min(Math.max(value, 0), 1) * 255)
+        }
+        this.mediumTexture.needsUpdate = true
+    }
+
+    /**
+     * Sets the bottom of the water for the shallowWater solver
+     * @param {Float32Array} depths depth of the water at rest per cell in system units (row 0 being v = 0 of the heightmap),
+     * 0 or less for dry land, null for a flat bottom at this.depth
+     */
+    setBathymetry(depths) {
+        if (this.solver !== "shallowWater") {
+            console.error("setBathymetry() needs the shallowWater solver")
+            return
+        }
+        this.notifyInput("bathymetry", { depths })
+        this.bathymetry = depths
+        const data = this.bathymetryTexture.image.data
+        for (let i = 0; i < this.fboWidth * this.fboHeight; i++) {
+            data[i * 4] = depths !== null ? depths[i] : this.depth
+        }
+        this.bathymetryTexture.needsUpdate = true
+        if (this.cpuSolver !== null) {
+            this.cpuSolver.setBathymetry(depths)
+        }
+    }
+
+    /**
+     * @param {number} value gravity of the shallowWater solver in system units per second squared
+     */
+    setGravity(value) {
+        if (this.solver !== "shallowWater") {
+            console.error("setGravity() needs the shallowWater solver")
+            return
+        }
+        this.notifyInput("gravity", { value })
+        this.uniforms['gravity'].value = value
+        if (this.cpuSolver !== null) {
+            this.cpuSolver.setGravity(value)
+        }
+    }
+
+    /**
+     * @param {string} mode how waves behave at the grid edges, one of BOUNDARY_MODES
+     */
+    setBoundary(mode) {
+        if (!BOUNDARY_MODES.includes(mode)) {
+            console.error(`Unknown boundary mode: ${mode}`)
+            return
+        }
+        this.notifyInput("boundary", { mode })
+        this.uniforms['boundaryMode'].value = BOUNDARY_MODES.indexOf(mode)
+        if (this.cpuSolver !== null) {
+            this.cpuSolver.setBoundary(mode)
+        }
+    }
+
+    /**
+     * @param {string} mode what the stability guard does when the water goes unstable, one of GUARD_MODES
+     */
+    setGuard(mode) {
+        if (!GUARD_MODES.includes(mode)) {
+            console.error(`Unknown guard mode: ${mode}`)
+            mode = "clamp"
+        }
+        this.guard = mode
+    }
+
+    /**
+     * Queues a bump shaped by a brush (a raised cosine by default) to be applied in the next step()
+     * at most MAX_IMPULSES impulses are applied per step, the rest stay in the queue for the following steps,
+     * and past MAX_PENDING_IMPULSES queued impulses the oldest ones are dropped
+     * x/y are relative to the center of the water geometry, with y going the opposite way of the geometry's own y axis
+     * e.g. for a plane rotated by -PI/2 around the x axis, pass the (x, z) world coordinates of the raycast hit point
+     * @param {object} impulse
+     * @param {number} impulse.x position of the impulse in system units
+     * @param {number} impulse.y position of the impulse in system units
+     * @param {number} impulse.radius radius of the impulse in system units, defaults to mouseSize
+     * @param {number} impulse.strength height multiplier of the impulse, defaults to waveHeight, negative pulls the water down like sign -1
+     * @param {number} impulse.sign 1 to push the water up, -1 to pull it down
+     * @param {number} impulse.endX optional end of a stroke, the impulse is then applied along the segment from (x, y) to (endX, endY)
+     * @param {number} impulse.endY optional end of a stroke
+     * @param {string} impulse.brush shape of the impulse, one of BRUSHES
+     * @param {number} impulse.rotation rotation of the brush in radians, turning its x axis towards y (same coordinates as x/y)
+     * @param {number} impulse.scaleX stretch of the brush along its own x axis, the radius being multiplied by it
+     * @param {number} impulse.scaleY stretch of the brush along its own y axis, defaults to scaleX
+     */
+    addImpulse({ x, y, radius = this.mouseSize, strength = this.waveHeight, sign = 1, endX = x, endY = y, brush = "cosine", rotation = 0, scaleX = 1, scaleY = scaleX }) {
+        if (!BRUSHES.includes(brush)) {
+            console.error(`Unknown brush: ${brush}`)
+            brush = "cosine"
+        }
+        const impulse = { x, y, radius, strength, sign, endX, endY, brush, rotation, scaleX, scaleY }
+        this.notifyInput("impulse", impulse)
+        if (this.cpuSolver !== null) {
+            this.cpuSolver.addImpulse(impulse)
+            return
+        }
+        this.impulses.push(impulse)
+        if (this.impulses.length > MAX_PENDING_IMPULSES) {
+            this.impulses.shift()
+        }
+    }
+
+    /**
+     * Pokes the water at the given position in the next step(), shorthand for addImpulse()
+     * @param {number} x position of the disturbance in system units
+     * @param {number} y position of the disturbance in system units
+     * @param {object} options optional radius, strength, sign and brush of the impulse, see addImpulse()
+     */
+    disturb(x, y, options = {}) {
+        this.addImpulse({ ...options, x, y })
+    }
+
+    /**
+     * Adds a fine white noise to the whole surface in the next step(), e.g. the spray of heavy rain
+     * the amplitudes added in the same step sum up
+     * @param {number} amplitude maximum height of the noise
+     * @param {number} seed [0..1) picks the pattern of the noise, e.g. from a generator of random.js so the run is reproducible
+     */
+    addNoise(amplitude, seed) {
+        this.notifyInput("noise", { amplitude, seed })
+        if (this.cpuSolver !== null) {
+            this.cpuSolver.addNoise(amplitude, seed)
+            return
+        }
+        this.noiseAmplitude += amplitude
+        this.noiseSeed = seed
+    }
+
+    /**
+     * Drags the water along the segment a pointer moved through since the last frame,
+     * the faster the pointer the stronger the wake (within STROKE_STRENGTH_RANGE times the strength)
+     * @param {number} x previous position of the pointer in system units
+     * @param {number} y previous position of the pointer in system units
+     * @param {number} endX current position of the pointer in system units
+     * @param {number} endY current position of the pointer in system units
+     * @param {number} interval time elapsed between the two positions in seconds
+     * @param {object} options optional radius, strength, sign and brush of the impulse, see addImpulse()
+     */
+    addStroke(x, y, endX, endY, interval, options = {}) {
+        const { strength = this.waveHeight } = options
+        const speedFactor = strokeFactor(Math.hypot(endX - x, endY - y), interval, this.strokeSpeed)
+        this.addImpulse({ ...options, x, y, endX, endY, strength: strength * speedFactor })
+    }
+
+    /**
+     * Registers a callback run at the start of every step(), before the queued impulses get consumed,
+     * the place to add impulses that must not depend on the frame rate
+     * @param {function} callback takes the step index and the timestep (in seconds) as parameters
+     * @returns {function} removes the callback, same as offBeforeStep(callback)
+     */
+    onBeforeStep(callback) {
+        this.beforeStepCallbacks.push(callback)
+        return () => this.offBeforeStep(callback)
+    }
+
+    /**
+     * @param {function} callback a callback registered with onBeforeStep()
+     */
+    offBeforeStep(callback) {
+        this.beforeStepCallbacks = this.beforeStepCallbacks.filter((c) => c !== callback)
+    }
+
+    /**
+     * Registers a callback told about every input changing the course of the simulation:
+     * impulses, noise, smoothing, settings, per cell maps, heightmap writes, stability guard clamps and resolution changes, e.g. to record them (see recorder.js)
+     * inputs made between two steps, or while a step runs its callbacks and emitters, all apply in the step numbered this.stepCount
+     * @param {function} callback takes the type of input (the name of what changed, e.g. "impulse" or "viscosity") and its parameters
+     */
+    onInput(callback) {
+        this.inputCallbacks.push(callback)
+    }
+
+    /**
+     * @param {function} callback a callback registered with onInput()
+     */
+    offInput(callback) {
+        this.inputCallbacks = this.inputCallbacks.filter((c) => c !== callback)
+    }
+
+    /**
+     * @param {string} type type of input
+     * @param {object} params parameters of the input
+     */
+    notifyInput(type, params) {
+        this.inputCallbacks.forEach((callback) => callback(type, params))
+    }
+
+    /**
+     * Registers a callback told about every stability measure, taken every guardInterval steps
+     * on the gpu the measure comes back a few frames later, the guard acts on the water when it arrives
+     * @param {function} callback takes the measure: { step, energy, maxAmplitude, nonFinite, action }, step being the step it was taken after,
+     * energy the sum over the cells of height^2 + (height - previous height)^2 (it only goes down between inputs on a stable simulation),
+     * maxAmplitude the largest height in absolute value, nonFinite the number of cells holding infinite or NaN values
+     * and action what the guard did about it: "none", "clamp" or "reset"
+     */
+    onStability(callback) {
+        this.stabilityCallbacks.push(callback)
+    }
+
+    /**
+     * @param {function} callback a callback registered with onStability()
+     */
+    offStability(callback) {
+        this.stabilityCallbacks = this.stabilityCallbacks.filter((c) => c !== callback)
+    }
+
+    /**
+     * Adds a wave source from emitters.js, it adds its impulses at the start of every step() until it is stopped or removed
+     * @param {Emitter} emitter the emitter to run
+     * @returns the emitter, to keep a handle on it
+     */
+    addEmitter(emitter) {
+        this.emitters.push(emitter)
+        return emitter
+    }
+
+    /**
+     * @param {Emitter} emitter an emitter added with addEmitter()
+     */
+    removeEmitter(emitter) {
+        this.emitters = this.emitters.filter((e) => e !== emitter)
+    }
+
+    /**
+     * Advances the simulation by the time elapsed since the last frame, in fixed timesteps
+     * @param {number} delta time elapsed since the last call in seconds, e.g. the interval passed to updateScene
+     * @returns the interpolation factor to render with, also available as this.alpha
+     */
+    update(delta) {
+        this.accumulator += delta
+
+        let steps = 0
+        while (this.accumulator >= this.timestep && steps < this.maxCatchUp) {
+            for (let i = 0; i < this.substeps; i++) {
+                this.step()
+            }
+            this.accumulator -= this.timestep
+            steps++
+        }
+        // too far behind to catch up, drop the extra time instead of fast forwarding the waves
+        if (this.accumulator >= this.timestep) {
+            this.accumulator %= this.timestep
+        }
+
+        this.alpha = interpolationAlpha(this.accumulator / this.timestep, this.substeps)
+        return this.alpha
+    }
+
+    /**
+     * Advances the simulation by one step, consuming the pending impulses
+     */
+    step() {
+        this.beforeStepCallbacks.forEach((callback) => callback(this.stepCount, this.timestep / this.substeps))
+        this.emitters.forEach((emitter) => emitter.update(this, this.timestep / this.substeps))
+        this.stepCount++
+
+        if (this.cpuSolver !== null) {
+            this.cpuSolver.step()
+            this.calmStep()
+            this.checkStability()
+            this.uploadCpuHeightmap()
+            if (this.cpuFoamTexture !== null) {
+                this.uploadCpuFoam()
+            }
+            return
+        }
+
+        // upload the queued impulses
+        const impulses = this.impulses.splice(0, MAX_IMPULSES)
+        impulses.forEach((impulse, i) => {
+            this.uniforms['impulses'].value[i].set(impulse.x, impulse.y, impulse.radius, impulse.strength * impulse.sign)
+            this.uniforms['impulseEnds'].value[i].set(impulse.endX, impulse.endY, 0, 0)
+            this.uniforms['impulseShapes'].value[i].set(BRUSHES.indexOf(impulse.brush), impulse.rotation, impulse.scaleX, impulse.scaleY)
+        })
+        this.uniforms['impulseCount'].value = impulses.length
+        this.uniforms['noiseAmplitude'].value = this.noiseAmplitude
+        this.uniforms['noiseSeed'].value = this.noiseSeed
+        this.noiseAmplitude = 0
+
+        this.gpuCompute.compute()
+        this.calmStep()
+        this.checkStability()
+    }
+
+    /**
+     * Measures the water every guardInterval steps and lets the guard act on it, see onStability()
+     * the gpu reduces the heightmap to a single pixel that is read back asynchronously, one measure at a time
+     */
+    checkStability() {
+        if (this.guardInterval <= 0 || this.stepCount % this.guardInterval !== 0) return
+        const step = this.stepCount
+        const cells = this.fboWidth * this.fboHeight
+        if (this.cpuSolver !== null) {
+            this.guardStability(step, measureStability(this.cpuSolver.getHeightData()))
+            return
+        }
+        if (this.stabilityPending) return
+
+        let input = this.gpuCompute.getCurrentRenderTarget(this.heightmapVariable)
+        let shader = this.measureShader
+        this.reduceTargets.forEach((target) => {
+            shader.uniforms['reduceTexture'].value = input.texture
+            shader.uniforms['inputSize'].value.set(input.width, input.height)
+            this.gpuCompute.doRenderTarget(shader, target)
+            input = target
+            shader = this.reduceShader
+        })
+        const toFloat = this.toFloat(input)
+        this.stabilityPending = true
+        this.readPixelsAsync(input, 0, 0, 1, 1).then((buffer) => {
+            this.stabilityPending = false
+            if (buffer === null || this.disposed) return
+            this.guardStability(step, {
+                energy: toFloat(buffer[0]) * cells,
+                maxAmplitude: toFloat(buffer[1]),
+                nonFinite: Math.round(toFloat(buffer[2]) * cells),
+            })
+        })
+    }
+
+    /**
+     * Acts on a stability measure according to the guard mode and tells the callbacks about it
+     * @param {number} step step the measure was taken after
+     * @param {object} measure energy, maxAmplitude and nonFinite, see onStability()
+     */
+    guardStability(step, measure) {
+        const { stability, limit } = judgeStability(this.guard, this.maxAmplitude, step, measure)
+        if (limit !== null) {
+            this.clampHeightmap(limit)
+        }
+        this.stability = stability
+        this.stabilityCallbacks.forEach((callback) => callback(this.stability))
+    }
+
+    /**
+     * Clamps every value of the state (heights, and velocities with the shallowWater solver) to [-limit..limit]
+     * and zeroes the infinite and NaN ones, what the stability guard does to unstable water
+     * @param {number} limit largest value kept in absolute value, 0 flattens the water
+     */
+    clampHeightmap(limit) {
+        this.notifyInput("clamp", { limit })
+        if (this.cpuSolver !== null) {
+            clampState(this.cpuSolver.getHeightData(), limit)
+            this.uploadCpuHeightmap()
+            return
+        }
+        const currentRenderTarget = this.gpuCompute.getCurrentRenderTarget(this.heightmapVariable)
+        const alternateRenderTarget = this.gpuCompute.getAlternateRenderTarget(this.heightmapVariable)
+
+        // both render targets, so nothing broken is left to read
+        this.clampShader.uniforms['maxAmplitude'].value = limit
+        this.clampShader.uniforms['clampTexture'].value = currentRenderTarget.texture
+        this.gpuCompute.doRenderTarget(this.clampShader, alternateRenderTarget)
+        this.clampShader.uniforms['clampTexture'].value = alternateRenderTarget.texture
+        this.gpuCompute.doRenderTarget(this.clampShader, currentRenderTarget)
+    }
+
+    /**
+     * Calms the water down by blurring the heightmap, the heights, previous heights and velocities alike so the blur doesn't make waves of its own
+     * @param {number} iterations number of ping-pong smoothing passes, each one renders twice
+     * @param {object} options
+     * @param {string} options.kernel blur of each pass, one of SMOOTH_KERNELS
+     * @param {number} options.strength [0..1] how much of the blurred water replaces the water at each pass
+     * @param {object|Float32Array|HTMLCanvasElement|HTMLImageElement} options.region where to smooth, null for everywhere,
+     * { x, y, radius } for a circle in the same coordinates as disturb() (with a soft edge), or a [0..1] weight per cell
+     * (row 0 being v = 0 of the heightmap) or a canvas/image read with createMapFromCanvas
+     */
+    smooth(iterations = 10, { kernel = "box", strength = 1, region = null } = {}) {
+        if (!SMOOTH_KERNELS.includes(kernel)) {
+            console.error(`Unknown kernel: ${kernel}`)
+            kernel = "box"
+        }
+        region = this.toRegion(region)
+        this.notifyInput("smooth", { iterations, kernel, strength, region })
+        if (this.cpuSolver !== null) {
+            this.cpuSolver.smooth(iterations, { kernel, strength, region })
+            this.uploadCpuHeightmap()
+            return
+        }
+        const currentRenderTarget = this.gpuCompute.getCurrentRenderTarget(this.heightmapVariable)
+        const alternateRenderTarget = this.gpuCompute.getAlternateRenderTarget(this.heightmapVariable)
+
+        this.setSmoothPass(kernel, strength, 1, region)
+        for (let i = 0; i < iterations; i++) {
+            this.smoothShader.uniforms['smoothTexture'].value = currentRenderTarget.texture
+            this.gpuCompute.doRenderTarget(this.smoothShader, alternateRenderTarget)
+
+            this.smoothShader.uniforms['smoothTexture'].value = alternateRenderTarget.texture
+            this.gpuCompute.doRenderTarget(this.smoothShader, currentRenderTarget)
+        }
+    }
+
+    /**
+     * Eases the waves out over some time instead of snapping them flat like smooth(), the water is still at the end
+     * the state is scaled down a little every step along a smoothstep curve, so the energy goes out slowly at first,
+     * calling it again starts over from the current water
+     * @param {number} duration time to calm the water in seconds of simulation time
+     * @param {object} options
+     * @param {object|Float32Array|HTMLCanvasElement|HTMLImageElement} options.region where to calm, see smooth()
+     */
+    calm(duration, { region = null } = {}) {
+        region = this.toRegion(region)
+        this.notifyInput("calm", { duration, region })
+        this.calming = { step: 0, steps: Math.max(Math.round(duration * this.substeps / this.timestep), 1), region }
+    }
+
+    /**
+     * Runs a step of calm(), after the simulation step
+     */
+    calmStep() {
+        if (this.calming === null) return
+        const { steps, region } = this.calming
+        this.calming.step++
+        const factor = calmFactor(this.calming.step, steps)
+        if (this.calming.step >= steps) {
+            this.calming = null
+        }
+        if (this.cpuSolver !== null) {
+            this.cpuSolver.scaleState(factor, region)
+            return
+        }
+
+        // a pass scaling the water, and one copying it back
+        const currentRenderTarget = this.gpuCompute.getCurrentRenderTarget(this.heightmapVariable)
+        const alternateRenderTarget = this.gpuCompute.getAlternateRenderTarget(this.heightmapVariable)
+        this.setSmoothPass("box", 0, factor, region)
+        this.smoothShader.uniforms['smoothTexture'].value = currentRenderTarget.texture
+        this.gpuCompute.doRenderTarget(this.smoothShader, alternateRenderTarget)
+        this.smoothShader.uniforms['smoothScale'].value = 1
+        this.smoothShader.uniforms['smoothTexture'].value = alternateRenderTarget.texture
+        this.gpuCompute.doRenderTarget(this.smoothShader, currentRenderTarget)
+    }
+
+    /**
+     * @param {object|Float32Array|HTMLCanvasElement|HTMLImageElement} region region of smooth() or calm()
+     * @returns {object|Float32Array} null, a copy of the circle or a weight per cell
+     */
+    toRegion(region) {
+        if (region === null || region.radius !== undefined) {
+            return region !== null ? { x: region.x, y: region.y, radius: region.radius } : null
+        }
+        return toCellMap(region, { fboWidth: this.fboWidth, fboHeight: this.fboHeight })
+    }
+
+    /**
+     * Sets the uniforms of the smoothing shader for the next passes
+     * @param {string} kernel one of SMOOTH_KERNELS
+     * @param {number} strength [0..1] how much of the blurred value replaces the current one
+     * @param {number} scale factor the values are multiplied with after the blur
+     * @param {object|Float32Array} region null, a circle or a weight per cell, see toRegion()
+     */
+    setSmoothPass(kernel, strength, scale, region) {
+        const uniforms = this.smoothShader.uniforms
+        uniforms['smoothKernel'].value = SMOOTH_KERNELS.indexOf(kernel)
+        uniforms['smoothStrength'].value = strength
+        uniforms['smoothScale'].value = scale
+        if (region === null) {
+            uniforms['smoothRegion'].value.set(0, 0, 0, 0)
+        } else if (region instanceof Float32Array) {
+            const data = this.smoothMaskTexture.image.data
+            for (let i = 0; i < this.fboWidth * this.fboHeight; i++) {
+                data[i * 4] = Math.round(Math.min(Math.max(region[i], 0), 1) * 255)
+            }
+            this.smoothMaskTexture.needsUpdate = true
+            uniforms['smoothRegion'].value.set(0, 0, 0, 2)
+        } else {
+            uniforms['smoothRegion'].value.set(region.x, region.y, region.radius, 1)
+        }
+    }
+
+    /**
+     * Reads the water surface under some points back from the gpu, interpolated like the water materials do with this.alpha
+     * this waits for the gpu to finish its work, prefer sampleSurfaceAsync() for anything read every frame
+     * @param {Array<{x: number, y: number}>} points positions in the same coordinates as disturb()
+     * @returns {Array<{height: number, slopeX: number, slopeY: number}>} for each point the height of the water in system units,
+     * and how much it rises per system unit along x and y
+     */
+    sampleSurface(points) {
+        if (this.cpuSolver !== null) {
+            return this.cpuSolver.sampleSurface(points, this.alpha)
+        }
+
+        const samples = []
+        for (let start = 0; start < points.length; start += MAX_PROBES) {
+            const batch = points.slice(start, start + MAX_PROBES)
+            this.renderProbes(batch)
+            this.renderer.readRenderTargetPixels(this.probeTarget, 0, 0, MAX_PROBES, 1, this.probeBuffer)
+            samples.push(...this.decodeProbes(this.probeBuffer, batch.length))
+        }
+        return samples
+    }
+
+    /**
+     * Same as sampleSurface() without stalling the pipeline, the result comes a frame or two later
+     * @param {Array<{x: number, y: number}>} points positions in the same coordinates as disturb()
+     * @returns {Promise<Array<{height: number, slopeX: number, slopeY: number}>>} see sampleSurface(), null if the readback failed
+     */
+    sampleSurfaceAsync(points) {
+        if (this.cpuSolver !== null) {
+            return Promise.resolve(this.cpuSolver.sampleSurface(points, this.alpha))
+        }
+
+        const reads = []
+        for (let start = 0; start < points.length; start += MAX_PROBES) {
+            const batch = points.slice(start, start + MAX_PROBES)
+            this.renderProbes(batch)
+            reads.push(this.readPixelsAsync(this.probeTarget, 0, 0, MAX_PROBES, 1)
+                .then((buffer) => buffer !== null ? this.decodeProbes(buffer, batch.length) : null))
+        }
+        return Promise.all(reads).then((batches) => batches.includes(null) ? null : batches.flat())
+    }
+
+    /**
+     * Reads the heights of a block of cells back without stalling the pipeline, interpolated like the water materials do with this.alpha
+     * the block must lie inside the grid
+     * @param {number} i first column of the block
+     * @param {number} j first row of the block (row 0 being v = 0 of the heightmap)
+     * @param {number} width number of columns
+     * @param {number} height number of rows
+     * @returns {Promise<Float32Array>} the heights in system units row by row, null if the readback failed
+     */
+    readHeightsAsync(i, j, width, height) {
+        const alpha = this.alpha
+        const interpolate = (data, toFloat) => {
+            const heights = new Float32Array(width * height)
+            for (let n = 0; n < heights.length; n++) {
+                const current = toFloat(data[n * 4])
+                const previous = toFloat(data[n * 4 + 1])
+                heights[n] = previous + (current - previous) * alpha
+            }
+            return heights
+        }
+
+        if (this.cpuSolver !== null) {
+            const data = new Float32Array(width * height * 4)
+            for (let row = 0; row < height; row++) {
+                const p = this.cpuSolver.index(i, j + row)
+                data.set(this.cpuSolver.getHeightData().subarray(p, p + width * 4), row * width * 4)
+            }
+            return Promise.resolve(interpolate(data, (value) => value))
+        }
+
+        const renderTarget = this.gpuCompute.getCurrentRenderTarget(this.heightmapVariable)
+        return this.readPixelsAsync(renderTarget, i, j, width, height)
+            .then((buffer) => buffer !== null ? interpolate(buffer, this.toFloat(renderTarget)) : null)
+    }
+
+    /**
+     * Renders the water under a batch of points into the probe target, see probeFragment.glsl
+     * @param {Array<{x: number, y: number}>} points at most MAX_PROBES positions in the same coordinates as disturb()
+     */
+    renderProbes(points) {
+        this.probeShader.uniforms['probeTexture'].value = this.getHeightTexture()
+        this.probeShader.uniforms['heightmapAlpha'].value = this.alpha
+        points.forEach((point, i) => {
+            this.probeShader.uniforms['probePoints'].value[i].set(point.x / this.geomWidth + 0.5, -point.y / this.geomHeight + 0.5)
+        })
+        this.gpuCompute.doRenderTarget(this.probeShader, this.probeTarget)
+    }
+
+    /**
+     * @param {Float32Array|Uint16Array} buffer pixels read from the probe target
+     * @param {number} count number of points in the batch
+     * @returns {Array<{height: number, slopeX: number, slopeY: number}>} the samples
+     */
+    decodeProbes(buffer, count) {
+        const toFloat = this.toFloat(this.probeTarget)
+        return Array.from({ length: count }, (_, i) => ({
+            height: toFloat(buffer[i * 4]),
+            slopeX: toFloat(buffer[i * 4 + 1]),
+            slopeY: toFloat(buffer[i * 4 + 2]),
+        }))
+    }
+
+    /**
+     * @param {object} renderTarget render target created by the gpuCompute
+     * @returns {function} converts the values read from the render target to numbers
+     */
+    toFloat(renderTarget) {
+        return renderTarget.texture.type === THREE.HalfFloatType ? THREE.DataUtils.fromHalfFloat : (value) => value
+    }
+
+    /**
+     * Copies pixels of a render target into a pixel buffer object and waits for the gpu with a fence,
+     * so the copy happens in the background, WebGL1 has neither and reads the pixels right away
+     * @param {object} renderTarget render target created by the gpuCompute
+     * @param {number} x first column to read
+     * @param {number} y first row to read
+     * @param {number} width number of columns
+     * @param {number} height number of rows
+     * @returns {Promise<Float32Array|Uint16Array>} RGBA pixels row by row (half floats if the render target holds half floats), null if the readback failed
+     */
+    readPixelsAsync(renderTarget, x, y, width, height) {
+        const isHalfFloat = renderTarget.texture.type === THREE.HalfFloatType
+        const buffer = isHalfFloat ? new Uint16Array(width * height * 4) : new Float32Array(width * height * 4)
+        if (this.renderer.capabilities.isWebGL2 === false) {
+            this.renderer.readRenderTargetPixels(renderTarget, x, y, width, height, buffer)
+            return Promise.resolve(buffer)
+        }
+
+        const gl = this.renderer.getContext()
+        const pbo = gl.createBuffer()
+        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, pbo)
+        gl.bufferData(gl.PIXEL_PACK_BUFFER, buffer.byteLength, gl.STREAM_READ)
+        const currentRenderTarget = this.renderer.getRenderTarget()
+        this.renderer.setRenderTarget(renderTarget)
+        gl.readPixels(x, y, width, height, gl.RGBA, isHalfFloat ? gl.HALF_FLOAT : gl.FLOAT, 0)
+        this.renderer.setRenderTarget(currentRenderTarget)
+        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null)
+        const sync = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0)
+        gl.flush()
+
+        return new Promise((resolve) => {
+            const poll = () => {
+                const status = gl.clientWaitSync(sync, 0, 0)
+                if (status === gl.TIMEOUT_EXPIRED) {
+                    setTimeout(poll, READBACK_POLL_INTERVAL)
+                    return
+                }
+                gl.deleteSync(sync)
+                if (status === gl.WAIT_FAILED) {
+                    console.error("Failed to read the simulation back from the gpu")
+                    gl.deleteBuffer(pbo)
+                    resolve(null)
+                    return
+                }
+                gl.bindBuffer(gl.PIXEL_PACK_BUFFER, pbo)
+                gl.getBufferSubData(gl.PIXEL_PACK_BUFFER, 0, buffer)
+                gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null)
+                gl.deleteBuffer(pbo)
+                resolve(buffer)
+            }
+            setTimeout(poll, READBACK_POLL_INTERVAL)
+        })
+    }
+
+    /**
+     * Reads the whole state of the simulation back, this waits for the gpu to finish its work
+     * @returns {Float32Array} RGBA per cell row by row (row 0 being v = 0 of the heightmap), laid out like getHeightTexture()
+     */
+    readHeightmap() {
+        if (this.cpuSolver !== null) {
+            return this.cpuSolver.getHeightData().slice()
+        }
+
+        const renderTarget = this.gpuCompute.getCurrentRenderTarget(this.heightmapVariable)
+        const size = this.fboWidth * this.fboHeight * 4
+        const buffer = renderTarget.texture.type === THREE.HalfFloatType ? new Uint16Array(size) : new Float32Array(size)
+        this.renderer.readRenderTargetPixels(renderTarget, 0, 0, this.fboWidth, this.fboHeight, buffer)
+        return Float32Array.from(buffer, this.toFloat(renderTarget))
+    }
+
+    /**
+     * Replaces the whole state of the simulation, e.g. to restore a snapshot
+     * @param {Float32Array} data RGBA per cell row by row, laid out like readHeightmap()
+     */
+    writeHeightmap(data) {
+        if (data.length !== this.fboWidth * this.fboHeight * 4) {
+            console.error(`Expected a ${this.fboWidth}x${this.fboHeight} RGBA heightmap`)
+            return
+        }
+        this.notifyInput("heightmap", { data })
+        if (this.cpuSolver !== null) {
+            this.cpuSolver.getHeightData().set(data)
+            this.uploadCpuHeightmap()
+            return
+        }
+
+        const texture = this.gpuCompute.createTexture()
+        texture.image.data.set(data)
+        // both render targets, like the initial heightmap, so nothing of the old state is left to read
+        this.gpuCompute.renderTexture(texture, this.gpuCompute.getCurrentRenderTarget(this.heightmapVariable))
+        this.gpuCompute.renderTexture(texture, this.gpuCompute.getAlternateRenderTarget(this.heightmapVariable))
+        texture.dispose()
+    }
+
+    /**
+     * Changes the size of the simulation grid, e.g. to drop to a coarser grid on a slow device
+     * the waves, the per cell maps and the settings carry over, resampled to the new grid, and so do the pending impulses,
+     * the render side (geometry segments, FBO_WIDTH/FBO_HEIGHT defines...) is up to the caller, the foam starts over empty
+     * waves travel a cell per step whatever the size, so they get faster on a coarser grid
+     * @param {number} fboWidth new width of the simulation texture in pixels
+     * @param {number} fboHeight new height of the simulation texture in pixels
+     */
+    setResolution(fboWidth, fboHeight) {
+        if (fboWidth === this.fboWidth && fboHeight === this.fboHeight) return
+        this.notifyInput("resolution", { fboWidth, fboHeight })
+        // the maps and settings set again below are part of the resolution change, not inputs of their own
+        const inputCallbacks = this.inputCallbacks
+        this.inputCallbacks = []
+
+        const from = [this.fboWidth, this.fboHeight]
+        const to = [fboWidth, fboHeight]
+        const resample = (map) => map !== null ? resampleMap(map, ...from, ...to) : null
+        const state = resampleMap(this.readHeightmap(), ...from, ...to, 4)
+        const obstacleMask = this.obstacleMask !== null ? resampleMask(this.obstacleMask, ...from, ...to) : null
+        const waveSpeedMap = resample(this.waveSpeedMap)
+        const dampingMap = resample(this.dampingMap)
+        const bathymetry = resample(this.bathymetry)
+        if (this.calming !== null && this.calming.region instanceof Float32Array) {
+            this.calming.region = resample(this.calming.region)
+        }
+        const physics = {
+            viscosity: this.uniforms['viscosityConstant'].value,
+            boundary: BOUNDARY_MODES[this.uniforms['boundaryMode'].value],
+            spongeWidth: this.uniforms['spongeWidth'].value,
+            spongeStrength: this.uniforms['spongeStrength'].value,
+            gravity: this.solver === "shallowWater" ? this.uniforms['gravity'].value : 0,
+        }
+
+        // the cpu fallback queues the impulses and the noise in its solver, they carry over to the new one
+        const cpuSolver = this.cpuSolver
+        this.disposeCompute()
+        this.fboWidth = fboWidth
+        this.fboHeight = fboHeight
+        this.initCompute((texture) => texture.image.data.set(state), physics)
+        if (cpuSolver !== null && this.cpuSolver !== null) {
+            this.cpuSolver.takePending(cpuSolver)
+        }
+        this.setObstacleMask(obstacleMask)
+        this.setWaveSpeedMap(waveSpeedMap)
+        this.setDampingMap(dampingMap)
+        if (this.solver === "shallowWater") {
+            this.setBathymetry(bathymetry)
+        }
+        // the stamp doesn't depend on the grid, only a new cpu solver needs it
+        this.setBrushStamp(this.brushStamp)
+        this.inputCallbacks = inputCallbacks
+    }
+
+    /**
+     * @returns the texture holding the latest heightmap, height in the x channel and previous height in the y channel
+     * (plus the face velocities in z/w with the shallowWater solver)
+     */
+    getHeightTexture() {
+        if (this.cpuSolver !== null) {
+            return this.cpuTexture
+        }
+        return this.gpuCompute.getCurrentRenderTarget(this.heightmapVariable).texture
+    }
+
+    /**
+     * @returns the texture holding the latest foam in the r channel ([0..1], 1 being thick white froth), null without the foam option
+     * it changes with every step, so read it again every frame
+     */
+    getFoamTexture() {
+        if (this.foamSettings === null) {
+            return null
+        }
+        if (this.cpuSolver !== null) {
+            return this.cpuFoamTexture
+        }
+        return this.gpuCompute.getCurrentRenderTarget(this.foamVariable).texture
+    }
+
+    /**
+     * Frees the gpu resources held by this simulation
+     */
+    dispose() {
+        this.disposeCompute()
+        this.stampTexture.dispose()
+        // a stability measure still on its way is dropped
+        this.disposed = true
+    }
+
+    /**
+     * Frees everything created by initCompute()
+     */
+    disposeCompute() {
+        if (this.cpuSolver !== null) {
+            this.cpuTexture.dispose()
+            if (this.cpuFoamTexture !== null) {
+                this.cpuFoamTexture.dispose()
+            }
+            this.cpuSolver = null
+        }
+        this.obstacleTexture.dispose()
+        this.mediumTexture.dispose()
+        if (this.bathymetryTexture !== null) {
+            this.bathymetryTexture.dispose()
+        }
+        this.smoothShader.dispose()
+        this.smoothMaskTexture.dispose()
+        this.probeShader.dispose()
+        this.probeTarget.dispose()
+        this.measureShader.dispose()
+        this.reduceShader.dispose()
+        this.reduceTargets.forEach((target) => target.dispose())
+        this.clampShader.dispose()
+        this.heightmapVariable.material.dispose()
+        if (this.foamVariable !== null) {
+            this.foamVariable.material.dispose()
+        }
+        this.gpuCompute.dispose()
+    }
+}
@@ -0,0 +1,13 @@
+// Brightness of the caustics, see causticsVertex.glsl: the area a triangle of the water had over the area it lands on,
+// added up where the light folds over (additive blending)
+
+varying vec3 oldPosition;
+varying vec3 newPosition;
+varying float transmittance;
+
+void main() {
+    float oldArea = length( cross( dFdx( oldPosition ), dFdy( oldPosition ) ) );
+    float newArea = length( cross( dFdx( newPosition ), dFdy( newPosition ) ) );
+    // r == sunlight going through the water level per unit of area, 1 being the full sunlight falling square on
+    gl_FragColor = vec4( transmittance * oldArea / max( newArea, 1e-6 * oldArea ), 0.0, 0.0, 1.0 );
+}
@@ -0,0 +1,66 @@
+// Caustics of a box shaped pool, see pool-caustics.js: each vertex of a grid over the water follows the sunlight refracted by the waves
+// to the floor or a wall, and lands in the caustics map where the light through the water at rest would have hit, the floor and walls sharing the map
+// positions are in world units, FBO_WIDTH/FBO_HEIGHT are defined by the material
+
+uniform sampler2D heightmap;
+// [0..1] interpolation factor between the previous (y) and current (x) heights, see RippleSimulation.update
+uniform float heightmapAlpha;
+// unit vector from the water towards the sun
+uniform vec3 lightDirection;
+// the sunlight refracted by the water at rest
+uniform vec3 refractedLight;
+// height of the water at rest
+uniform float waterLevel;
+// inside of the pool box, the water spanning its top
+uniform vec3 poolMin;
+uniform vec3 poolMax;
+
+// position the light would come through with the water at rest, and with the waves
+varying vec3 oldPosition;
+varying vec3 newPosition;
+// share of the sunlight getting through the surface per unit of its area at rest
+varying float transmittance;
+
+#define IOR_WATER 1.333
+
+float heightAt( vec2 uv ) {
+    vec2 heights = texture2D( heightmap, uv ).xy;
+    return mix( heights.y, heights.x, heightmapAlpha );
+}
+
+// Distance along the ray to the wall of the box it leaves through, the ray starting inside
+float exitDistance( vec3 origin, vec3 ray ) {
+    vec3 bound = mix( poolMin, poolMax, step( 0.0, ray ) );
+    // a ray parallel to an axis never reaches its walls
+    vec3 distances = ( bound - origin ) / mix( vec3( 1e-6 ), ray, step( 1e-6, abs( ray ) ) );
+    distances = mix( vec3( 1e9 ), distances, step( 1e-6, abs( ray ) ) );
+    return max( min( min( distances.x, distances.y ), distances.z ), 0.0 );
+}
+
+void main() {
+    vec2 cellSize = vec2( 1.0 / FBO_WIDTH, 1.0 / FBO_HEIGHT );
+    vec3 poolSize = poolMax - poolMin;
+    // slopes along the world x and z axes, the v of the heightmap going towards -z
+    vec2 slope = vec2(
+        heightAt( uv + vec2( cellSize.x, 0.0 ) ) - heightAt( uv - vec2( cellSize.x, 0.0 ) ),
+        heightAt( uv - vec2( 0.0, cellSize.y ) ) - heightAt( uv + vec2( 0.0, cellSize.y ) )
+    ) * 0.5 / ( cellSize * poolSize.xz );
+    vec3 normal = normalize( vec3( - slope.x, 1.0, - slope.y ) );
+
+    oldPosition = vec3( mix( poolMin.x, poolMax.x, uv.x ), waterLevel, mix( poolMax.z, poolMin.z, uv.y ) );
+    vec3 surface = oldPosition + vec3( 0.0, heightAt( uv ), 0.0 );
+
+    // follow the refracted light to the floor or a wall, then back up to the water level along the light of the water at rest
+    vec3 ray = refract( - lightDirection, normal, 1.0 / IOR_WATER );
+    vec3 hit = surface + ray * exitDistance( surface, ray );
+    newPosition = hit + refractedLight * ( waterLevel - hit.y ) / refractedLight.y;
+
+    // light reaching the tilted surface, per unit of area at rest, less what it reflects (Schlick's approximation of Fresnel)
+    float cosine = max( dot( lightDirection, normal ), 0.0 );
+    float reflectance = 0.02 + 0.98 * pow( 1.0 - cosine, 5.0 );
+    transmittance = ( 1.0 - reflectance ) * cosine / normal.y;
+
+    // the caustics map spans the water, u along x and v towards -z like the heightmap
+    vec2 causticsUv = vec2( newPosition.x - poolMin.x, poolMax.z - newPosition.z ) / poolSize.xz;
+    gl_Position = vec4( causticsUv * 2.0 - 1.0, 0.0, 1.0 );
+}
@@ -0,0 +1,19 @@
+// Clamps every channel of the heightmap to [-maxAmplitude..maxAmplitude] and zeroes the infinite and NaN values,
+// the way out when the simulation goes unstable, see RippleSimulation.clampHeightmap
+
+uniform sampler2D clampTexture;
+uniform float maxAmplitude;
+
+float clampValue( float value ) {
+    // NaN fails every comparison, clamp() would keep it
+    if ( !( abs( value ) < 1e30 ) ) return 0.0;
+    return clamp( value, - maxAmplitude, maxAmplitude );
+}
+
+void main()	{
+
+    vec4 value = texture2D( clampTexture, gl_FragCoord.xy / resolution.xy );
+
+    gl_FragColor = vec4( clampValue( value.x ), clampValue( value.y ), clampValue( value.z ), clampValue( value.w ) );
+
+}
@@ -0,0 +1,96 @@
+// Foam carried along with the waves, a second field computed after the heightmap from the same state and impulses
+// it builds up where the water curves sharply (crests) and where the impulses push it (wakes), then fades out, see RippleSimulation.setFoam
+
+// how much of the foam is left after a step
+uniform float foamDecay;
+// curvature (height difference between a cell and the mean of its neighbours, in system units) below which no foam forms
+uniform float foamThreshold;
+// foam formed per step and per unit of curvature above the threshold
+uniform float foamGain;
+// foam formed per step and per unit of impulse height
+uniform float foamImpulseGain;
+// factor of the speed the foam is carried at, 0 to keep it in place
+uniform float foamDrift;
+
+#ifdef SHALLOW_WATER
+// duration of one step in seconds, to turn the face velocities into cells per step
+uniform float deltaTime;
+#endif
+
+// Height of the neighbour cell at uv + offset, walls mirror the height of the current cell like in heightmapFragment.glsl
+float neighbourHeight( vec2 uv, vec2 offset, float height ) {
+    vec2 neighbourUv = uv + offset;
+    if ( isWall( neighbourUv ) ) {
+        return height;
+    }
+    return texture2D( heightmap, neighbourUv ).x;
+}
+
+// Foam of a cell, walls hold none
+float foamAt( vec2 cell ) {
+    vec2 cellUv = ( cell + 0.5 ) / resolution.xy;
+    if ( isWall( cellUv ) ) {
+        return 0.0;
+    }
+    return texture2D( foam, cellUv ).x;
+}
+
+// Bilinear lookup of the foam at a position in cells, the render targets are nearest filtered
+float sampleFoam( vec2 position ) {
+    vec2 base = floor( position - 0.5 );
+    vec2 f = position - 0.5 - base;
+    return mix(
+        mix( foamAt( base ), foamAt( base + vec2( 1.0, 0.0 ) ), f.x ),
+        mix( foamAt( base + vec2( 0.0, 1.0 ) ), foamAt( base + vec2( 1.0, 1.0 ) ), f.x ),
+        f.y
+    );
+}
+
+void main()	{
+    vec2 cellSize = 1.0 / resolution.xy;
+    vec2 uv = gl_FragCoord.xy * cellSize;
+
+    // Obstacle cells hold no foam
+    if ( isObstacle( uv ) ) {
+        gl_FragColor = vec4( 0.0 );
+        return;
+    }
+
+    vec4 heightmapValue = texture2D( heightmap, uv );
+    float north = neighbourHeight( uv, vec2( 0.0, cellSize.y ), heightmapValue.x );
+    float south = neighbourHeight( uv, vec2( 0.0, - cellSize.y ), heightmapValue.x );
+    float east = neighbourHeight( uv, vec2( cellSize.x, 0.0 ), heightmapValue.x );
+    float west = neighbourHeight( uv, vec2( - cellSize.x, 0.0 ), heightmapValue.x );
+
+    // Velocity of the water in cells per step
+#ifdef SHALLOW_WATER
+    // mean of the velocities through the faces of the cell
+    vec2 westFace = uv - vec2( cellSize.x, 0.0 );
+    vec2 southFace = uv - vec2( 0.0, cellSize.y );
+    float westVelocity = isWall( westFace ) ? 0.0 : texture2D( heightmap, westFace ).z;
+    float southVelocity = isWall( southFace ) ? 0.0 : texture2D( heightmap, southFace ).w;
+    vec2 spacing = vec2( GEOM_WIDTH, GEOM_HEIGHT ) * cellSize;
+    vec2 velocity = 0.5 * vec2( heightmapValue.z + westVelocity, heightmapValue.w + southVelocity ) * deltaTime / spacing;
+#else
+    // the ripples carry no velocity, a wave moving along its slope gives the speed from how fast the height changes
+    vec2 gradient = 0.5 * vec2( east - west, north - south );
+    vec2 velocity = - ( heightmapValue.x - heightmapValue.y ) * gradient / ( dot( gradient, gradient ) + 1e-3 );
+#endif
+    velocity *= foamDrift;
+    // no faster than a cell per step, like the waves
+    velocity /= max( length( velocity ), 1.0 );
+
+    // Semi-Lagrangian advection: the foam of this cell comes from upstream
+    float foamValue = sampleFoam( gl_FragCoord.xy - velocity ) * foamDecay;
+
+    // Sharp crests and impulses whip up new foam
+    float curvature = abs( 0.25 * ( north + south + east + west ) - heightmapValue.x );
+    foamValue += foamGain * max( curvature - foamThreshold, 0.0 );
+    foamValue += foamImpulseGain * abs( impulsesHeight( ( uv - vec2( 0.5 ) ) * vec2( GEOM_WIDTH, GEOM_HEIGHT ) ) );
+
+    // NaN fails the comparison, a broken heightmap leaves no foam behind
+    foamValue = foamValue >= 0.0 ? min( foamValue, 1.0 ) : 0.0;
+
+    gl_FragColor = vec4( foamValue, 0.0, 0.0, 1.0 );
+
+}
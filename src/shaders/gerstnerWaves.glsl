@@ -0,0 +1,32 @@
+// Swell of GerstnerWaves in ocean-waves.js, to add under the ripples in a water material
+// positions are in the coordinates of RippleSimulation.disturb, GERSTNER_WAVE_COUNT is defined by the material
+
+// xy == direction times wavenumber, z == amplitude, w == steepness (how far the crests lean in)
+uniform vec4 gerstnerWaves[ GERSTNER_WAVE_COUNT ];
+// phase of each wave at the current time
+uniform float gerstnerPhases[ GERSTNER_WAVE_COUNT ];
+
+// xy == horizontal displacement, z == height of the swell at a position of the water at rest
+vec3 gerstnerDisplacement( vec2 position ) {
+    vec3 displacement = vec3( 0.0 );
+    for ( int i = 0; i < GERSTNER_WAVE_COUNT; i ++ ) {
+        vec4 wave = gerstnerWaves[ i ];
+        float theta = dot( wave.xy, position ) - gerstnerPhases[ i ];
+        // the crests lean towards the direction of travel
+        displacement.xy += normalize( wave.xy ) * wave.w * wave.z * cos( theta );
+        displacement.z += wave.z * sin( theta );
+    }
+    return displacement;
+}
+
+// Normal of the displaced surface (not normalized), xy being minus the slopes along x/y and z shrinking under the sharp crests
+vec3 gerstnerNormal( vec2 position ) {
+    vec3 normal = vec3( 0.0, 0.0, 1.0 );
+    for ( int i = 0; i < GERSTNER_WAVE_COUNT; i ++ ) {
+        vec4 wave = gerstnerWaves[ i ];
+        float theta = dot( wave.xy, position ) - gerstnerPhases[ i ];
+        normal.xy -= wave.xy * wave.z * cos( theta );
+        normal.z -= wave.w * length( wave.xy ) * wave.z * sin( theta );
+    }
+    return normal;
+}
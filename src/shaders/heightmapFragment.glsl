@@ -1,9 +1,12 @@
-#define PI 3.1415926538
-
-uniform vec2 mousePos;
-uniform float mouseSize;
-uniform float viscosityConstant;
-uniform float waveheightMultiplier;
+// Height of the neighbour cell at uv + offset
+// walls mirror the height of the current cell, so waves bounce off them
+float neighbourHeight( vec2 uv, vec2 offset, float height ) {
+    vec2 neighbourUv = uv + offset;
+    if ( isWall( neighbourUv ) ) {
+        return height;
+    }
+    return texture2D( heightmap, neighbourUv ).x;
+}
 
 void main()	{
     // The size of the computation (sizeX * sizeY) is defined as 'resolution' automatically in the shader.
@@ -20,24 +23,35 @@ void main()	{
     // heightmapValue.z, heightmapValue.w not used
     vec4 heightmapValue = texture2D( heightmap, uv );
 
+    // Obstacle cells hold no water
+    if ( isObstacle( uv ) ) {
+        gl_FragColor = vec4( 0.0, 0.0, heightmapValue.zw );
+        return;
+    }
+
     // Get neighbours
-    vec4 north = texture2D( heightmap, uv + vec2( 0.0, cellSize.y ) );
-    vec4 south = texture2D( heightmap, uv + vec2( 0.0, - cellSize.y ) );
-    vec4 east = texture2D( heightmap, uv + vec2( cellSize.x, 0.0 ) );
-    vec4 west = texture2D( heightmap, uv + vec2( - cellSize.x, 0.0 ) );
+    float north = neighbourHeight( uv, vec2( 0.0, cellSize.y ), heightmapValue.x );
+    float south = neighbourHeight( uv, vec2( 0.0, - cellSize.y ), heightmapValue.x );
+    float east = neighbourHeight( uv, vec2( cellSize.x, 0.0 ), heightmapValue.x );
+    float west = neighbourHeight( uv, vec2( - cellSize.x, 0.0 ), heightmapValue.x );
 
     // https://web.archive.org/web/20080618181901/http://freespace.virgin.net/hugo.elias/graphics/x_water.htm
     // change in height is proportional to the height of the wave 2 frames older
     // so new height is equaled to the smoothed height plus the change in height
-    float newHeight = ( ( north.x + south.x + east.x + west.x ) * 0.5 - heightmapValue.y ) * viscosityConstant;
+    // the wave speed map scales c^2 of the wave equation, at full speed (c^2 == 0.5) this is exactly Hugo Elias' formula,
+    // substeps split the distance travelled in a timestep so the waves keep their speed
+    float waveSpeed = texture2D( mediumMap, uv ).r * substepFraction;
+    float courant = 0.5 * waveSpeed * waveSpeed;
+    float newHeight = ( 2.0 * heightmapValue.x - heightmapValue.y + courant * ( north + south + east + west - 4.0 * heightmapValue.x ) ) * dampingAt( uv );
+
+    // Impulses influence (mouse, touches, scripted sources...)
+    newHeight += impulsesHeight( ( uv - vec2( 0.5 ) ) * vec2( GEOM_WIDTH, GEOM_HEIGHT ) ) + noiseHeight();
 
-    // Mouse influence
-    float mousePhase = clamp( length( ( uv - vec2( 0.5 ) ) * vec2(GEOM_WIDTH, GEOM_HEIGHT) - vec2( mousePos.x, - mousePos.y ) ) * PI / mouseSize, 0.0, PI );
-    newHeight += ( cos( mousePhase ) + 1.0 ) * waveheightMultiplier;
+    newHeight *= spongeFactor();
 
     heightmapValue.y = heightmapValue.x;
     heightmapValue.x = newHeight;
 
     gl_FragColor = heightmapValue;
 
-}
\ No newline at end of file
+}
@@ -0,0 +1,42 @@
+// Samples the water under the points of RippleSimulation.sampleSurface, one output pixel per point
+// x == height, y == slope along x, z == slope along y (in the coordinates of RippleSimulation.disturb), w not used
+
+uniform sampler2D probeTexture;
+// uv of the points on the heightmap, MAX_PROBES is defined by ripple-simulation.js
+uniform vec2 probePoints[ MAX_PROBES ];
+uniform float heightmapAlpha;
+
+// Height interpolated between the last two steps, and bilinearly between the cells as the heightmap is sampled with nearest filtering
+float heightAt( vec2 uv ) {
+    vec2 cell = uv * resolution - 0.5;
+    vec2 f = fract( cell );
+    vec2 cellSize = 1.0 / resolution;
+    vec2 base = ( floor( cell ) + 0.5 ) * cellSize;
+    vec2 h00 = texture2D( probeTexture, base ).xy;
+    vec2 h10 = texture2D( probeTexture, base + vec2( cellSize.x, 0.0 ) ).xy;
+    vec2 h01 = texture2D( probeTexture, base + vec2( 0.0, cellSize.y ) ).xy;
+    vec2 h11 = texture2D( probeTexture, base + cellSize ).xy;
+    vec2 heights = mix( mix( h00, h10, f.x ), mix( h01, h11, f.x ), f.y );
+    return mix( heights.y, heights.x, heightmapAlpha );
+}
+
+void main()	{
+    // dynamic indexing of uniform arrays needs a loop on WebGL1
+    int index = int( gl_FragCoord.x );
+    vec2 uv = vec2( 0.0 );
+    for ( int i = 0; i < MAX_PROBES; i ++ ) {
+        if ( i == index ) {
+            uv = probePoints[ i ];
+        }
+    }
+
+    // central differences over one cell, in system units
+    vec2 cellSize = 1.0 / resolution;
+    vec2 spacing = vec2( GEOM_WIDTH, GEOM_HEIGHT ) * cellSize;
+    float slopeU = ( heightAt( uv + vec2( cellSize.x, 0.0 ) ) - heightAt( uv - vec2( cellSize.x, 0.0 ) ) ) / ( 2.0 * spacing.x );
+    float slopeV = ( heightAt( uv + vec2( 0.0, cellSize.y ) ) - heightAt( uv - vec2( 0.0, cellSize.y ) ) ) / ( 2.0 * spacing.y );
+
+    // the y of RippleSimulation.disturb goes the opposite way of v
+    gl_FragColor = vec4( heightAt( uv ), slopeU, - slopeV, 0.0 );
+
+}
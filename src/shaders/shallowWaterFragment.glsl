@@ -0,0 +1,83 @@
+// Shallow water equations (without the momentum advection term) on a staggered grid where the velocities live on the cell faces,
+// waves slow down and steepen over the shallow areas of the bathymetry (shoaling)
+
+// r == depth of the water at rest in system units, cells with no depth are dry land and behave like walls
+uniform sampler2D bathymetry;
+// gravity in system units per second squared, waves travel at sqrt( gravity * depth )
+uniform float gravity;
+// duration of one step in seconds
+uniform float deltaTime;
+
+// Velocity through the face going from cell a to cell b (east or north) after this step,
+// pushed by the difference of surface heights across the face, walls and dry cells let nothing through
+// the face gets the mean wave speed and damping of the cells on both sides
+float faceVelocity( vec2 aUv, vec2 bUv, float aHeight, float bHeight, float aDepth, float bDepth, float velocity, float spacing ) {
+    if ( aDepth <= 0.0 || bDepth <= 0.0 ) {
+        return 0.0;
+    }
+    float waveSpeed = 0.5 * ( texture2D( mediumMap, aUv ).r + texture2D( mediumMap, bUv ).r );
+    float damping = 0.5 * ( dampingAt( aUv ) + dampingAt( bUv ) );
+    return ( velocity - waveSpeed * waveSpeed * gravity * deltaTime * ( bHeight - aHeight ) / spacing ) * damping;
+}
+
+// Water flowing through the face going from cell a to cell b, carried by the upwind cell
+float faceFlux( float velocity, float aHeight, float bHeight, float aDepth, float bDepth ) {
+    float depth = velocity > 0.0 ? aDepth + aHeight : bDepth + bHeight;
+    return velocity * max( depth, 0.0 );
+}
+
+void main()	{
+    vec2 cellSize = 1.0 / resolution.xy;
+    vec2 uv = gl_FragCoord.xy * cellSize;
+    // size of a cell in system units
+    vec2 spacing = vec2( GEOM_WIDTH, GEOM_HEIGHT ) * cellSize;
+
+    // heightmapValue.x == surface height above the rest level
+    // heightmapValue.y == surface height of the previous step, kept so the water materials can interpolate like with the ripple solver
+    // heightmapValue.z == velocity through the east face of the cell
+    // heightmapValue.w == velocity through the north face of the cell
+    vec4 heightmapValue = texture2D( heightmap, uv );
+    float depth = texture2D( bathymetry, uv ).r;
+
+    // Obstacle and dry cells hold no water
+    if ( isObstacle( uv ) || depth <= 0.0 ) {
+        gl_FragColor = vec4( 0.0 );
+        return;
+    }
+
+    // Get neighbours, walls have no depth
+    vec2 northUv = uv + vec2( 0.0, cellSize.y );
+    vec2 southUv = uv + vec2( 0.0, - cellSize.y );
+    vec2 eastUv = uv + vec2( cellSize.x, 0.0 );
+    vec2 westUv = uv + vec2( - cellSize.x, 0.0 );
+    float northDepth = isWall( northUv ) ? 0.0 : texture2D( bathymetry, northUv ).r;
+    float southDepth = isWall( southUv ) ? 0.0 : texture2D( bathymetry, southUv ).r;
+    float eastDepth = isWall( eastUv ) ? 0.0 : texture2D( bathymetry, eastUv ).r;
+    float westDepth = isWall( westUv ) ? 0.0 : texture2D( bathymetry, westUv ).r;
+    vec4 north = texture2D( heightmap, northUv );
+    vec4 south = texture2D( heightmap, southUv );
+    vec4 east = texture2D( heightmap, eastUv );
+    vec4 west = texture2D( heightmap, westUv );
+
+    float height = heightmapValue.x;
+
+    // Momentum: the faces of the west and south neighbours are updated here too, so every face gets the same value on both sides
+    float northVelocity = faceVelocity( uv, northUv, height, north.x, depth, northDepth, heightmapValue.w, spacing.y );
+    float southVelocity = faceVelocity( southUv, uv, south.x, height, southDepth, depth, south.w, spacing.y );
+    float eastVelocity = faceVelocity( uv, eastUv, height, east.x, depth, eastDepth, heightmapValue.z, spacing.x );
+    float westVelocity = faceVelocity( westUv, uv, west.x, height, westDepth, depth, west.z, spacing.x );
+
+    // Continuity: the height changes by what flows in minus what flows out
+    float newHeight = height - deltaTime * (
+        ( faceFlux( eastVelocity, height, east.x, depth, eastDepth ) - faceFlux( westVelocity, west.x, height, westDepth, depth ) ) / spacing.x +
+        ( faceFlux( northVelocity, height, north.x, depth, northDepth ) - faceFlux( southVelocity, south.x, height, southDepth, depth ) ) / spacing.y
+    );
+
+    // Impulses influence (mouse, touches, scripted sources...)
+    newHeight += impulsesHeight( ( uv - vec2( 0.5 ) ) * vec2( GEOM_WIDTH, GEOM_HEIGHT ) ) + noiseHeight();
+
+    float sponge = spongeFactor();
+
+    gl_FragColor = vec4( newHeight * sponge, height, eastVelocity * sponge, northVelocity * sponge );
+
+}
@@ -0,0 +1,136 @@
+// Shared by the simulation fragment shaders (heightmapFragment.glsl, shallowWaterFragment.glsl),
+// ripple-simulation.js prepends it to the solver's own code
+
+#define PI 3.1415926538
+
+// Boundary modes, same order as BOUNDARY_MODES in simulation-constants.js
+#define BOUNDARY_REFLECTIVE 0
+#define BOUNDARY_ABSORBING 1
+#define BOUNDARY_PERIODIC 2
+
+// Brushes, same order as BRUSHES in simulation-constants.js
+#define BRUSH_COSINE 0
+#define BRUSH_GAUSSIAN 1
+#define BRUSH_RING 2
+#define BRUSH_SQUARE 3
+#define BRUSH_SPIKE 4
+#define BRUSH_STAMP 5
+
+// Impulses to apply in this frame: xy == position, z == radius, w == strength, negative to pull the water down
+// MAX_IMPULSES is defined by ripple-simulation.js
+uniform vec4 impulses[ MAX_IMPULSES ];
+// xy == end of the stroke the impulse is applied along, equal to the impulse position for a single poke
+uniform vec4 impulseEnds[ MAX_IMPULSES ];
+// x == brush, y == rotation in radians, zw == scale of the brush along its own axes
+uniform vec4 impulseShapes[ MAX_IMPULSES ];
+// grayscale image of the stamp brush in r, see RippleSimulation.setBrushStamp
+uniform sampler2D brushStamp;
+uniform int impulseCount;
+uniform float viscosityConstant;
+// amplitude of the white noise added to every cell in this frame (e.g. heavy rain), and the seed picking its pattern
+uniform float noiseAmplitude;
+uniform float noiseSeed;
+// Properties of the water per cell, see RippleSimulation.setWaveSpeedMap and setDampingMap
+// r == wave speed factor, 1.0 being the fastest stable speed
+// g == extra damping per timestep, 1.0 stopping the waves at once
+uniform sampler2D mediumMap;
+// r > 0.5 marks obstacle cells (islands, pool walls...)
+uniform sampler2D obstacleMask;
+uniform int boundaryMode;
+// width of the absorbing layer along the edges in cells, and how much of the wave it damps per timestep at the very edge
+uniform float spongeWidth;
+uniform float spongeStrength;
+// 1 / substeps, the share of a timestep one step advances the waves by
+uniform float substepFraction;
+
+bool isObstacle( vec2 uv ) {
+    return texture2D( obstacleMask, uv ).r > 0.5;
+}
+
+// Damping factor applied to the waves of a cell every step, the viscosity and damping map being per timestep
+float dampingAt( vec2 uv ) {
+    return pow( viscosityConstant * ( 1.0 - texture2D( mediumMap, uv ).g ), substepFraction );
+}
+
+// Walls are the obstacles and the grid edges unless the boundary is periodic
+// neighbourUv gets wrapped around when the boundary is periodic
+bool isWall( inout vec2 neighbourUv ) {
+    if ( boundaryMode == BOUNDARY_PERIODIC ) {
+        neighbourUv = fract( neighbourUv );
+    } else if ( any( lessThan( neighbourUv, vec2( 0.0 ) ) ) || any( greaterThan( neighbourUv, vec2( 1.0 ) ) ) ) {
+        return true;
+    }
+    return isObstacle( neighbourUv );
+}
+
+// [0..1] shape of a brush, offset being the position relative to the impulse in brush units (the brush covers -1..1)
+float brushProfile( int brush, vec2 offset ) {
+    float distance = length( offset );
+    if ( brush == BRUSH_GAUSSIAN ) {
+        return distance < 1.0 ? exp( - 4.5 * distance * distance ) : 0.0;
+    } else if ( brush == BRUSH_RING ) {
+        // raised cosine across a band from 0.5 to 1.0
+        return 0.5 * ( cos( clamp( abs( distance - 0.75 ) * 4.0, 0.0, 1.0 ) * PI ) + 1.0 );
+    } else if ( brush == BRUSH_SQUARE ) {
+        // soft edge, a hard one would make the grid ring
+        return 1.0 - smoothstep( 0.8, 1.0, max( abs( offset.x ), abs( offset.y ) ) );
+    } else if ( brush == BRUSH_SPIKE ) {
+        float falloff = max( 1.0 - distance, 0.0 );
+        return falloff * falloff * falloff * falloff;
+    } else if ( brush == BRUSH_STAMP ) {
+        if ( any( greaterThan( abs( offset ), vec2( 1.0 ) ) ) ) {
+            return 0.0;
+        }
+        // the top of the stamp is towards -y, like the top of a map drawn on a canvas
+        return texture2D( brushStamp, vec2( offset.x, - offset.y ) * 0.5 + 0.5 ).r;
+    }
+    return 0.5 * ( cos( min( distance, 1.0 ) * PI ) + 1.0 );
+}
+
+// Sum of the impulses (mouse, touches, scripted sources...) at a position in system units
+float impulsesHeight( vec2 position ) {
+    float height = 0.0;
+    for ( int i = 0; i < MAX_IMPULSES; i ++ ) {
+        if ( i >= impulseCount ) break;
+        vec4 impulse = impulses[ i ];
+        vec4 shape = impulseShapes[ i ];
+        // offset from the closest point of the stroke segment, so fast pointer moves leave a continuous wake rather than a line of dots
+        vec2 strokeStart = vec2( impulse.x, - impulse.y );
+        vec2 stroke = vec2( impulseEnds[ i ].x, - impulseEnds[ i ].y ) - strokeStart;
+        float t = clamp( dot( position - strokeStart, stroke ) / max( dot( stroke, stroke ), 1e-6 ), 0.0, 1.0 );
+        vec2 offset = position - strokeStart - stroke * t;
+        // back to the impulse's coordinates (y flipped), then into the brush's own rotated and scaled axes
+        offset.y = - offset.y;
+        float c = cos( shape.y );
+        float s = sin( shape.y );
+        offset = vec2( c * offset.x + s * offset.y, - s * offset.x + c * offset.y ) / ( impulse.z * shape.zw );
+        height += 2.0 * brushProfile( int( shape.x + 0.5 ), offset ) * impulse.w;
+    }
+    return height;
+}
+
+// https://www.shadertoy.com/view/4djSRW
+float hash12( vec2 p ) {
+    vec3 p3 = fract( vec3( p.xyx ) * 0.1031 );
+    p3 += dot( p3, p3.yzx + 33.33 );
+    return fract( ( p3.x + p3.y ) * p3.z );
+}
+
+// Zero mean white noise of the current cell, see RippleSimulation.addNoise
+float noiseHeight() {
+    if ( noiseAmplitude <= 0.0 ) {
+        return 0.0;
+    }
+    return noiseAmplitude * ( hash12( gl_FragCoord.xy + noiseSeed * 1000.0 ) * 2.0 - 1.0 );
+}
+
+// Sponge layer: 1.0 in open water, less and less closer to the edges when the boundary is absorbing,
+// multiply the waves by it so they fade out instead of bouncing back
+float spongeFactor() {
+    if ( boundaryMode != BOUNDARY_ABSORBING ) {
+        return 1.0;
+    }
+    float edgeDistance = min( min( gl_FragCoord.x, resolution.x - gl_FragCoord.x ), min( gl_FragCoord.y, resolution.y - gl_FragCoord.y ) );
+    float sponge = 1.0 - clamp( edgeDistance / spongeWidth, 0.0, 1.0 );
+    return pow( 1.0 - spongeStrength * sponge * sponge, substepFraction );
+}
@@ -1,4 +1,44 @@
 uniform sampler2D smoothTexture;
+// blur of the pass, same order as SMOOTH_KERNELS in simulation-constants.js
+uniform int smoothKernel;
+// [0..1] how much of the blurred value replaces the current one
+uniform float smoothStrength;
+// factor the values are multiplied with after the blur, 1 keeps them, see RippleSimulation.calm
+uniform float smoothScale;
+// where the pass applies: xy == center, z == radius of a circle in the coordinates of RippleSimulation.disturb,
+// w == 0 everywhere, 1 inside the circle, 2 where smoothMask says
+uniform vec4 smoothRegion;
+// [0..1] weight of the pass per cell in r
+uniform sampler2D smoothMask;
+// the boundary of the solver, the blur wraps around the grid like the waves when it is periodic
+uniform int boundaryMode;
+
+#define KERNEL_BOX 0
+#define KERNEL_GAUSSIAN 1
+
+// same as BOUNDARY_PERIODIC in simulationCommon.glsl
+#define BOUNDARY_PERIODIC 2
+
+// value of a neighbour cell, wrapped around when the boundary is periodic, clamped to the edges otherwise
+vec4 neighbourValue( vec2 neighbourUv ) {
+    if ( boundaryMode == BOUNDARY_PERIODIC ) {
+        neighbourUv = fract( neighbourUv );
+    }
+    return texture2D( smoothTexture, neighbourUv );
+}
+
+// [0..1] how much the pass applies to the cell at uv
+float regionWeight( vec2 uv ) {
+    if ( smoothRegion.w > 1.5 ) {
+        return texture2D( smoothMask, uv ).r;
+    } else if ( smoothRegion.w > 0.5 ) {
+        // the y of the impulses goes the opposite way of v, and the edge is soft so the border of the region doesn't ring
+        vec2 position = ( uv - vec2( 0.5 ) ) * vec2( GEOM_WIDTH, GEOM_HEIGHT );
+        float distance = length( position - vec2( smoothRegion.x, - smoothRegion.y ) );
+        return 1.0 - smoothstep( 0.8 * smoothRegion.z, smoothRegion.z, distance );
+    }
+    return 1.0;
+}
 
 void main()	{
 
@@ -6,15 +46,30 @@ void main()	{
 
     vec2 uv = gl_FragCoord.xy * cellSize;
 
-    // Computes the mean of texel and 4 neighbours
     vec4 textureValue = texture2D( smoothTexture, uv );
-    textureValue += texture2D( smoothTexture, uv + vec2( 0.0, cellSize.y ) );
-    textureValue += texture2D( smoothTexture, uv + vec2( 0.0, - cellSize.y ) );
-    textureValue += texture2D( smoothTexture, uv + vec2( cellSize.x, 0.0 ) );
-    textureValue += texture2D( smoothTexture, uv + vec2( - cellSize.x, 0.0 ) );
+    vec4 blurred;
+    if ( smoothKernel == KERNEL_GAUSSIAN ) {
+        // 3x3 binomial kernel
+        blurred = textureValue * 4.0;
+        blurred += ( neighbourValue( uv + vec2( 0.0, cellSize.y ) ) + neighbourValue( uv + vec2( 0.0, - cellSize.y ) )
+            + neighbourValue( uv + vec2( cellSize.x, 0.0 ) ) + neighbourValue( uv + vec2( - cellSize.x, 0.0 ) ) ) * 2.0;
+        blurred += neighbourValue( uv + cellSize ) + neighbourValue( uv - cellSize )
+            + neighbourValue( uv + vec2( cellSize.x, - cellSize.y ) ) + neighbourValue( uv + vec2( - cellSize.x, cellSize.y ) );
+        blurred /= 16.0;
+    } else {
+        // Computes the mean of texel and 4 neighbours
+        blurred = textureValue;
+        blurred += neighbourValue( uv + vec2( 0.0, cellSize.y ) );
+        blurred += neighbourValue( uv + vec2( 0.0, - cellSize.y ) );
+        blurred += neighbourValue( uv + vec2( cellSize.x, 0.0 ) );
+        blurred += neighbourValue( uv + vec2( - cellSize.x, 0.0 ) );
+        blurred /= 5.0;
+    }
 
-    textureValue /= 5.0;
+    float weight = regionWeight( uv );
+    textureValue = mix( textureValue, blurred, smoothStrength * weight );
+    textureValue *= 1.0 - weight * ( 1.0 - smoothScale );
 
     gl_FragColor = textureValue;
 
-}
\ No newline at end of file
+}
@@ -0,0 +1,39 @@
+// Reduces the heightmap to a few numbers telling how healthy the simulation is, halving the grid at every pass
+// x == energy (height^2 + (height - previous height)^2) summed over the cells and divided by their number,
+// y == largest height in absolute value, z == fraction of the cells holding infinite or NaN values, w not used
+// MEASURE is defined for the first pass, the one reading the heightmap itself
+
+uniform sampler2D reduceTexture;
+// size of reduceTexture in pixels
+uniform vec2 inputSize;
+// 1 / number of cells of the heightmap, averaging rather than summing keeps the values in range of half floats
+uniform float cellWeight;
+
+void main()	{
+
+    vec4 result = vec4( 0.0 );
+    vec2 base = floor( gl_FragCoord.xy ) * 2.0;
+    for ( int j = 0; j < 2; j ++ ) {
+        for ( int i = 0; i < 2; i ++ ) {
+            vec2 texel = base + vec2( float( i ), float( j ) );
+            // odd sizes leave the last row or column of the output half empty
+            if ( texel.x >= inputSize.x || texel.y >= inputSize.y ) continue;
+            vec4 value = texture2D( reduceTexture, ( texel + 0.5 ) / inputSize );
+#ifdef MEASURE
+            // NaN fails every comparison and infinity is larger than any float
+            if ( all( lessThan( abs( value ), vec4( 1e30 ) ) ) ) {
+                result.x += ( value.x * value.x + ( value.x - value.y ) * ( value.x - value.y ) ) * cellWeight;
+                result.y = max( result.y, abs( value.x ) );
+            } else {
+                result.z += cellWeight;
+            }
+#else
+            result.xz += value.xz;
+            result.y = max( result.y, value.y );
+#endif
+        }
+    }
+
+    gl_FragColor = result;
+
+}
@@ -0,0 +1,29 @@
+// Light lost on its way through the water of a pool, see underwater-view.js
+// positions are in world units, the water at rest fills the box between waterMin and waterMax
+
+uniform vec3 waterMin;
+uniform vec3 waterMax;
+// share of the light absorbed or scattered away per world unit, for each of r, g and b
+uniform vec3 waterAbsorption;
+// light scattered towards the eye by the water itself, what is left far away
+uniform vec3 waterFogColor;
+
+// Length of the segment between two points that goes through the water
+float waterPathLength( vec3 start, vec3 end ) {
+    vec3 ray = end - start;
+    // slabs of the box, a ray parallel to an axis stays inside or outside of its slab all along
+    vec3 inverse = 1.0 / mix( vec3( 1e-6 ), ray, step( 1e-6, abs( ray ) ) );
+    vec3 near = ( waterMin - start ) * inverse;
+    vec3 far = ( waterMax - start ) * inverse;
+    vec3 enters = min( near, far );
+    vec3 leaves = max( near, far );
+    float enter = max( max( max( enters.x, enters.y ), enters.z ), 0.0 );
+    float leave = min( min( min( leaves.x, leaves.y ), leaves.z ), 1.0 );
+    return max( leave - enter, 0.0 ) * length( ray );
+}
+
+// Color of a point as seen from the eye, absorbed channel by channel and fogged over the stretch of water in between
+vec3 applyWaterAbsorption( vec3 color, vec3 eye, vec3 point ) {
+    vec3 transmittance = exp( - waterAbsorption * waterPathLength( eye, point ) );
+    return mix( waterFogColor, color, transmittance );
+}
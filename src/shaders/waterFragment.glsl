@@ -31,6 +31,7 @@ uniform float opacity;
 #include <specularmap_pars_fragment>
 #include <logdepthbuf_pars_fragment>
 #include <clipping_planes_pars_fragment>
+varying float foamValue;
 
 void main() {
 
@@ -64,6 +65,10 @@ void main() {
     #endif
 
 	#include <color_fragment>
+
+	// white froth on the crests and in the wakes, over the rippled image
+	diffuseColor.rgb = mix( diffuseColor.rgb, vec3( 1.0 ), foamValue );
+
 	#include <alphamap_fragment>
 	#include <alphatest_fragment>
 	#include <alphahash_fragment>
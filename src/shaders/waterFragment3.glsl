@@ -32,6 +32,7 @@ uniform float opacity;
 #include <logdepthbuf_pars_fragment>
 #include <clipping_planes_pars_fragment>
 varying float heightValue;
+varying float foamValue;
 
 void main() {
 
@@ -48,6 +49,8 @@ void main() {
 	// I'd like to add a bioluminescent effect, only to waves that have a certain displacement,
 	// areas without height should be dark
 	diffuseColor.rgb *= vec3(0.12,0.12,1.0) * smoothstep(0., 1., heightValue);
+	// the foam lights up on its own, so the strokes leave glowing trails even where the water is low
+	totalEmissiveRadiance += vec3(0.1,0.5,1.0) * foamValue;
 
 	#include <alphamap_fragment>
 	#include <alphatest_fragment>
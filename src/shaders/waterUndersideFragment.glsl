@@ -0,0 +1,43 @@
+// Underside of the water seen from below, see underwater-view.js, waterAbsorption.glsl is prepended by the material
+// the sky only shows through a cone above the eye (Snell's window), outside of it the surface mirrors the water back down
+
+// the sky straight up and at the horizon
+uniform vec3 skyColor;
+uniform vec3 horizonColor;
+// unit vector towards the sun, and its color times its intensity
+uniform vec3 sunDirection;
+uniform vec3 sunColor;
+
+varying vec3 surfacePosition;
+varying vec3 surfaceNormal;
+
+#define IOR_WATER 1.333
+
+// Sky seen along a direction going up out of the water
+vec3 skyAt( vec3 direction ) {
+    vec3 sky = mix( horizonColor, skyColor, sqrt( max( direction.y, 0.0 ) ) );
+    // a small sharp disc, brighter than anything else
+    return sky + sunColor * pow( max( dot( direction, sunDirection ), 0.0 ), 2000.0 );
+}
+
+void main() {
+    // facing the eye under the water
+    vec3 normal = - normalize( surfaceNormal );
+    vec3 view = normalize( surfacePosition - cameraPosition );
+
+    // past the critical angle the light is all reflected (total internal reflection): the water beyond the mirror is as far as the fog goes
+    vec3 color = waterFogColor;
+    vec3 refracted = refract( view, normal, IOR_WATER );
+    if ( dot( refracted, refracted ) > 0.0 ) {
+        // inside the window most of the sky gets through, Schlick's approximation of Fresnel on the air side
+        float cosine = dot( refracted, - normal );
+        float reflectance = 0.02 + 0.98 * pow( 1.0 - cosine, 5.0 );
+        color = mix( skyAt( refracted ), waterFogColor, reflectance );
+    }
+
+    // the water between the surface and the eye
+    gl_FragColor = vec4( applyWaterAbsorption( color, cameraPosition, surfacePosition ), 1.0 );
+
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+}
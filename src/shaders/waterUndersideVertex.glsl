@@ -0,0 +1,30 @@
+// Underside of the water seen from below, see underwater-view.js
+// the mesh is the PlaneGeometry of the water mesh, displaced along its z axis by the heightmap like the water meshes of the demos
+// FBO_WIDTH/FBO_HEIGHT/GEOM_WIDTH/GEOM_HEIGHT are defined by the material
+
+uniform sampler2D heightmap;
+// [0..1] interpolation factor between the previous (y) and current (x) heights, see RippleSimulation.update
+uniform float heightmapAlpha;
+
+// position and upwards normal of the surface in world units
+varying vec3 surfacePosition;
+varying vec3 surfaceNormal;
+
+float heightAt( vec2 uv ) {
+    vec2 heights = texture2D( heightmap, uv ).xy;
+    return mix( heights.y, heights.x, heightmapAlpha );
+}
+
+void main() {
+    vec2 cellSize = vec2( 1.0 / FBO_WIDTH, 1.0 / FBO_HEIGHT );
+    // slopes along the x and y axes of the mesh
+    vec2 slope = vec2(
+        heightAt( uv + vec2( cellSize.x, 0.0 ) ) - heightAt( uv - vec2( cellSize.x, 0.0 ) ),
+        heightAt( uv + vec2( 0.0, cellSize.y ) ) - heightAt( uv - vec2( 0.0, cellSize.y ) )
+    ) * 0.5 / ( cellSize * vec2( GEOM_WIDTH, GEOM_HEIGHT ) );
+    surfaceNormal = normalize( mat3( modelMatrix ) * vec3( - slope, 1.0 ) );
+
+    vec4 worldPosition = modelMatrix * vec4( position.xy, heightAt( uv ), 1.0 );
+    surfacePosition = worldPosition.xyz;
+    gl_Position = projectionMatrix * viewMatrix * worldPosition;
+}
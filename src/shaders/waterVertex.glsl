@@ -1,4 +1,8 @@
 uniform sampler2D heightmap;
+// [0..1] interpolation factor between the previous (y) and current (x) heights, see RippleSimulation.update
+uniform float heightmapAlpha;
+// foam in r, see RippleSimulation.getFoamTexture, black when the simulation has none
+uniform sampler2D foamMap;
 
 #define PHONG
 
@@ -21,6 +25,12 @@ varying vec3 vViewPosition;
 #include <logdepthbuf_pars_vertex>
 #include <clipping_planes_pars_vertex>
 varying float heightValue;
+varying float foamValue;
+
+float heightAt( vec2 uv ) {
+    vec2 heights = texture2D( heightmap, uv ).xy;
+    return mix( heights.y, heights.x, heightmapAlpha );
+}
 
 void main() {
 
@@ -32,8 +42,8 @@ void main() {
     // # include <beginnormal_vertex>
     // Compute normal from heightmap
     vec3 objectNormal = vec3(
-        ( texture2D( heightmap, uv + vec2( - cellSize.x, 0 ) ).x - texture2D( heightmap, uv + vec2( cellSize.x, 0 ) ).x ) * FBO_WIDTH / GEOM_WIDTH,
-        ( texture2D( heightmap, uv + vec2( 0, - cellSize.y ) ).x - texture2D( heightmap, uv + vec2( 0, cellSize.y ) ).x ) * FBO_HEIGHT / GEOM_HEIGHT,
+        ( heightAt( uv + vec2( - cellSize.x, 0 ) ) - heightAt( uv + vec2( cellSize.x, 0 ) ) ) * FBO_WIDTH / GEOM_WIDTH,
+        ( heightAt( uv + vec2( 0, - cellSize.y ) ) - heightAt( uv + vec2( 0, cellSize.y ) ) ) * FBO_HEIGHT / GEOM_HEIGHT,
         1.0 );
     //<beginnormal_vertex>
 
@@ -49,7 +59,8 @@ void main() {
 #endif
 
     //# include <begin_vertex>
-    heightValue = texture2D( heightmap, uv ).x;
+    heightValue = heightAt( uv );
+    foamValue = texture2D( foamMap, uv ).x;
     vec3 transformed = vec3( position.x, position.y, heightValue );
     //<begin_vertex>
 
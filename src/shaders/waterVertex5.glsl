@@ -1,4 +1,6 @@
 uniform sampler2D heightmap;
+// [0..1] interpolation factor between the previous (y) and current (x) heights, see RippleSimulation.update
+uniform float heightmapAlpha;
 attribute vec3 aPos;
 attribute vec2 aUv;
 
@@ -42,7 +44,8 @@ void main() {
 
     //# include <begin_vertex>
     vUv = aUv;
-    heightValue = texture2D( heightmap, aUv ).x;
+    vec2 heights = texture2D( heightmap, aUv ).xy;
+    heightValue = mix( heights.y, heights.x, heightmapAlpha );
     vec3 transformed = position;
     transformed += vec3(aPos.x, heightValue, aPos.z);
     //<begin_vertex>
@@ -0,0 +1,120 @@
+// Values and formulas shared by the gpu (ripple-simulation) and cpu (cpu-ripple-solver) versions of the simulation, with no threejs dependency
+
+/**
+ * How waves behave when they reach the edges of the simulation grid,
+ * the index of a mode is the value of the boundaryMode uniform in heightmapFragment.glsl
+ * - reflective: the edges are walls, like a closed pool
+ * - absorbing: a sponge layer along the edges damps the waves, like the open sea
+ * - periodic: waves leaving one edge come back in from the opposite edge, for tileable surfaces
+ */
+export const BOUNDARY_MODES = ["reflective", "absorbing", "periodic"]
+
+/**
+ * Maximum number of impulses (mouse, touches, scripted sources...) applied in one simulation step,
+ * it is the size of the impulses uniform array in heightmapFragment.glsl
+ */
+export const MAX_IMPULSES = 16
+
+/**
+ * Maximum number of impulses waiting for the following steps, past it the oldest ones are dropped
+ * so a flood of pointer events or emitters can't build a backlog that replays for seconds
+ */
+export const MAX_PENDING_IMPULSES = MAX_IMPULSES * 4
+
+/**
+ * Range of the factor applied to the strength of a stroke depending on the pointer speed, see RippleSimulation.addStroke
+ */
+export const STROKE_STRENGTH_RANGE = [0.25, 2.0]
+
+/**
+ * Factor applied to the strength of a stroke, see RippleSimulation.addStroke
+ * @param {number} length length of the stroke in system units
+ * @param {number} interval time the pointer took to move along it in seconds
+ * @param {number} strokeSpeed pointer speed in system units per second at which a stroke gets its full strength
+ * @returns the speed of the pointer over strokeSpeed, within STROKE_STRENGTH_RANGE
+ */
+export const strokeFactor = (length, interval, strokeSpeed) => {
+    const speed = length / Math.max(interval, 1e-3)
+    const [minFactor, maxFactor] = STROKE_STRENGTH_RANGE
+    return Math.min(Math.max(speed / strokeSpeed, minFactor), maxFactor)
+}
+
+/**
+ * Equations the simulation solves, chosen when it is created
+ * - ripple: Hugo Elias style ripples (heightmapFragment.glsl), cheap and the same wave speed everywhere
+ * - shallowWater: shallow water equations over a bathymetry map (shallowWaterFragment.glsl), waves slow down and steepen in shallow water
+ */
+export const SOLVERS = ["ripple", "shallowWater"]
+
+/**
+ * Number of points RippleSimulation.sampleSurface reads back from the gpu in one pass,
+ * it is the size of the probePoints uniform array in probeFragment.glsl
+ */
+export const MAX_PROBES = 64
+
+/**
+ * Shapes of the impulses, the index of a brush is its value in the impulseShapes uniform of simulationCommon.glsl
+ * - cosine: raised cosine bump, the default
+ * - gaussian: softer bump
+ * - ring: a circle of water, e.g. the splash around something dropped in
+ * - square: flat topped square
+ * - spike: sharp peak, e.g. droplets
+ * - stamp: grayscale image set with RippleSimulation.setBrushStamp, e.g. a logo or a footprint
+ */
+export const BRUSHES = ["cosine", "gaussian", "ring", "square", "spike", "stamp"]
+
+/**
+ * Size in pixels of the brush stamp texture, stamps get resampled to it
+ */
+export const STAMP_SIZE = 64
+
+/**
+ * What the stability guard of RippleSimulation does when the water goes over its maxAmplitude or holds infinite/NaN values
+ * - off: only measures, see RippleSimulation.onStability
+ * - clamp: clamps the state to maxAmplitude and zeroes the broken cells, the rest of the waves carry on
+ * - reset: flattens the water
+ */
+export const GUARD_MODES = ["off", "clamp", "reset"]
+
+/**
+ * Blurs of RippleSimulation.smooth, the index of a kernel is the value of the smoothKernel uniform in smoothFragment.glsl
+ * - box: mean of the cell and its 4 neighbours
+ * - gaussian: 3x3 binomial blur, rounder and gentler per pass
+ */
+export const SMOOTH_KERNELS = ["box", "gaussian"]
+
+/**
+ * Factor RippleSimulation.calm scales the water by in one of its steps, the waves left following a smoothstep curve down to none
+ * @param {number} step index of the step of calming, from 1 to steps
+ * @param {number} steps number of steps the calming lasts
+ * @returns [0..1] the share of the waves of the previous step that is kept
+ */
+export const calmFactor = (step, steps) => {
+    // share of the waves left after n steps of calming
+    const remaining = (n) => {
+        const t = n / steps
+        return 1 - t * t * (3 - 2 * t)
+    }
+    return remaining(step) / remaining(step - 1)
+}
+
+/**
+ * Settings of the foam field when only some are given, see RippleSimulation.setFoam
+ */
+export const FOAM_DEFAULTS = {
+    decay: 0.98,
+    threshold: 0.15,
+    gain: 0.2,
+    impulseGain: 0.5,
+    drift: 1,
+}
+
+/**
+ * Factor the render materials mix the previous (y) and current (x) heights with, see RippleSimulation.alpha
+ * the previous height is only one substep old, so with several substeps the factor reaches back past it,
+ * the rendering moving by a whole timestep over a timestep instead of by one substep and then jumping
+ * @param {number} fraction [0..1] share of the timestep elapsed since the last step, e.g. accumulator / timestep
+ * @param {number} substeps number of steps per timestep
+ * @returns the factor, from 1 - substeps at the start of the timestep up to 1 at its end
+ */
+export const interpolationAlpha = (fraction, substeps) => 1 - (1 - fraction) * substeps
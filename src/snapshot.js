@@ -0,0 +1,242 @@
+// Saves the state of a RippleSimulation to a file and loads it back, e.g. to open a scene on a nice looking moment
+// the file holds a little endian uint32 byte length of the JSON header, the header padded with spaces to a multiple of 4 bytes,
+// then the values as little endian float32, channels values per cell row by row; a 16-bit PNG preview can be saved next to it
+
+import { resampleMap } from "./cell-map.js"
+
+const FORMAT = "water-ripples-snapshot"
+const VERSION = 1
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]
+
+/**
+ * Captures the current state of a simulation
+ * @param {RippleSimulation} simulation the simulation to capture, this waits for the gpu to finish its work
+ * @returns {{header: object, data: Float32Array}} the snapshot, the header describes the grid and the data holds
+ * the height and previous height of each cell (plus the face velocities with the shallowWater solver)
+ */
+export const createSnapshot = (simulation) => {
+    const { fboWidth: width, fboHeight: height, geomWidth, geomHeight, solver } = simulation
+    const channels = solver === "shallowWater" ? 4 : 2
+    const heightmap = simulation.readHeightmap()
+    const data = new Float32Array(width * height * channels)
+    for (let n = 0; n < width * height; n++) {
+        for (let c = 0; c < channels; c++) {
+            data[n * channels + c] = heightmap[n * 4 + c]
+        }
+    }
+    return {
+        header: { format: FORMAT, version: VERSION, width, height, channels, geomWidth, geomHeight, solver },
+        data,
+    }
+}
+
+/**
+ * Sets a snapshot as the state of a simulation, resampled if the grid sizes differ
+ * the channels missing from the snapshot (e.g. velocities of a ripple snapshot loaded into a shallowWater simulation) start at 0
+ * @param {RippleSimulation} simulation the simulation to restore the state of
+ * @param {{header: object, data: Float32Array}} snapshot a snapshot from createSnapshot() or decodeSnapshot()
+ */
+export const applySnapshot = (simulation, { header, data }) => {
+    const { width, height, channels } = header
+    const { fboWidth, fboHeight } = simulation
+    const values = width === fboWidth && height === fboHeight
+        ? data
+        : resampleMap(data, width, height, fboWidth, fboHeight, channels)
+
+    const heightmap = new Float32Array(fboWidth * fboHeight * 4)
+    for (let n = 0; n < fboWidth * fboHeight; n++) {
+        for (let c = 0; c < Math.min(channels, 4); c++) {
+            heightmap[n * 4 + c] = values[n * channels + c]
+        }
+    }
+    simulation.writeHeightmap(heightmap)
+}
+
+/**
+ * @param {{header: object, data: Float32Array}} snapshot a snapshot from createSnapshot()
+ * @returns {ArrayBuffer} the content of a snapshot file
+ */
+export const encodeSnapshot = ({ header, data }) => {
+    let json = JSON.stringify(header)
+    // keeps the floats 4 bytes aligned
+    json += " ".repeat((4 - (4 + json.length) % 4) % 4)
+    const headerBytes = new TextEncoder().encode(json)
+
+    const buffer = new ArrayBuffer(4 + headerBytes.length + data.length * 4)
+    const view = new DataView(buffer)
+    view.setUint32(0, headerBytes.length, true)
+    new Uint8Array(buffer, 4, headerBytes.length).set(headerBytes)
+    const offset = 4 + headerBytes.length
+    for (let i = 0; i < data.length; i++) {
+        view.setFloat32(offset + i * 4, data[i], true)
+    }
+    return buffer
+}
+
+/**
+ * @param {ArrayBuffer} buffer the content of a snapshot file
+ * @returns {{header: object, data: Float32Array}} the snapshot, null if the file is not a snapshot
+ */
+export const decodeSnapshot = (buffer) => {
+    const view = new DataView(buffer)
+    const headerLength = buffer.byteLength >= 4 ? view.getUint32(0, true) : 0
+    let header = null
+    try {
+        header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 4, headerLength)))
+    } catch (error) {
+        console.error("Not a snapshot file")
+        return null
+    }
+    if (header.format !== FORMAT || header.version > VERSION) {
+        console.error(`Unsupported snapshot: ${header.format} version ${header.version}`)
+        return null
+    }
+
+    const offset = 4 + headerLength
+    const data = new Float32Array(header.width * header.height * header.channels)
+    if (buffer.byteLength < offset + data.length * 4) {
+        console.error("Truncated snapshot file")
+        return null
+    }
+    for (let i = 0; i < data.length; i++) {
+        data[i] = view.getFloat32(offset + i * 4, true)
+    }
+    return { header, data }
+}
+
+/**
+ * Loads a snapshot file, e.g. one shipped with the scene as its opening frame
+ * @param {string} url url of the snapshot file
+ * @returns {Promise<{header: object, data: Float32Array}>} the snapshot, null if it could not be loaded
+ */
+export const fetchSnapshot = (url) => {
+    return fetch(url)
+        .then((response) => response.ok ? response.arrayBuffer() : Promise.reject(new Error(`${response.status} ${response.statusText}`)))
+        .then(decodeSnapshot)
+        .catch((error) => {
+            console.error(`Failed to load the snapshot ${url}: ${error.message}`)
+            return null
+        })
+}
+
+/**
+ * Renders a snapshot as a 16-bit RGB PNG for inspection: red is the height, green the previous height
+ * the heights are mapped from [-range..range] to [0..65535], range being the largest height in the snapshot,
+ * it is stored in a tEXt chunk with the rest of the header
+ * the top row of the image is v = 1 of the heightmap, like the canvases read by cell-map.js
+ * @param {{header: object, data: Float32Array}} snapshot a snapshot from createSnapshot()
+ * @returns {Promise<Blob>} the PNG file
+ */
+export const encodeSnapshotPng = ({ header, data }) => {
+    const { width, height, channels } = header
+    let range = 0
+    for (let n = 0; n < width * height; n++) {
+        range = Math.max(range, Math.abs(data[n * channels]), Math.abs(data[n * channels + 1]))
+    }
+    range = range > 0 ? range : 1
+
+    // each row starts with its filter type, 0 for none
+    const rowLength = 1 + width * 6
+    const pixels = new Uint8Array(rowLength * height)
+    const view = new DataView(pixels.buffer)
+    const toSample = (value) => Math.round((value / range * 0.5 + 0.5) * 65535)
+    for (let row = 0; row < height; row++) {
+        // flip the rows, image rows go top to bottom but the heightmap rows go bottom to top
+        const j = height - 1 - row
+        for (let i = 0; i < width; i++) {
+            const n = j * width + i
+            const p = row * rowLength + 1 + i * 6
+            view.setUint16(p, toSample(data[n * channels]))
+            view.setUint16(p + 2, toSample(data[n * channels + 1]))
+        }
+    }
+
+    const ihdr = new Uint8Array(13)
+    const ihdrView = new DataView(ihdr.buffer)
+    ihdrView.setUint32(0, width)
+    ihdrView.setUint32(4, height)
+    // 16 bits per sample, truecolor, default compression, filtering and no interlacing
+    ihdr.set([16, 2, 0, 0, 0], 8)
+    const text = new TextEncoder().encode(`${FORMAT}\0${JSON.stringify({ ...header, range })}`)
+
+    return deflate(pixels).then((compressed) => new Blob([
+        new Uint8Array(PNG_SIGNATURE),
+        pngChunk("IHDR", ihdr),
+        pngChunk("tEXt", text),
+        pngChunk("IDAT", compressed),
+        pngChunk("IEND", new Uint8Array(0)),
+    ], { type: "image/png" }))
+}
+
+/**
+ * Saves the current state of a simulation as a snapshot file and its PNG, through the browser's downloads
+ * @param {RippleSimulation} simulation the simulation to capture
+ * @param {string} name file name without extension
+ * @returns {Promise} resolves once both files are handed to the browser
+ */
+export const downloadSnapshot = (simulation, name = "snapshot") => {
+    const snapshot = createSnapshot(simulation)
+    download(new Blob([encodeSnapshot(snapshot)], { type: "application/octet-stream" }), `${name}.bin`)
+    return encodeSnapshotPng(snapshot).then((png) => download(png, `${name}.png`))
+}
+
+/**
+ * @param {Blob} blob content of the file
+ * @param {string} fileName name of the downloaded file
+ */
+const download = (blob, fileName) => {
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement("a")
+    link.href = url
+    link.download = fileName
+    link.click()
+    URL.revokeObjectURL(url)
+}
+
+/**
+ * @param {Uint8Array} bytes data to compress
+ * @returns {Promise<Uint8Array>} the data compressed as a zlib stream, as PNG expects it
+ */
+const deflate = (bytes) => {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate"))
+    return new Response(stream).arrayBuffer().then((buffer) => new Uint8Array(buffer))
+}
+
+/**
+ * @param {string} type four letter chunk type
+ * @param {Uint8Array} data chunk data
+ * @returns {Uint8Array} the chunk with its length and crc
+ */
+const pngChunk = (type, data) => {
+    const chunk = new Uint8Array(12 + data.length)
+    const view = new DataView(chunk.buffer)
+    view.setUint32(0, data.length)
+    chunk.set(new TextEncoder().encode(type), 4)
+    chunk.set(data, 8)
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)))
+    return chunk
+}
+
+let crcTable = null
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {number} the CRC-32 of the bytes, as used by PNG
+ */
+const crc32 = (bytes) => {
+    if (crcTable === null) {
+        crcTable = new Uint32Array(256)
+        for (let n = 0; n < 256; n++) {
+            let c = n
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+            }
+            crcTable[n] = c >>> 0
+        }
+    }
+    let crc = 0xFFFFFFFF
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8)
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0
+}
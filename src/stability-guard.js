@@ -0,0 +1,48 @@
+// Stability measure and guard of a RippleSimulation on a heightmap in memory, with no threejs dependency so they run headless (e.g. in node, see test/)
+// the gpu version measures and clamps with stabilityFragment.glsl and clampFragment.glsl, the cpu fallback with these
+
+/**
+ * Measures a heightmap like stabilityFragment.glsl and the reduction passes do
+ * @param {Float32Array} data RGBA heightmap, height in x and previous height in y
+ * @returns {object} energy, maxAmplitude and nonFinite of the water, see RippleSimulation.onStability
+ */
+export const measureStability = (data) => {
+    const measure = { energy: 0, maxAmplitude: 0, nonFinite: 0 }
+    for (let i = 0; i < data.length; i += 4) {
+        if (Number.isFinite(data[i]) && Number.isFinite(data[i + 1]) && Number.isFinite(data[i + 2]) && Number.isFinite(data[i + 3])) {
+            measure.energy += data[i] * data[i] + (data[i] - data[i + 1]) * (data[i] - data[i + 1])
+            measure.maxAmplitude = Math.max(measure.maxAmplitude, Math.abs(data[i]))
+        } else {
+            measure.nonFinite++
+        }
+    }
+    return measure
+}
+
+/**
+ * Decides what the guard does about a stability measure
+ * @param {string} guard guard mode, one of GUARD_MODES
+ * @param {number} maxAmplitude largest height the guard lets through
+ * @param {number} step step the measure was taken after
+ * @param {object} measure energy, maxAmplitude and nonFinite of the water
+ * @returns {object} { stability, limit }: what the onStability callbacks get, see RippleSimulation.onStability,
+ * and the value to clamp the state to, 0 to flatten it and null to leave it alone
+ */
+export const judgeStability = (guard, maxAmplitude, step, measure) => {
+    // the comparison fails for an infinite or NaN amplitude as well
+    if (guard === "off" || (measure.nonFinite === 0 && measure.maxAmplitude <= maxAmplitude)) {
+        return { stability: { step, ...measure, action: "none" }, limit: null }
+    }
+    return { stability: { step, ...measure, action: guard }, limit: guard === "reset" ? 0 : maxAmplitude }
+}
+
+/**
+ * Clamps every value of a heightmap to [-limit..limit] and zeroes the infinite and NaN ones, same as clampFragment.glsl
+ * @param {Float32Array} data RGBA heightmap, changed in place
+ * @param {number} limit largest value kept in absolute value, 0 flattens the water
+ */
+export const clampState = (data, limit) => {
+    for (let i = 0; i < data.length; i++) {
+        data[i] = Number.isFinite(data[i]) ? Math.min(Math.max(data[i], -limit), limit) : 0
+    }
+}
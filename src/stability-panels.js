@@ -0,0 +1,26 @@
+// Energy, largest height and broken cells of a RippleSimulation as extra panels of the stats overlay, clicking it cycles through them
+
+import Stats from "three/examples/jsm/libs/stats.module.js"
+
+/**
+ * Adds the stability panels to a stats overlay, they update whenever a measure arrives, see RippleSimulation.onStability
+ *
+ * Usage:
+ * this.stats1 = new Stats()
+ * addStabilityPanels(this.stats1, this.simulation)
+ * @param {Stats} stats the stats overlay of the demo
+ * @param {RippleSimulation} simulation the simulation to show the health of
+ */
+export const addStabilityPanels = (stats, simulation) => {
+    const energyPanel = stats.addPanel(new Stats.Panel("ENERGY", "#ff8", "#221"))
+    const amplitudePanel = stats.addPanel(new Stats.Panel("MAX H", "#f80", "#210"))
+    const nonFinitePanel = stats.addPanel(new Stats.Panel("NaN", "#f44", "#200"))
+    // the energy graph is scaled to the highest energy seen so far
+    let peakEnergy = 0
+    simulation.onStability(({ energy, maxAmplitude, nonFinite }) => {
+        peakEnergy = Math.max(peakEnergy, Number.isFinite(energy) ? energy : 0)
+        energyPanel.update(energy, peakEnergy)
+        amplitudePanel.update(maxAmplitude, simulation.maxAmplitude)
+        nonFinitePanel.update(nonFinite, 1)
+    })
+}
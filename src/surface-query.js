@@ -0,0 +1,141 @@
+// Height and normal of the water at a world (x, z), through the transform of the water mesh, read back asynchronously from the heightmap
+
+import * as THREE from "three"
+
+/**
+ * Heights and normals of the water in world units
+ *
+ * Usage:
+ * const query = new SurfaceQuery(simulation, waterMesh)
+ * // in updateScene, the answer arrives a frame or two later
+ * query.queryPoints([player.position]).then((samples) => { if (samples !== null) player.position.y = samples[0].position.y })
+ */
+export class SurfaceQuery {
+    /**
+     * @param {RippleSimulation} simulation the simulation to read from
+     * @param {THREE.Mesh} waterMesh the mesh displaying the simulation, i.e. a PlaneGeometry of geomWidth x geomHeight displaced along its z axis
+     * by the heightmap, like the water meshes of the demos (rotated to lie flat, moved up in index4.js...)
+     * @param {GerstnerWaves} swell optional swell from ocean-waves.js displacing the same mesh, added to the ripples
+     */
+    constructor(simulation, waterMesh, swell = null) {
+        this.simulation = simulation
+        this.waterMesh = waterMesh
+        this.swell = swell
+    }
+
+    /**
+     * @param {number} x position in the coordinates of RippleSimulation.disturb
+     * @param {number} y position in the coordinates of RippleSimulation.disturb
+     * @returns {{height: number, slopeX: number, slopeY: number}} the swell at the position, flat without one
+     */
+    swellAt(x, y) {
+        return this.swell !== null ? this.swell.sample(x, y) : { height: 0, slopeX: 0, slopeY: 0 }
+    }
+
+    /**
+     * @returns {THREE.Matrix4} the up to date matrix from the water mesh to the world
+     */
+    toWorldMatrix() {
+        this.waterMesh.updateWorldMatrix(true, false)
+        return this.waterMesh.matrixWorld
+    }
+
+    /**
+     * Projects a world position onto the water at rest
+     * @param {THREE.Vector3} position position in world units, only its position across the water matters
+     * @returns {THREE.Vector2} the position in the coordinates of RippleSimulation.disturb
+     */
+    toSimulation(position) {
+        const local = position.clone().applyMatrix4(this.toWorldMatrix().clone().invert())
+        // the y of RippleSimulation.disturb goes the opposite way of the mesh's y
+        return new THREE.Vector2(local.x, -local.y)
+    }
+
+    /**
+     * Reads the water under some points back without stalling the pipeline
+     * @param {Array<THREE.Vector3>} positions positions in world units
+     * @returns {Promise<Array<{position: THREE.Vector3, normal: THREE.Vector3}>>} for each point the point of the water surface straight
+     * above/below it and the normal of the surface there, in world units, null if the readback failed
+     */
+    queryPoints(positions) {
+        const toWorld = this.toWorldMatrix().clone()
+        const points = positions.map((position) => this.toSimulation(position))
+        return this.simulation.sampleSurfaceAsync(points).then((samples) => {
+            if (samples === null) return null
+            return samples.map(({ height, slopeX, slopeY }, i) => {
+                // the swell as it is when the answer arrives, it doesn't need a readback
+                const swell = this.swellAt(points[i].x, points[i].y)
+                return {
+                    position: new THREE.Vector3(points[i].x, -points[i].y, height + swell.height).applyMatrix4(toWorld),
+                    normal: new THREE.Vector3(-slopeX - swell.slopeX, slopeY + swell.slopeY, 1).transformDirection(toWorld),
+                }
+            })
+        })
+    }
+
+    /**
+     * Reads a rectangle of the water back without stalling the pipeline, one sample per simulation cell
+     * @param {THREE.Vector3} corner one corner of the rectangle in world units
+     * @param {THREE.Vector3} oppositeCorner the opposite corner in world units
+     * @returns {Promise<{width: number, height: number, positions: Float32Array, normals: Float32Array}>} the number of cells across the rectangle,
+     * and the xyz world position and normal of the surface for every cell row by row, null if the readback failed or the rectangle misses the water
+     */
+    queryRegion(corner, oppositeCorner) {
+        const { fboWidth, fboHeight, geomWidth, geomHeight } = this.simulation
+        const toWorld = this.toWorldMatrix().clone()
+        const cellOf = (position) => {
+            const point = this.toSimulation(position)
+            return new THREE.Vector2(
+                Math.floor((point.x / geomWidth + 0.5) * fboWidth),
+                Math.floor((-point.y / geomHeight + 0.5) * fboHeight)
+            )
+        }
+        const a = cellOf(corner)
+        const b = cellOf(oppositeCorner)
+        const min = a.clone().min(b).max(new THREE.Vector2(0, 0))
+        const max = a.clone().max(b).min(new THREE.Vector2(fboWidth - 1, fboHeight - 1))
+        if (min.x > max.x || min.y > max.y) {
+            return Promise.resolve(null)
+        }
+
+        // read one more cell all around for the normals, where the grid allows it
+        const readMin = min.clone().subScalar(1).max(new THREE.Vector2(0, 0))
+        const readMax = max.clone().addScalar(1).min(new THREE.Vector2(fboWidth - 1, fboHeight - 1))
+        const readWidth = readMax.x - readMin.x + 1
+        const readHeight = readMax.y - readMin.y + 1
+        return this.simulation.readHeightsAsync(readMin.x, readMin.y, readWidth, readHeight).then((heights) => {
+            if (heights === null) return null
+
+            const width = max.x - min.x + 1
+            const height = max.y - min.y + 1
+            const positions = new Float32Array(width * height * 3)
+            const normals = new Float32Array(width * height * 3)
+            const spacingX = geomWidth / fboWidth
+            const spacingY = geomHeight / fboHeight
+            const heightAt = (i, j) => {
+                const column = Math.min(Math.max(i - readMin.x, 0), readWidth - 1)
+                const row = Math.min(Math.max(j - readMin.y, 0), readHeight - 1)
+                return heights[row * readWidth + column]
+            }
+            const vector = new THREE.Vector3()
+            for (let j = min.y; j <= max.y; j++) {
+                for (let i = min.x; i <= max.x; i++) {
+                    const n = ((j - min.y) * width + (i - min.x)) * 3
+                    // cell center on the mesh, like the vertices of the water geometry
+                    const x = ((i + 0.5) / fboWidth - 0.5) * geomWidth
+                    const y = ((j + 0.5) / fboHeight - 0.5) * geomHeight
+                    const swell = this.swellAt(x, -y)
+                    vector.set(x, y, heightAt(i, j) + swell.height)
+                    vector.applyMatrix4(toWorld).toArray(positions, n)
+                    vector.set(
+                        -(heightAt(i + 1, j) - heightAt(i - 1, j)) / (2 * spacingX) - swell.slopeX,
+                        -(heightAt(i, j + 1) - heightAt(i, j - 1)) / (2 * spacingY) + swell.slopeY,
+                        1
+                    )
+                    vector.transformDirection(toWorld).toArray(normals, n)
+                }
+            }
+            return { width, height, positions, normals }
+        })
+    }
+}
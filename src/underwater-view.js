@@ -0,0 +1,222 @@
+// Camera under the water of a box shaped pool: the underside of the waves with Snell's window, and the fog of the water in between
+// positions are in world units, the water spanning the top of the box like in pool-caustics.js
+
+import * as THREE from "three"
+
+import WaterAbsorption from "./shaders/waterAbsorption.glsl"
+import WaterUndersideVertex from "./shaders/waterUndersideVertex.glsl"
+import WaterUndersideFragment from "./shaders/waterUndersideFragment.glsl"
+
+/**
+ * Underside of the water and absorption by the water of a pool, switching the top of the water off while the camera is under it
+ * from below the surface outside of the pool, looking up through its glass, the top of the water stays and the underside is off
+ *
+ * Usage:
+ * const view = new UnderwaterView(waterMesh, { box: new THREE.Box3(min, max), waterLevel: 230, light: sun })
+ * scene.add(view.mesh)
+ * view.patchMaterial(poolMaterial)
+ * view.onChange((underwater) => console.log(underwater ? "diving" : "surfacing"))
+ * // in updateScene, after simulation.update(interval)
+ * view.update(camera, simulation)
+ */
+export class UnderwaterView {
+    /**
+     * @param {THREE.Mesh} waterMesh the mesh of the top of the water, a PlaneGeometry of geomWidth x geomHeight displaced along its z axis by the heightmap
+     * like the water meshes of the demos, the underside follows its transform and geometry,
+     * its material should be THREE.DoubleSide for the water to show from below through the side of the pool
+     * @param {object} options
+     * @param {THREE.Box3} options.box inside of the pool in world units, the water spans its top from side to side
+     * @param {number} options.waterLevel height of the water at rest in world units
+     * @param {THREE.DirectionalLight} options.light the sun seen through Snell's window, read again by every update()
+     * @param {THREE.Vector3} options.absorption share of the light lost per world unit of water for r, g and b, red going first
+     * @param {THREE.Color} options.fogColor color of the water far away
+     * @param {THREE.Color} options.skyColor color of the sky straight up
+     * @param {THREE.Color} options.horizonColor color of the sky at the horizon
+     */
+    constructor(waterMesh, {
+        box,
+        waterLevel,
+        light,
+        absorption = new THREE.Vector3(0.003, 0.001, 0.0006),
+        fogColor = new THREE.Color(0x0e5a70),
+        skyColor = new THREE.Color(0x2f6fd8),
+        horizonColor = new THREE.Color(0xd4e8f5),
+    }) {
+        this.waterMesh = waterMesh
+        this.light = light
+        this.box = box.clone()
+        this.waterLevel = waterLevel
+        // whether the camera was under the water at the last update()
+        this.underwater = false
+        // callbacks told about the camera crossing the surface, see onChange()
+        this.changeCallbacks = []
+
+        // shared with the patched materials, changing them needs no recompile
+        this.uniforms = {
+            waterMin: { value: new THREE.Vector3() },
+            waterMax: { value: new THREE.Vector3() },
+            waterAbsorption: { value: absorption.clone() },
+            waterFogColor: { value: fogColor.clone() },
+        }
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                ...this.uniforms,
+                heightmap: { value: null },
+                heightmapAlpha: { value: 1.0 },
+                skyColor: { value: skyColor.clone() },
+                horizonColor: { value: horizonColor.clone() },
+                sunDirection: { value: new THREE.Vector3() },
+                sunColor: { value: new THREE.Color() },
+            },
+            vertexShader: WaterUndersideVertex,
+            fragmentShader: WaterAbsorption + WaterUndersideFragment,
+            // only seen from below, the top of the water is drawn by the water mesh
+            side: THREE.BackSide,
+        })
+        this.mesh = new THREE.Mesh(waterMesh.geometry, this.material)
+        this.mesh.matrixAutoUpdate = false
+        this.mesh.visible = false
+        // displaced by the heightmap, the bounding box of the flat geometry doesn't hold it
+        this.mesh.frustumCulled = false
+        this.updateVolume()
+    }
+
+    /**
+     * @param {THREE.Box3} box new inside of the pool in world units
+     */
+    setBox(box) {
+        this.box.copy(box)
+        this.updateVolume()
+    }
+
+    /**
+     * @param {number} level new height of the water at rest in world units, moving the water mesh is up to the caller
+     */
+    setWaterLevel(level) {
+        this.waterLevel = level
+        this.updateVolume()
+    }
+
+    /**
+     * @param {THREE.Vector3} absorption share of the light lost per world unit of water for r, g and b
+     */
+    setAbsorption(absorption) {
+        this.uniforms.waterAbsorption.value.copy(absorption)
+    }
+
+    /**
+     * Registers a callback told whenever the camera goes under the water or comes back out, see update()
+     * @param {function} callback takes true when the camera is now under the water, false when it is above
+     */
+    onChange(callback) {
+        this.changeCallbacks.push(callback)
+    }
+
+    /**
+     * @param {function} callback a callback registered with onChange()
+     */
+    offChange(callback) {
+        this.changeCallbacks = this.changeCallbacks.filter((c) => c !== callback)
+    }
+
+    /**
+     * Recomputes the box of water at rest the light gets absorbed in
+     */
+    updateVolume() {
+        this.uniforms.waterMin.value.copy(this.box.min)
+        this.uniforms.waterMax.value.set(this.box.max.x, this.waterLevel, this.box.max.z)
+    }
+
+    /**
+     * Follows the waves, the water mesh and the sun, and switches between the views from above and from under the water
+     * when the camera crosses the surface inside the pool, call it every frame after the simulation update
+     * @param {THREE.Camera} camera the camera the scene is rendered with
+     * @param {RippleSimulation} simulation the simulation displayed by the water mesh
+     * @param {number} surfaceHeight height of the water right above or below the camera in world units, e.g. from a SurfaceQuery,
+     * the water at rest by default
+     */
+    update(camera, simulation, surfaceHeight = this.waterLevel) {
+        const { uniforms, defines } = this.material
+        uniforms.heightmap.value = simulation.getHeightTexture()
+        uniforms.heightmapAlpha.value = simulation.alpha
+        // the scene rebuilds the water mesh after RippleSimulation.setResolution, the underside picks the new one up
+        this.mesh.geometry = this.waterMesh.geometry
+        const sizes = {
+            FBO_WIDTH: simulation.fboWidth.toFixed(1),
+            FBO_HEIGHT: simulation.fboHeight.toFixed(1),
+            GEOM_WIDTH: simulation.geomWidth.toFixed(1),
+            GEOM_HEIGHT: simulation.geomHeight.toFixed(1),
+        }
+        if (Object.keys(sizes).some((name) => defines[name] !== sizes[name])) {
+            Object.assign(defines, sizes)
+            this.material.needsUpdate = true
+        }
+        this.waterMesh.updateWorldMatrix(true, false)
+        // the mesh sits right in the scene, its matrix is its world matrix
+        this.mesh.matrix.copy(this.waterMesh.matrixWorld)
+        this.mesh.matrixWorldNeedsUpdate = true
+
+        this.light.updateMatrixWorld()
+        this.light.target.updateMatrixWorld()
+        uniforms.sunDirection.value.setFromMatrixPosition(this.light.matrixWorld)
+            .sub(new THREE.Vector3().setFromMatrixPosition(this.light.target.matrixWorld))
+            .normalize()
+        uniforms.sunColor.value.copy(this.light.color).multiplyScalar(this.light.intensity)
+
+        const position = camera.getWorldPosition(new THREE.Vector3())
+        const { min, max } = this.box
+        const underwater = position.x > min.x && position.x < max.x && position.z > min.z && position.z < max.z
+            && position.y > min.y && position.y < surfaceHeight
+        if (underwater !== this.underwater) {
+            this.underwater = underwater
+            // the top of the water cannot be seen from under it, hiding it also spares the transmission pass of a MeshPhysicalMaterial
+            this.waterMesh.visible = !underwater
+            // outside of the pool the top of the water is seen from below through the glass, both would overlap
+            this.mesh.visible = underwater
+            this.changeCallbacks.forEach((callback) => callback(underwater))
+        }
+    }
+
+    /**
+     * Makes a material (a MeshPhongMaterial or MeshStandardMaterial, e.g. of the floor or walls of the pool) absorb and fog
+     * its light over the water between it and the camera, from above the water as well as from under it
+     * @param {THREE.Material} material the material, its current onBeforeCompile (e.g. from PoolCaustics.patchMaterial) still runs first
+     */
+    patchMaterial(material) {
+        const onBeforeCompile = material.onBeforeCompile
+        material.onBeforeCompile = (shader, renderer) => {
+            onBeforeCompile(shader, renderer)
+            Object.assign(shader.uniforms, this.uniforms)
+            shader.vertexShader = shader.vertexShader.replace('#include <common>', `
+                varying vec3 waterWorldPosition;
+
+                #include <common>
+            `)
+            shader.vertexShader = shader.vertexShader.replace('#include <project_vertex>', `
+                waterWorldPosition = ( modelMatrix * vec4( transformed, 1.0 ) ).xyz;
+
+                #include <project_vertex>
+            `)
+            shader.fragmentShader = shader.fragmentShader.replace('#include <common>', `
+                varying vec3 waterWorldPosition;
+
+                #include <common>
+                ${WaterAbsorption}
+            `)
+            shader.fragmentShader = shader.fragmentShader.replace('#include <opaque_fragment>', `
+                outgoingLight = applyWaterAbsorption( outgoingLight, cameraPosition, waterWorldPosition );
+
+                #include <opaque_fragment>
+            `)
+        }
+        material.needsUpdate = true
+    }
+
+    /**
+     * Frees the gpu resources of the underside, the geometry belongs to the water mesh
+     */
+    dispose() {
+        this.material.dispose()
+    }
+}
@@ -0,0 +1,168 @@
+// Checks of the buoyancy helper floating objects on a hand-built heightmap of the cpu reference solver
+
+import assert from "node:assert/strict"
+import { test } from "node:test"
+
+import * as THREE from "three"
+
+import { Buoyancy } from "../src/buoyancy.js"
+import { CpuRippleSolver } from "../src/cpu-ripple-solver.js"
+
+const TIMESTEP = 1 / 60
+// the water rises by SLOPE per system unit towards +x
+const SLOPE = 0.1
+
+/**
+ * @returns {object} the parts of a RippleSimulation the buoyancy uses, over a 16x16 solver holding a tilted plane of water,
+ * with the strokes it was given and a step() running its onBeforeStep() callbacks
+ */
+const createSimulation = () => {
+    const solver = new CpuRippleSolver({
+        fboWidth: 16,
+        fboHeight: 16,
+        geomWidth: 32,
+        geomHeight: 32,
+        fillTexture: ({ image: { data, width, height } }) => {
+            for (let n = 0; n < width * height; n++) {
+                const x = ((n % width + 0.5) / width - 0.5) * 32
+                data[n * 4] = SLOPE * x
+                data[n * 4 + 1] = SLOPE * x
+            }
+        },
+    })
+    let callbacks = []
+    const simulation = {
+        strokes: [],
+        onBeforeStep: (callback) => {
+            callbacks.push(callback)
+            return () => { callbacks = callbacks.filter((c) => c !== callback) }
+        },
+        step: () => callbacks.forEach((callback) => callback(0, TIMESTEP)),
+        sampleSurfaceAsync: (points) => Promise.resolve(solver.sampleSurface(points)),
+        addStroke: (...stroke) => simulation.strokes.push(stroke),
+    }
+    return simulation
+}
+
+/**
+ * @returns {THREE.Object3D} a water mesh lying flat like the ones of the demos, the simulation's (x, y) being the world's (x, z)
+ */
+const createWaterMesh = () => {
+    const waterMesh = new THREE.Object3D()
+    waterMesh.rotation.x = -Math.PI / 2
+    return waterMesh
+}
+
+const assertClose = (actual, expected) => {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} != ${expected}`)
+}
+
+/**
+ * @returns {Promise} resolves once the pending readbacks have been answered
+ */
+const settle = () => new Promise((resolve) => setImmediate(resolve))
+
+/**
+ * @param {object} options options of the body, see Buoyancy.add
+ * @param {number} interval duration of the frame the body moves in
+ * @returns {THREE.Object3D} an object at (4, 3, -6) after a frame of following the water
+ */
+const floatFor = async (options, interval = TIMESTEP) => {
+    const buoyancy = new Buoyancy(createSimulation(), createWaterMesh())
+    const object = new THREE.Object3D()
+    object.position.set(4, 3, -6)
+    buoyancy.add(object, options)
+    buoyancy.update(interval)
+    await settle()
+    buoyancy.update(interval)
+    return object
+}
+
+test("an object sits its draft below the surface and keeps its place across the water", async () => {
+    const object = await floatFor({ draft: 0.5, tilt: 0, response: 1 })
+    assertClose(object.position.y, SLOPE * 4 - 0.5)
+    assert.equal(object.position.x, 4)
+    assert.equal(object.position.z, -6)
+    // upright without tilt
+    assert.ok(object.quaternion.angleTo(new THREE.Quaternion()) < 1e-6)
+})
+
+test("the tilt turns the object towards the normal of the water", async () => {
+    const normal = new THREE.Vector3(-SLOPE, 1, 0).normalize()
+    const up = (object) => new THREE.Vector3(0, 1, 0).applyQuaternion(object.quaternion)
+
+    const full = await floatFor({ tilt: 1, response: 1 })
+    assert.ok(up(full).distanceTo(normal) < 1e-6, `up ${up(full).toArray()}`)
+
+    const half = await floatFor({ tilt: 0.5, response: 1 })
+    const halfway = new THREE.Vector3(0, 1, 0).lerp(normal, 0.5).normalize()
+    assert.ok(up(half).distanceTo(halfway) < 1e-6, `up ${up(half).toArray()}`)
+})
+
+test("the response is the share of the way caught up per 1/60 second, whatever the frame rate", async () => {
+    const surface = SLOPE * 4
+    const distance = (object) => (object.position.y - surface) / (3 - surface)
+
+    const oneFrame = await floatFor({ tilt: 0, response: 0.5 }, 1 / 60)
+    assertClose(distance(oneFrame), 0.5)
+
+    // a frame twice as long catches up as much as two frames
+    const longFrame = await floatFor({ tilt: 0, response: 0.5 }, 1 / 30)
+    assertClose(distance(longFrame), 0.25)
+})
+
+test("the wake is added by the simulation steps, along the way moved since the last one", async () => {
+    const simulation = createSimulation()
+    const buoyancy = new Buoyancy(simulation, createWaterMesh())
+    const object = new THREE.Object3D()
+    buoyancy.add(object, { wakeRadius: 3, wakeStrength: 0.2 })
+    simulation.step()
+
+    // several frames between two steps make one stroke, the frames don't add any
+    for (let frame = 1; frame <= 4; frame++) {
+        object.position.x = frame * 0.5
+        object.position.z = -frame * 0.25
+        buoyancy.update(TIMESTEP / 4)
+    }
+    await settle()
+    assert.deepEqual(simulation.strokes, [])
+    simulation.step()
+    assert.equal(simulation.strokes.length, 1)
+    const [x, y, endX, endY, interval, options] = simulation.strokes[0]
+    assertClose(x, 0)
+    assertClose(y, 0)
+    assertClose(endX, 2)
+    // the simulation's y being the world's z
+    assertClose(endY, -1)
+    assertClose(interval, TIMESTEP)
+    assert.deepEqual(options, { radius: 3, strength: 0.2, sign: -1 })
+
+    // standing still adds no wake, the next one spans the time since the last one
+    simulation.step()
+    assert.equal(simulation.strokes.length, 1)
+    object.position.x = 3
+    simulation.step()
+    assert.equal(simulation.strokes.length, 2)
+    assertClose(simulation.strokes[1][0], 2)
+    assertClose(simulation.strokes[1][2], 3)
+    assertClose(simulation.strokes[1][4], 2 * TIMESTEP)
+})
+
+test("a disposed helper leaves the simulation steps alone", async () => {
+    const simulation = createSimulation()
+    const buoyancy = new Buoyancy(simulation, createWaterMesh())
+    const object = new THREE.Object3D()
+    buoyancy.add(object)
+    simulation.step()
+    object.position.x = 2
+    buoyancy.update(TIMESTEP)
+    await settle()
+
+    buoyancy.dispose()
+    simulation.step()
+    assert.deepEqual(simulation.strokes, [])
+    // and the objects no longer follow the water
+    object.position.y = 5
+    buoyancy.update(TIMESTEP)
+    assert.equal(object.position.y, 5)
+})
@@ -0,0 +1,100 @@
+// Checks of the resampling of the heightmap and the per cell maps, what RippleSimulation.setResolution relies on
+
+import assert from "node:assert/strict"
+import { test } from "node:test"
+
+import { resampleMap, resampleMask } from "../src/cell-map.js"
+
+const assertClose = (actual, expected, message) => {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} != ${expected}`)
+}
+
+/**
+ * @param {number} width width of the map in cells
+ * @param {number} height height of the map in cells
+ * @param {function} value takes the position of a cell center across the water ([0..1] both ways), returns its value
+ * @returns {Float32Array} the map
+ */
+const createMap = (width, height, value) => Float32Array.from(
+    { length: width * height },
+    (_, n) => value((n % width + 0.5) / width, (Math.floor(n / width) + 0.5) / height)
+)
+
+test("resampling up interpolates between the cell centers and holds the edge cells out to the edges", () => {
+    const map = Float32Array.of(
+        0, 1,
+        2, 3,
+    )
+    const resampled = resampleMap(map, 2, 2, 4, 4)
+    const expected = [
+        0, 0.25, 0.75, 1,
+        0.5, 0.75, 1.25, 1.5,
+        1.5, 1.75, 2.25, 2.5,
+        2, 2.25, 2.75, 3,
+    ]
+    assert.ok(resampled instanceof Float32Array)
+    expected.forEach((value, n) => assertClose(resampled[n], value, `cell ${n}`))
+})
+
+test("resampling keeps a smooth map in place across the water, up and down", () => {
+    // e.g. a wave speed map slowing down towards the shore
+    const slope = (u, v) => 0.2 + 0.5 * u + 0.25 * v
+    const map = createMap(16, 8, slope)
+
+    const down = resampleMap(map, 16, 8, 8, 4)
+    createMap(8, 4, slope).forEach((value, n) => assertClose(down[n], value, `cell ${n} of the coarser map`))
+
+    // on a finer grid the cells past the outer source centers hold the edge values, the others follow the slope
+    const up = resampleMap(map, 16, 8, 32, 16)
+    const expected = createMap(32, 16, slope)
+    for (let j = 1; j < 15; j++) {
+        for (let i = 1; i < 31; i++) {
+            assertClose(up[j * 32 + i], expected[j * 32 + i], `cell (${i}, ${j}) of the finer map`)
+        }
+    }
+
+    // the same size gives the same map back
+    assert.deepEqual(resampleMap(map, 16, 8, 16, 8), map)
+})
+
+test("a heightmap resamples each of its channels on its own", () => {
+    const channels = [(u) => u, (u, v) => v, () => 0.5, (u, v) => u - v]
+    const heightmap = new Float32Array(8 * 8 * 4)
+    channels.forEach((value, c) => createMap(8, 8, value).forEach((cell, n) => { heightmap[n * 4 + c] = cell }))
+
+    const resampled = resampleMap(heightmap, 8, 8, 4, 4, 4)
+    assert.equal(resampled.length, 4 * 4 * 4)
+    channels.forEach((value, c) => {
+        createMap(4, 4, value).forEach((cell, n) => assertClose(resampled[n * 4 + c], cell, `channel ${c} of cell ${n}`))
+    })
+})
+
+test("an obstacle mask stays 0 and 1 when resampled, keeping the cells at least half covered", () => {
+    // a 2 cells thick wall along the column 4 and 5, and a lone rock on the cell (1, 1)
+    const mask = new Uint8Array(8 * 8)
+    for (let j = 0; j < 8; j++) {
+        mask[j * 8 + 4] = 1
+        mask[j * 8 + 5] = 1
+    }
+    mask[8 + 1] = 1
+
+    const down = resampleMask(mask, 8, 8, 4, 4)
+    assert.ok(down instanceof Uint8Array)
+    // the wall survives, the rock is too small for the coarser cells
+    assert.deepEqual(Array.from(down), [
+        0, 0, 1, 0,
+        0, 0, 1, 0,
+        0, 0, 1, 0,
+        0, 0, 1, 0,
+    ])
+
+    const up = resampleMask(mask, 8, 8, 16, 16)
+    assert.ok(up.every((value) => value === 0 || value === 1))
+    for (let j = 0; j < 16; j++) {
+        for (let i = 0; i < 16; i++) {
+            const wall = i >= 8 && i <= 11
+            const rock = i >= 2 && i <= 3 && j >= 2 && j <= 3
+            assert.equal(up[j * 16 + i], wall || rock ? 1 : 0, `cell (${i}, ${j})`)
+        }
+    }
+})
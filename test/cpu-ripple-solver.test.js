@@ -0,0 +1,612 @@
+// Checks of the cpu reference solver against the formulas it ports, they run headless with `npm test`
+
+import assert from "node:assert/strict"
+import { test } from "node:test"
+
+import { CpuRippleSolver } from "../src/cpu-ripple-solver.js"
+import { calmFactor, interpolationAlpha, MAX_IMPULSES, MAX_PENDING_IMPULSES, STAMP_SIZE, STROKE_STRENGTH_RANGE } from "../src/simulation-constants.js"
+
+const WIDTH = 8
+const HEIGHT = 8
+
+/**
+ * @param {object} options options of the solver on top of an 8x8 grid of 8x8 system units, one unit per cell
+ * @returns {CpuRippleSolver} a solver with its height and previous height filled with a fixed pattern
+ */
+const createSolver = (options = {}) => new CpuRippleSolver({
+    fboWidth: WIDTH,
+    fboHeight: HEIGHT,
+    geomWidth: WIDTH,
+    geomHeight: HEIGHT,
+    fillTexture: ({ image: { data } }) => {
+        for (let n = 0; n < WIDTH * HEIGHT; n++) {
+            data[n * 4] = Math.sin(n * 1.7)
+            data[n * 4 + 1] = Math.cos(n * 0.9) * 0.5
+            data[n * 4 + 2] = n * 0.25
+            data[n * 4 + 3] = -n * 0.125
+        }
+    },
+    ...options,
+})
+
+/**
+ * @param {Float32Array} data RGBA data of the solver
+ * @param {number} i column of the cell, clamped to the edges
+ * @param {number} j row of the cell, clamped to the edges
+ * @param {number} c channel
+ * @returns the value of the channel of the cell
+ */
+const texel = (data, i, j, c) => {
+    i = Math.min(Math.max(i, 0), WIDTH - 1)
+    j = Math.min(Math.max(j, 0), HEIGHT - 1)
+    return data[(j * WIDTH + i) * 4 + c]
+}
+
+const assertClose = (actual, expected, message) => {
+    assert.ok(Math.abs(actual - expected) < 1e-5, `${message}: ${actual} != ${expected}`)
+}
+
+test("a ripple step is Hugo Elias' update plus the cosine bump of the impulse, the edges clamped like the gpu texture", () => {
+    const viscosity = 0.98
+    const mouseSize = 2.5
+    const waveHeight = 0.3
+    const solver = createSolver({ viscosity, mouseSize, waveHeight })
+    const before = Float32Array.from(solver.getHeightData())
+    // centered on the cell (4, 4), whose center is at (0.5, 0.5) in system units, y going the other way in disturb()
+    solver.disturb(0.5, -0.5)
+    solver.step()
+    const after = solver.getHeightData()
+
+    for (let j = 0; j < HEIGHT; j++) {
+        for (let i = 0; i < WIDTH; i++) {
+            // past the edges the shader reads the border cell again (ClampToEdgeWrapping)
+            const neighbours = texel(before, i + 1, j, 0) + texel(before, i - 1, j, 0) + texel(before, i, j + 1, 0) + texel(before, i, j - 1, 0)
+            const distance = Math.hypot(i - 4, j - 4) / mouseSize
+            const bump = waveHeight * (Math.cos(Math.min(distance, 1) * Math.PI) + 1)
+            const expected = (neighbours / 2 - texel(before, i, j, 1)) * viscosity + bump
+            assertClose(texel(after, i, j, 0), expected, `height of (${i}, ${j})`)
+            assertClose(texel(after, i, j, 1), texel(before, i, j, 0), `previous height of (${i}, ${j})`)
+        }
+    }
+})
+
+test("an impulse follows the conventions of the shader: cell centers, y flipped, 2 * waveHeight at its center", () => {
+    const waveHeight = 0.25
+    const solver = createSolver({ mouseSize: 1.5, waveHeight, fillTexture: () => { } })
+    // x == 0.5 is the center of column 4, y == 2.5 is the center of row 1 as the y of disturb() goes towards v = 0
+    solver.disturb(0.5, 2.5)
+    solver.step()
+
+    assert.equal(solver.getHeight(4, 1), 2 * waveHeight)
+    // the bump is gone one mouseSize away from its center
+    assert.equal(solver.getHeight(4, 3), 0)
+    assert.equal(solver.getHeight(6, 1), 0)
+    assert.equal(solver.getHeight(4, 6), 0)
+    assert.ok(solver.getHeight(5, 1) > 0 && solver.getHeight(5, 1) < 2 * waveHeight)
+    // the rest of the water was flat and still, it stays so
+    assert.equal(solver.getHeight(0, 7), 0)
+})
+
+test("a box smoothing pass averages every channel with its 4 neighbours, clamped to the edges", () => {
+    const solver = createSolver()
+    let expected = Float32Array.from(solver.getHeightData())
+    // smooth(1) is two passes
+    for (let pass = 0; pass < 2; pass++) {
+        const blurred = new Float32Array(expected.length)
+        for (let j = 0; j < HEIGHT; j++) {
+            for (let i = 0; i < WIDTH; i++) {
+                for (let c = 0; c < 4; c++) {
+                    blurred[(j * WIDTH + i) * 4 + c] = (texel(expected, i, j, c) + texel(expected, i + 1, j, c) + texel(expected, i - 1, j, c)
+                        + texel(expected, i, j + 1, c) + texel(expected, i, j - 1, c)) / 5
+                }
+            }
+        }
+        expected = blurred
+    }
+
+    solver.smooth(1)
+    const actual = solver.getHeightData()
+    assert.ok(actual instanceof Float32Array)
+    expected.forEach((value, n) => assertClose(actual[n], value, `channel ${n % 4} of cell ${Math.floor(n / 4)}`))
+})
+
+/**
+ * One smoothing pass computed from its formula, the edges clamped
+ * @param {Float32Array} data RGBA data before the pass
+ * @param {string} kernel "box" or "gaussian"
+ * @param {number} strength [0..1] how much of the blurred value replaces the current one
+ * @param {function} weight takes a column and a row, returns how much the pass applies to the cell
+ * @returns {Float32Array} the data after the pass
+ */
+const smoothPass = (data, kernel, strength, weight = () => 1) => {
+    const result = new Float32Array(data.length)
+    for (let j = 0; j < HEIGHT; j++) {
+        for (let i = 0; i < WIDTH; i++) {
+            for (let c = 0; c < 4; c++) {
+                const at = (di, dj) => texel(data, i + di, j + dj, c)
+                const cross = at(1, 0) + at(-1, 0) + at(0, 1) + at(0, -1)
+                const blurred = kernel === "gaussian"
+                    ? (4 * at(0, 0) + 2 * cross + at(1, 1) + at(-1, -1) + at(1, -1) + at(-1, 1)) / 16
+                    : (at(0, 0) + cross) / 5
+                result[(j * WIDTH + i) * 4 + c] = at(0, 0) + (blurred - at(0, 0)) * strength * weight(i, j)
+            }
+        }
+    }
+    return result
+}
+
+test("a gaussian smoothing pass weighs the 3x3 cells 4-2-1 and the strength blends it with the water", () => {
+    for (const strength of [1, 0.5]) {
+        const solver = createSolver()
+        let expected = Float32Array.from(solver.getHeightData())
+        expected = smoothPass(smoothPass(expected, "gaussian", strength), "gaussian", strength)
+
+        solver.smooth(1, { kernel: "gaussian", strength })
+        const actual = solver.getHeightData()
+        expected.forEach((value, n) => assertClose(actual[n], value, `channel ${n % 4} of cell ${Math.floor(n / 4)} at strength ${strength}`))
+    }
+})
+
+test("smoothing only applies inside its region, a circle with a soft edge or a weight per cell", () => {
+    // a circle of radius 2.5 around the cell (4, 4), the cells closer than 0.8 radius get the full pass
+    const circle = createSolver()
+    const before = Float32Array.from(circle.getHeightData())
+    circle.smooth(1, { region: { x: 0.5, y: -0.5, radius: 2.5 } })
+    const after = circle.getHeightData()
+    for (let j = 0; j < HEIGHT; j++) {
+        for (let i = 0; i < WIDTH; i++) {
+            if (Math.hypot(i - 4, j - 4) >= 2.5) {
+                for (let c = 0; c < 4; c++) {
+                    assert.equal(texel(after, i, j, c), texel(before, i, j, c), `channel ${c} of (${i}, ${j})`)
+                }
+            }
+        }
+    }
+    const blurred = smoothPass(smoothPass(before, "box", 1), "box", 1)
+    assertClose(circle.getHeight(4, 4), texel(blurred, 4, 4, 0), "height of the center")
+    assert.notEqual(circle.getHeight(4, 4), texel(before, 4, 4, 0))
+
+    // a map smoothing the left half fully and the right half by a quarter, stored in 8 bits like the gpu mask
+    const region = Float32Array.from({ length: WIDTH * HEIGHT }, (_, n) => n % WIDTH < WIDTH / 2 ? 1 : 0.25)
+    const weight = (i) => i < WIDTH / 2 ? 1 : Math.round(0.25 * 255) / 255
+    const mapped = createSolver()
+    const expected = smoothPass(smoothPass(mapped.getHeightData(), "gaussian", 1, weight), "gaussian", 1, weight)
+    mapped.smooth(1, { kernel: "gaussian", region })
+    const actual = mapped.getHeightData()
+    expected.forEach((value, n) => assertClose(actual[n], value, `channel ${n % 4} of cell ${Math.floor(n / 4)}`))
+})
+
+test("calming scales the water down along a smoothstep curve until it is still, only inside its region", () => {
+    const steps = 8
+    const region = Float32Array.from({ length: WIDTH * HEIGHT }, (_, n) => n < WIDTH * HEIGHT / 2 ? 1 : 0)
+    const solver = createSolver()
+    const before = Float32Array.from(solver.getHeightData())
+
+    for (let step = 1; step <= steps; step++) {
+        solver.scaleState(calmFactor(step, steps), region)
+        const t = step / steps
+        const remaining = 1 - t * t * (3 - 2 * t)
+        const after = solver.getHeightData()
+        for (let n = 0; n < WIDTH * HEIGHT * 4; n++) {
+            const expected = n < WIDTH * HEIGHT * 2 ? before[n] * remaining : before[n]
+            assertClose(after[n], expected, `channel ${n % 4} of cell ${Math.floor(n / 4)} after ${step} steps`)
+        }
+    }
+    // the first steps take less out than the middle ones
+    assert.ok(1 - calmFactor(1, steps) < 1 - calmFactor(4, steps))
+    assert.ok(solver.getHeightData().subarray(0, WIDTH * HEIGHT * 2).every((value) => value === 0))
+})
+
+test("an obstacle holds no water and reflects the waves, its neighbours reading their own height in its place", () => {
+    // a wall across the grid along column 5
+    const obstacleMask = new Uint8Array(WIDTH * HEIGHT)
+    for (let j = 0; j < HEIGHT; j++) {
+        obstacleMask[j * WIDTH + 5] = 1
+    }
+    const viscosity = 0.98
+    const solver = createSolver({ viscosity, obstacleMask })
+    const before = Float32Array.from(solver.getHeightData())
+    solver.step()
+
+    for (let j = 0; j < HEIGHT; j++) {
+        assert.equal(solver.getHeight(5, j), 0)
+        // the east neighbour of column 4 is the wall
+        const neighbours = texel(before, 4, j, 0) + texel(before, 3, j, 0) + texel(before, 4, j + 1, 0) + texel(before, 4, j - 1, 0)
+        assertClose(solver.getHeight(4, j), (neighbours / 2 - texel(before, 4, j, 1)) * viscosity, `height of (4, ${j})`)
+    }
+
+    // no wave gets through the wall
+    const pool = createSolver({ obstacleMask, mouseSize: 1.5, fillTexture: () => { } })
+    pool.disturb(-2.5, 0.5)
+    for (let n = 0; n < 20; n++) {
+        pool.step()
+    }
+    for (let j = 0; j < HEIGHT; j++) {
+        assert.equal(pool.getHeight(6, j), 0)
+        assert.equal(pool.getHeight(7, j), 0)
+    }
+    assert.ok(pool.getHeightData().some((value) => value !== 0))
+})
+
+test("a smoothing pass wraps around the grid when the boundary is periodic", () => {
+    const solver = createSolver({ boundary: "periodic" })
+    const wrapped = (data, i, j, c) => texel(data, (i + WIDTH) % WIDTH, (j + HEIGHT) % HEIGHT, c)
+    let expected = Float32Array.from(solver.getHeightData())
+    for (let pass = 0; pass < 2; pass++) {
+        const blurred = new Float32Array(expected.length)
+        for (let j = 0; j < HEIGHT; j++) {
+            for (let i = 0; i < WIDTH; i++) {
+                for (let c = 0; c < 4; c++) {
+                    blurred[(j * WIDTH + i) * 4 + c] = (wrapped(expected, i, j, c) + wrapped(expected, i + 1, j, c) + wrapped(expected, i - 1, j, c)
+                        + wrapped(expected, i, j + 1, c) + wrapped(expected, i, j - 1, c)) / 5
+                }
+            }
+        }
+        expected = blurred
+    }
+
+    solver.smooth(1)
+    const actual = solver.getHeightData()
+    expected.forEach((value, n) => assertClose(actual[n], value, `channel ${n % 4} of cell ${Math.floor(n / 4)}`))
+})
+
+test("the absorbing boundary damps the waves in a sponge layer along the edges and leaves the open water alone", () => {
+    const viscosity = 0.98
+    const spongeWidth = 2
+    const spongeStrength = 0.5
+    const solver = createSolver({ viscosity, boundary: "absorbing", spongeWidth, spongeStrength })
+    const before = Float32Array.from(solver.getHeightData())
+    solver.step()
+
+    const ripple = (i, j) => {
+        const neighbours = texel(before, i + 1, j, 0) + texel(before, i - 1, j, 0) + texel(before, i, j + 1, 0) + texel(before, i, j - 1, 0)
+        return (neighbours / 2 - texel(before, i, j, 1)) * viscosity
+    }
+    // the center of an edge cell is half a cell from the edge
+    const edgeSponge = 1 - spongeStrength * (1 - 0.5 / spongeWidth) ** 2
+    assertClose(solver.getHeight(0, 4), ripple(0, 4) * edgeSponge, "height of the edge cell")
+    assertClose(solver.getHeight(3, 3), ripple(3, 3), "height of an open water cell")
+})
+
+test("the waves leave one side of the grid and come back from the other when the boundary is periodic", () => {
+    const options = { mouseSize: 1.5, fillTexture: () => { } }
+    const periodic = createSolver({ ...options, boundary: "periodic" })
+    const reflective = createSolver({ ...options, boundary: "reflective" })
+    // on the cell (0, 4), the last column is 7 cells away
+    periodic.disturb(-3.5, -0.5)
+    reflective.disturb(-3.5, -0.5)
+    periodic.step()
+    reflective.step()
+    assert.equal(periodic.getHeight(7, 4), 0)
+
+    periodic.step()
+    reflective.step()
+    assert.ok(periodic.getHeight(7, 4) > 0)
+    assert.equal(reflective.getHeight(7, 4), 0)
+})
+
+test("at most MAX_IMPULSES impulses apply per step and the oldest are dropped past MAX_PENDING_IMPULSES", () => {
+    const solver = createSolver({ mouseSize: 0.5, waveHeight: 0.25, fillTexture: () => { } })
+    // one impulse too many on the cell (0, 0), then the rest on the cell (7, 7)
+    solver.disturb(-3.5, 3.5)
+    for (let n = 0; n < MAX_PENDING_IMPULSES; n++) {
+        solver.disturb(3.5, -3.5)
+    }
+    assert.equal(solver.impulses.length, MAX_PENDING_IMPULSES)
+
+    solver.step()
+    assert.equal(solver.getHeight(0, 0), 0)
+    assertClose(solver.getHeight(7, 7), MAX_IMPULSES * 0.5, "height under the impulses")
+    assert.equal(solver.impulses.length, MAX_PENDING_IMPULSES - MAX_IMPULSES)
+})
+
+test("substeps split a timestep: each step has a share of the wave speed and of the damping", () => {
+    const viscosity = 0.9
+    const substeps = 2
+    const solver = createSolver({ viscosity, substeps })
+    const before = Float32Array.from(solver.getHeightData())
+    solver.step()
+
+    for (let j = 0; j < HEIGHT; j++) {
+        for (let i = 0; i < WIDTH; i++) {
+            const laplacian = texel(before, i + 1, j, 0) + texel(before, i - 1, j, 0) + texel(before, i, j + 1, 0) + texel(before, i, j - 1, 0) - 4 * texel(before, i, j, 0)
+            // c^2 goes with the square of the share of the timestep
+            const expected = (2 * texel(before, i, j, 0) - texel(before, i, j, 1) + 0.5 / substeps ** 2 * laplacian) * viscosity ** (1 / substeps)
+            assertClose(solver.getHeight(i, j), expected, `height of (${i}, ${j})`)
+        }
+    }
+})
+
+test("the shallow water solver keeps a lake at rest over an uneven bottom and neither loses nor makes water", () => {
+    // deeper towards the right, with a dry island on the cells (2, 2) and (2, 3)
+    const bathymetry = Float32Array.from({ length: WIDTH * HEIGHT }, (_, n) => 0.5 + (n % WIDTH) * 0.1)
+    bathymetry[2 * WIDTH + 2] = 0
+    bathymetry[3 * WIDTH + 2] = 0
+    const options = { solver: "shallowWater", bathymetry, gravity: 10, viscosity: 1 }
+
+    const lake = createSolver({ ...options, fillTexture: () => { } })
+    for (let n = 0; n < 10; n++) {
+        lake.step()
+    }
+    assert.ok(lake.getHeightData().every((value) => value === 0))
+
+    // a mound of water in the middle sloshes around the pool
+    const mound = createSolver({ ...options, fillTexture: ({ image: { data } }) => { data[(4 * WIDTH + 5) * 4] = 0.2 } })
+    for (let n = 0; n < 30; n++) {
+        mound.step()
+    }
+    const heights = Array.from({ length: WIDTH * HEIGHT }, (_, n) => mound.getHeightData()[n * 4])
+    assertClose(heights.reduce((sum, value) => sum + value, 0), 0.2, "water in the pool")
+    assert.ok(heights[4 * WIDTH + 5] < 0.2)
+    assert.equal(mound.getHeight(2, 2), 0)
+    assert.equal(mound.getHeight(2, 3), 0)
+})
+
+test("shallow water flows down the slope of the surface and passes more of it on where it is deeper", () => {
+    // a step in the surface along the column 3, the water picks up speed through the faces next to it
+    const gravity = 10
+    const step = ({ image: { data } }) => {
+        for (let j = 0; j < HEIGHT; j++) {
+            data[(j * WIDTH + 3) * 4] = 0.1
+        }
+    }
+    const deep = createSolver({ solver: "shallowWater", depth: 2, gravity, viscosity: 1, fillTexture: step })
+    const shallow = createSolver({ solver: "shallowWater", depth: 0.5, gravity, viscosity: 1, fillTexture: step })
+    deep.step()
+    shallow.step()
+
+    // the east face of the column 3, in system units per second: the drop of 0.1 over a cell of 1 unit pulls the water for one timestep
+    assertClose(deep.getHeightData()[(4 * WIDTH + 3) * 4 + 2], gravity * (1 / 60) * 0.1, "velocity through the face")
+    // the flux carries depth * velocity, so the deeper water passes more of the mound on in the same time
+    assert.ok(deep.getHeight(4, 4) > shallow.getHeight(4, 4))
+    assertClose(deep.getHeight(4, 4) / shallow.getHeight(4, 4), 2.1 / 0.6, "ratio of the water passed on")
+})
+
+test("the wave speed map scales c^2 and the damping map adds to the viscosity, cell by cell", () => {
+    const viscosity = 0.98
+    const waveSpeedMap = Float32Array.from({ length: WIDTH * HEIGHT }, (_, n) => (n % 5) / 4)
+    const dampingMap = Float32Array.from({ length: WIDTH * HEIGHT }, (_, n) => (n % 3) / 2)
+    const solver = createSolver({ viscosity, waveSpeedMap, dampingMap })
+    const before = Float32Array.from(solver.getHeightData())
+    solver.step()
+
+    for (let j = 0; j < HEIGHT; j++) {
+        for (let i = 0; i < WIDTH; i++) {
+            const n = j * WIDTH + i
+            const laplacian = texel(before, i + 1, j, 0) + texel(before, i - 1, j, 0) + texel(before, i, j + 1, 0) + texel(before, i, j - 1, 0) - 4 * texel(before, i, j, 0)
+            const expected = (2 * texel(before, i, j, 0) - texel(before, i, j, 1) + 0.5 * waveSpeedMap[n] ** 2 * laplacian) * viscosity * (1 - dampingMap[n])
+            assertClose(solver.getHeight(i, j), expected, `height of (${i}, ${j})`)
+        }
+    }
+
+    // a damping of 1 stops the waves at once, a speed of 0 lets none through
+    assert.equal(solver.getHeight(2, 0), 0)
+    const still = createSolver({ waveSpeedMap: new Float32Array(WIDTH * HEIGHT), mouseSize: 1.5, fillTexture: () => { } })
+    still.disturb(0.5, -0.5)
+    still.step()
+    still.step()
+    assert.ok(still.getHeight(4, 4) > 0)
+    assert.equal(still.getHeight(6, 4), 0)
+})
+
+test("a rotated and stretched brush covers an ellipse along its own axes", () => {
+    const waveHeight = 0.25
+    const cosine = (distance) => 2 * waveHeight * 0.5 * (Math.cos(Math.min(distance, 1) * Math.PI) + 1)
+    // on the cell (4, 4), 3 units long and half a unit wide
+    const impulse = { x: 0.5, y: -0.5, radius: 1, scaleX: 3, scaleY: 0.5 }
+
+    const along = createSolver({ waveHeight, fillTexture: () => { } })
+    along.addImpulse(impulse)
+    along.step()
+    // the long axis runs along x, the y of the impulse going the other way of the rows
+    for (let i = 0; i < WIDTH; i++) {
+        assertClose(along.getHeight(i, 4), cosine(Math.abs(i - 4) / 3), `height of (${i}, 4)`)
+    }
+    assert.equal(along.getHeight(4, 5), 0)
+    assert.equal(along.getHeight(4, 3), 0)
+
+    // a quarter turn lays it along the rows
+    const across = createSolver({ waveHeight, fillTexture: () => { } })
+    across.addImpulse({ ...impulse, rotation: Math.PI / 2 })
+    across.step()
+    for (let j = 0; j < HEIGHT; j++) {
+        assertClose(across.getHeight(4, j), cosine(Math.abs(j - 4) / 3), `height of (4, ${j})`)
+    }
+    assert.ok(across.getHeight(4, 2) > 0 && across.getHeight(4, 6) > 0)
+    assert.equal(across.getHeight(5, 4), 0)
+    assert.equal(across.getHeight(3, 4), 0)
+})
+
+test("every brush pulls the water down by as much as it pushes it up", () => {
+    for (const brush of ["cosine", "gaussian", "ring", "square", "spike"]) {
+        const impulse = { x: 0.5, y: -0.5, radius: 2.5, brush, rotation: 0.3, scaleX: 1.5, scaleY: 0.75, strength: 0.2 }
+        const up = createSolver({ fillTexture: () => { } })
+        const down = createSolver({ fillTexture: () => { } })
+        const negative = createSolver({ fillTexture: () => { } })
+        up.addImpulse(impulse)
+        down.addImpulse({ ...impulse, sign: -1 })
+        negative.addImpulse({ ...impulse, strength: -impulse.strength })
+        up.step()
+        down.step()
+        negative.step()
+
+        assert.ok(up.getHeightData().some((value) => value > 0), brush)
+        for (let j = 0; j < HEIGHT; j++) {
+            for (let i = 0; i < WIDTH; i++) {
+                assert.equal(down.getHeight(i, j) + up.getHeight(i, j), 0, `${brush} at (${i}, ${j})`)
+                assert.equal(negative.getHeight(i, j) + up.getHeight(i, j), 0, `${brush} at (${i}, ${j})`)
+            }
+        }
+    }
+})
+
+test("the stamp brush samples the pixels of its image under the cells, its bottom row towards row 0", () => {
+    // the top left quarter of the stamp is white
+    const brushStamp = Float32Array.from({ length: STAMP_SIZE * STAMP_SIZE }, (_, n) => {
+        const column = n % STAMP_SIZE
+        const row = Math.floor(n / STAMP_SIZE)
+        return column < STAMP_SIZE / 2 && row >= STAMP_SIZE / 2 ? 1 : 0
+    })
+    const strength = 0.25
+    // on the corner between the cells (3, 3) and (4, 4), spanning 2 cells each way
+    const impulse = { x: 0, y: 0, radius: 2, brush: "stamp", strength }
+
+    const solver = createSolver({ brushStamp, fillTexture: () => { } })
+    assert.equal(solver.stampAt(0.25, 0.75), 1)
+    assert.equal(solver.stampAt(0.75, 0.75), 0)
+    assert.equal(solver.stampAt(0.25, 0.25), 0)
+    solver.addImpulse(impulse)
+    solver.step()
+    for (let j = 0; j < HEIGHT; j++) {
+        for (let i = 0; i < WIDTH; i++) {
+            const lit = i >= 2 && i <= 3 && j >= 4 && j <= 5
+            assert.equal(solver.getHeight(i, j), lit ? 2 * strength : 0, `height of (${i}, ${j})`)
+        }
+    }
+
+    // half a turn puts the white quarter at the bottom right
+    const turned = createSolver({ brushStamp, fillTexture: () => { } })
+    turned.addImpulse({ ...impulse, rotation: Math.PI })
+    turned.step()
+    assertClose(turned.getHeight(4, 3), 2 * strength, "height of (4, 3)")
+    assertClose(turned.getHeight(5, 2), 2 * strength, "height of (5, 2)")
+    assertClose(turned.getHeight(3, 4), 0, "height of (3, 4)")
+
+    // the stamp is stored in 8 bits like the gpu texture
+    solver.setBrushStamp(new Float32Array(STAMP_SIZE * STAMP_SIZE).fill(0.5))
+    assertClose(solver.stampAt(0.5, 0.5), Math.round(0.5 * 255) / 255, "stamp value")
+})
+
+test("a steep crest whips up foam past the threshold and the foam decays at its rate", () => {
+    const foam = { decay: 0.9, threshold: 0.15, gain: 0.2, impulseGain: 0, drift: 1 }
+    // a spike of 0.5 on the cell (4, 4), its neighbours only bend by a quarter of it
+    const crest = createSolver({ foam, fillTexture: ({ image: { data } }) => { data[(4 * WIDTH + 4) * 4] = 0.5 } })
+    crest.step()
+    const created = crest.getFoamData()
+    assertClose(created[4 * WIDTH + 4], 0.2 * (0.5 - 0.15), "foam on the crest")
+    assert.equal(created[4 * WIDTH + 5], 0)
+    assert.equal(created.reduce((sum, value) => sum + value, 0), created[4 * WIDTH + 4])
+
+    // still water keeps its foam in place and loses a share of it every step
+    const still = createSolver({ foam, fillTexture: () => { } })
+    still.getFoamData().fill(1)
+    for (let n = 1; n <= 5; n++) {
+        still.step()
+        still.getFoamData().forEach((value, cell) => assertClose(value, 0.9 ** n, `foam of cell ${cell} after ${n} steps`))
+    }
+})
+
+test("the foam drifts with the flow of the shallow water", () => {
+    const solver = createSolver({ solver: "shallowWater", foam: { decay: 1, threshold: 1, impulseGain: 0, drift: 1 }, fillTexture: () => { } })
+    // 60 units per second through every east face, a cell per step
+    const data = solver.getHeightData()
+    for (let n = 0; n < WIDTH * HEIGHT; n++) {
+        data[n * 4 + 2] = 60
+    }
+    solver.getFoamData()[4 * WIDTH + 2] = 1
+    solver.step()
+    assertClose(solver.getFoamData()[4 * WIDTH + 3], 1, "foam downstream")
+    assert.equal(solver.getFoamData()[4 * WIDTH + 2], 0)
+})
+
+test("a stroke raises the water evenly along the whole segment between its two points", () => {
+    const waveHeight = 0.25
+    const solver = createSolver({ mouseSize: 1, waveHeight, fillTexture: () => { } })
+    // from the center of the cell (1, 4) to the center of the cell (6, 4)
+    solver.addImpulse({ x: -2.5, y: -0.5, endX: 2.5, endY: -0.5 })
+    solver.step()
+
+    for (let i = 1; i <= 6; i++) {
+        assert.equal(solver.getHeight(i, 4), 2 * waveHeight, `height of (${i}, 4)`)
+        assert.equal(solver.getHeight(i, 5), 0)
+        assert.equal(solver.getHeight(i, 3), 0)
+    }
+    // one radius past the ends
+    assert.equal(solver.getHeight(0, 4), 0)
+    assert.equal(solver.getHeight(7, 4), 0)
+})
+
+test("the strength of a stroke follows the pointer speed, clamped to STROKE_STRENGTH_RANGE", () => {
+    const [minFactor, maxFactor] = STROKE_STRENGTH_RANGE
+    const strengthOf = (length, interval) => {
+        const solver = createSolver({ waveHeight: 0.2, strokeSpeed: 100 })
+        solver.addStroke(-2, 1, -2 + length * 0.6, 1 - length * 0.8, interval, { radius: 2 })
+        return solver.impulses[0].strength
+    }
+
+    assertClose(strengthOf(5, 0.1), 0.2 * 0.5, "strength at half the stroke speed")
+    assertClose(strengthOf(5, 0.05), 0.2, "strength at the stroke speed")
+    assertClose(strengthOf(5, 0.01), 0.2 * maxFactor, "strength of a fast stroke")
+    assertClose(strengthOf(0.1, 1), 0.2 * minFactor, "strength of a slow stroke")
+    // a stroke drawn in no time counts as fast, not as infinitely strong
+    assertClose(strengthOf(5, 0), 0.2 * maxFactor, "strength of an instant stroke")
+
+    // the factor scales a given strength too, and the stroke keeps its brush options
+    const solver = createSolver({ strokeSpeed: 100 })
+    solver.addStroke(0, 0, 3, 4, 0.1, { strength: 0.4, sign: -1, brush: "gaussian" })
+    const [impulse] = solver.impulses
+    assert.deepEqual([impulse.x, impulse.y, impulse.endX, impulse.endY, impulse.sign, impulse.brush], [0, 0, 3, 4, -1, "gaussian"])
+    assertClose(impulse.strength, 0.4 * 0.5, "strength of the given strength")
+})
+
+test("with 2 substeps the interpolated height moves at a steady pace, without jumping at each timestep", () => {
+    const timestep = 1 / 60
+    const substeps = 2
+    // flat water rising by rise per substep, which the ripple update carries on without damping
+    const rise = 0.01
+    const solver = createSolver({
+        viscosity: 1,
+        substeps,
+        fillTexture: ({ image: { data } }) => {
+            for (let p = 0; p < data.length; p += 4) {
+                data[p + 1] = -rise
+            }
+        },
+    })
+
+    // the update() loop of RippleSimulation over frames of a quarter of a timestep
+    let accumulator = 0
+    for (let frame = 1; frame <= 12; frame++) {
+        accumulator += timestep / 4
+        if (accumulator >= timestep - 1e-9) {
+            for (let i = 0; i < substeps; i++) {
+                solver.step()
+            }
+            accumulator -= timestep
+        }
+        // the rendering lags a timestep behind the simulation
+        const expected = (frame / 4 - 1) * substeps * rise
+        const alpha = interpolationAlpha(accumulator / timestep, substeps)
+        assertClose(solver.heightAt(0.5, 0.5, alpha), expected, `height after frame ${frame}`)
+    }
+
+    // one substep is the same as interpolating between the last two steps
+    assert.equal(interpolationAlpha(0.25, 1), 0.25)
+    assert.equal(interpolationAlpha(1, 3), 1)
+})
+
+test("a solver replacing another on a new grid takes over its pending impulses and noise", () => {
+    const flat = (fboWidth, fboHeight) => new CpuRippleSolver({ fboWidth, fboHeight, geomWidth: WIDTH, geomHeight: HEIGHT })
+    const old = flat(WIDTH, HEIGHT)
+    old.disturb(1, -2, { radius: 3, strength: 0.5 })
+    old.addStroke(-2, 0, 2, 1, 0.1, { brush: "gaussian" })
+    old.addNoise(0.01, 0.25)
+    const impulses = old.impulses.slice()
+
+    const replacement = flat(WIDTH * 2, HEIGHT * 2)
+    replacement.takePending(old)
+    assert.deepEqual(replacement.impulses, impulses)
+    assert.equal(replacement.noiseAmplitude, 0.01)
+    assert.equal(replacement.noiseSeed, 0.25)
+    assert.deepEqual(old.impulses, [])
+    assert.equal(old.noiseAmplitude, 0)
+
+    // the step applies them as if they had been queued on the new grid in the first place
+    const direct = flat(WIDTH * 2, HEIGHT * 2)
+    impulses.forEach((impulse) => direct.addImpulse(impulse))
+    direct.addNoise(0.01, 0.25)
+    replacement.step()
+    direct.step()
+    assert.deepEqual(replacement.getHeightData(), direct.getHeightData())
+    assert.ok(replacement.getHeightData().some((value) => value !== 0))
+})
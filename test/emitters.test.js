@@ -0,0 +1,170 @@
+// Checks of the emitters on the cpu reference solver, driven step by step like RippleSimulation.step() does, the same seed must always give the same rain
+
+import assert from "node:assert/strict"
+import { test } from "node:test"
+
+import { CpuRippleSolver } from "../src/cpu-ripple-solver.js"
+import { LineEmitter, PathEmitter, PointEmitter, RainEmitter } from "../src/emitters.js"
+
+const TIMESTEP = 1 / 60
+
+/**
+ * @param {RainEmitter} rain emitter to run
+ * @param {number} steps number of steps to run it for
+ * @returns {Float32Array} the heightmap of a 32x32 solver the rain fell on
+ */
+const rainOn = (rain, steps) => {
+    const solver = new CpuRippleSolver({ fboWidth: 32, fboHeight: 32, geomWidth: 64, geomHeight: 64 })
+    for (let n = 0; n < steps; n++) {
+        rain.update(solver, TIMESTEP)
+        solver.step()
+    }
+    return solver.getHeightData()
+}
+
+/**
+ * @param {Emitter} emitter emitter to run
+ * @param {number} steps number of steps to run it for
+ * @returns {{impulses: Array<object>, noise: Array<number>}} every impulse and noise amplitude the emitter added
+ */
+const collect = (emitter, steps) => {
+    const added = { impulses: [], noise: [] }
+    const simulation = {
+        geomWidth: 64,
+        geomHeight: 64,
+        addImpulse: (impulse) => added.impulses.push(impulse),
+        addNoise: (amplitude) => added.noise.push(amplitude),
+    }
+    for (let n = 0; n < steps; n++) {
+        emitter.update(simulation, TIMESTEP)
+    }
+    return added
+}
+
+/**
+ * @param {object} options options of the rain
+ * @param {number} steps number of steps to run it for
+ * @returns {{impulses: Array<object>, noise: Array<number>}} every impulse and noise amplitude the rain added
+ */
+const collectRain = (options, steps) => collect(new RainEmitter(options), steps)
+
+const assertClose = (actual, expected, message) => {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} != ${expected}`)
+}
+
+test("the same seed gives the same rain, another seed another rain", () => {
+    const rain = rainOn(new RainEmitter({ rate: 120, radius: 3, seed: 7 }), 60)
+    assert.deepEqual(rainOn(new RainEmitter({ rate: 120, radius: 3, seed: 7 }), 60), rain)
+    assert.notDeepEqual(rainOn(new RainEmitter({ rate: 120, radius: 3, seed: 8 }), 60), rain)
+
+    // setSeed() starts the sequence over
+    const emitter = new RainEmitter({ rate: 120, radius: 3, seed: 7 })
+    rainOn(emitter, 30)
+    emitter.setSeed(7)
+    assert.deepEqual(rainOn(emitter, 60), rain)
+
+    // and so does a seed given to set()
+    const reseeded = new RainEmitter({ rate: 120, radius: 3, seed: 8 })
+    rainOn(reseeded, 30)
+    reseeded.set({ seed: 7, rate: 120 })
+    assert.equal(reseeded.seed, 7)
+    assert.deepEqual(rainOn(reseeded, 60), rain)
+    // other parameters leave the sequence going
+    const unchanged = new RainEmitter({ rate: 120, radius: 3, seed: 7 })
+    unchanged.set({ rate: 120 })
+    assert.deepEqual(rainOn(unchanged, 60), rain)
+})
+
+test("drops fall at the average rate inside the area and pull the water down", () => {
+    const area = { minX: -10, maxX: 20, minY: 0, maxY: 5 }
+    const { impulses } = collectRain({ rate: 120, area, seed: 3 }, 6000)
+
+    // 100 seconds of rain, within a few standard deviations of the Poisson count
+    assert.ok(Math.abs(impulses.length - 12000) < 400, `${impulses.length} drops`)
+    for (const { x, y, sign } of impulses) {
+        assert.ok(x >= area.minX && x <= area.maxX && y >= area.minY && y <= area.maxY)
+        assert.equal(sign, -1)
+    }
+})
+
+test("only heavy rain adds noise, fading in towards heavyRate", () => {
+    assert.deepEqual(collectRain({ rate: 0, seed: 3 }, 60).noise, [])
+
+    const light = collectRain({ rate: 30, heavyRate: 300, noiseFloor: 0.1, intensity: 0.3, seed: 3 }, 1).noise
+    const heavy = collectRain({ rate: 600, heavyRate: 300, noiseFloor: 0.1, intensity: 0.3, seed: 3 }, 1).noise
+    assert.equal(light.length, 1)
+    assert.ok(Math.abs(light[0] - 0.1 * 0.3 * 0.01) < 1e-9)
+    assert.ok(Math.abs(heavy[0] - 0.1 * 0.3) < 1e-9)
+})
+
+test("a point emitter oscillates at its frequency and phase, its clock only running while it is started", () => {
+    const tap = new PointEmitter({ x: 10, y: -5, radius: 3, amplitude: 0.2, frequency: 2, phase: Math.PI / 2 })
+    const { impulses } = collect(tap, 30)
+    assert.equal(impulses.length, 30)
+    impulses.forEach(({ x, y, radius, strength }, n) => {
+        assert.deepEqual({ x, y, radius }, { x: 10, y: -5, radius: 3 })
+        assertClose(strength, 0.2 * Math.cos(2 * Math.PI * 2 * n * TIMESTEP), `strength at step ${n}`)
+    })
+
+    // stopped, it neither emits nor ages, and picks up where it was
+    tap.stop()
+    assert.deepEqual(collect(tap, 10).impulses, [])
+    tap.start()
+    tap.set({ frequency: 1 })
+    assertClose(collect(tap, 1).impulses[0].strength, 0.2 * Math.cos(2 * Math.PI * 30 * TIMESTEP), "strength after the restart")
+
+    // no frequency is a constant push
+    const push = collect(new PointEmitter({ amplitude: 0.3, frequency: 0 }), 5).impulses
+    assert.deepEqual(push.map(({ strength }) => strength), [0.3, 0.3, 0.3, 0.3, 0.3])
+})
+
+test("a line emitter pushes the water evenly along its whole segment", () => {
+    const paddle = new LineEmitter({ x: -8, y: 0, endX: 8, endY: 0, radius: 3, amplitude: 0.2, frequency: 0 })
+    const solver = new CpuRippleSolver({ fboWidth: 32, fboHeight: 32, geomWidth: 64, geomHeight: 64 })
+    paddle.update(solver, TIMESTEP)
+    assert.deepEqual(solver.impulses.map(({ x, y, endX, endY }) => ({ x, y, endX, endY })), [{ x: -8, y: 0, endX: 8, endY: 0 }])
+    solver.step()
+
+    // cells of 2x2 units, the row 15 is 1 unit off the line, the columns 12 to 19 span it from one end to the other
+    const row = 15
+    const front = solver.getHeight(16, row)
+    assert.ok(front > 0)
+    for (let i = 12; i <= 19; i++) {
+        assertClose(solver.getHeight(i, row), front, `height of (${i}, ${row})`)
+    }
+    // then it falls off past the ends
+    assert.ok(solver.getHeight(11, row) < front && solver.getHeight(11, row) > 0)
+    assert.equal(solver.getHeight(10, row), 0)
+    assert.equal(solver.getHeight(20, row), solver.getHeight(11, row))
+    assert.equal(solver.getHeight(16, row - 2), 0)
+})
+
+test("a path emitter travels along its waypoints, looping or stopping at the end", () => {
+    const path = [{ x: 0, y: 0 }, { x: 30, y: 0 }, { x: 30, y: 40 }]
+    const loop = new PathEmitter({ path, loop: true })
+    const once = new PathEmitter({ path, loop: false })
+
+    assert.deepEqual(loop.pointAt(15), { x: 15, y: 0 })
+    assert.deepEqual(loop.pointAt(50), { x: 30, y: 20 })
+    // the way back from the last waypoint to the first is 50 long
+    assert.deepEqual(loop.pointAt(95), { x: 15, y: 20 })
+    assert.deepEqual(loop.pointAt(120 + 15), { x: 15, y: 0 })
+    assert.deepEqual(once.pointAt(70), { x: 30, y: 40 })
+    assert.equal(once.pointAt(71), null)
+
+    // each step drags a stroke from where it was to where it got
+    const boat = new PathEmitter({ path, loop: false, speed: 60, amplitude: 0.1, radius: 5 })
+    const { impulses } = collect(boat, 120)
+    assert.equal(impulses.length, 70)
+    impulses.forEach(({ x, y, endX, endY, radius, strength }, n) => {
+        const start = once.pointAt(n)
+        const end = once.pointAt(n + 1)
+        assertClose(x, start.x, `x at step ${n}`)
+        assertClose(y, start.y, `y at step ${n}`)
+        assertClose(endX, end.x, `endX at step ${n}`)
+        assertClose(endY, end.y, `endY at step ${n}`)
+        assert.equal(radius, 5)
+        assert.equal(strength, 0.1)
+    })
+    assert.equal(boat.running, false)
+})
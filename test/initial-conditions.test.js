@@ -0,0 +1,61 @@
+// Checks of the starting water generators, the same options and seed must always give the same water
+
+import assert from "node:assert/strict"
+import { test } from "node:test"
+
+import { CpuRippleSolver } from "../src/cpu-ripple-solver.js"
+import { createFillTexture, generateHeightmap } from "../src/initial-conditions.js"
+
+const WIDTH = 16
+const HEIGHT = 16
+
+test("seeded fractal noise gives the same water for the same options and seed", () => {
+    const options = { amplitude: 2, octaves: 6, persistence: 0.5, persistenceGrowth: 0.025, seed: 7 }
+    const water = generateHeightmap("fractalNoise", options, WIDTH, HEIGHT)
+    assert.ok(water.some((value) => value !== 0))
+    assert.deepEqual(generateHeightmap("fractalNoise", options, WIDTH, HEIGHT), water)
+    assert.notDeepEqual(generateHeightmap("fractalNoise", { ...options, seed: 8 }, WIDTH, HEIGHT), water)
+
+    // the simulation gets the same water through its fillTexture option
+    const solver = new CpuRippleSolver({ fboWidth: WIDTH, fboHeight: HEIGHT, fillTexture: createFillTexture("fractalNoise", options) })
+    assert.deepEqual(solver.getHeightData(), water)
+})
+
+test("a drop is a raised cosine at rest", () => {
+    const water = generateHeightmap("drop", { u: 0.5, v: 0.5, radius: 4, height: 2 }, WIDTH, HEIGHT)
+    const cell = (i, j) => water.subarray((j * WIDTH + i) * 4, (j * WIDTH + i) * 4 + 4)
+
+    // the cell centers around (8, 8) are half a cell from the middle of the heightmap
+    assert.ok(Math.abs(cell(8, 8)[0] - (Math.cos(Math.PI * Math.SQRT1_2 / 4) + 1)) < 1e-6)
+    assert.equal(cell(7, 7)[0], cell(8, 8)[0])
+    assert.equal(cell(12, 8)[0], 0)
+    for (let n = 0; n < WIDTH * HEIGHT; n++) {
+        assert.equal(water[n * 4 + 1], water[n * 4])
+    }
+})
+
+test("a wave train moves on by one step of the ripple solver and keeps its shape", () => {
+    const options = { amplitude: 0.5, wavelength: 8, direction: 0 }
+    const solver = new CpuRippleSolver({ fboWidth: WIDTH, fboHeight: HEIGHT, viscosity: 1, boundary: "periodic", fillTexture: createFillTexture("waveTrain", options) })
+    solver.step()
+
+    // the phase goes back by omega every step, that is the wave travelling towards u
+    const k = 2 * Math.PI / options.wavelength
+    const omega = 2 * Math.asin(Math.sqrt(0.5) * Math.sin(k / 2))
+    for (let i = 0; i < WIDTH; i++) {
+        assert.ok(Math.abs(solver.getHeight(i, 3) - options.amplitude * Math.sin(k * i - omega)) < 1e-6, `height of column ${i}`)
+    }
+})
+
+test("an unknown generator gives calm water", () => {
+    const consoleError = console.error
+    const errors = []
+    console.error = (message) => errors.push(message)
+    try {
+        const water = generateHeightmap("tsunami", {}, WIDTH, HEIGHT)
+        assert.ok(water.every((value) => value === 0))
+    } finally {
+        console.error = consoleError
+    }
+    assert.equal(errors.length, 1)
+})
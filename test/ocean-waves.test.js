@@ -0,0 +1,87 @@
+// Checks of the cpu sampler of the swell, what the floating objects ride on, against the formulas of gerstnerWaves.glsl
+
+import assert from "node:assert/strict"
+import { test } from "node:test"
+
+import { GerstnerWaves } from "../src/ocean-waves.js"
+
+const assertClose = (actual, expected, message) => {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} != ${expected}`)
+}
+
+/**
+ * Height and slopes of the swell, gerstnerDisplacement().z and -gerstnerNormal().xy of gerstnerWaves.glsl written out in javascript
+ * @param {GerstnerWaves} swell swell holding the uniforms
+ * @param {number} x position in system units
+ * @param {number} y position in system units
+ * @returns {{height: number, slopeX: number, slopeY: number}} what the shader computes at the position
+ */
+const shaderSwell = ({ uniforms }, x, y) => {
+    const displacement = [0, 0, 0]
+    const normal = [0, 0, 1]
+    uniforms.gerstnerWaves.value.forEach((wave, i) => {
+        const theta = wave.x * x + wave.y * y - uniforms.gerstnerPhases.value[i]
+        displacement[2] += wave.z * Math.sin(theta)
+        normal[0] -= wave.x * wave.z * Math.cos(theta)
+        normal[1] -= wave.y * wave.z * Math.cos(theta)
+    })
+    return { height: displacement[2], slopeX: -normal[0], slopeY: -normal[1] }
+}
+
+test("no amplitude or a disabled swell leaves the water flat", () => {
+    const calm = new GerstnerWaves({ amplitude: 0 })
+    const disabled = new GerstnerWaves({ amplitude: 4, enabled: false })
+    calm.update(1.5)
+    disabled.update(1.5)
+    for (const [x, y] of [[0, 0], [37, -12], [-250, 400]]) {
+        assert.deepEqual(calm.sample(x, y), { height: 0, slopeX: 0, slopeY: 0 })
+        assert.deepEqual(disabled.sample(x, y), { height: 0, slopeX: 0, slopeY: 0 })
+    }
+})
+
+test("without spread the crests lie across the wind and travel with it at the deep water speed", () => {
+    const windDirection = 0.7
+    const wind = { x: Math.cos(windDirection), y: Math.sin(windDirection) }
+    const swell = new GerstnerWaves({ windDirection, spread: 0, amplitude: 3, seed: 5 })
+
+    for (const [x, y] of [[0, 0], [20, -35], [-140, 60]]) {
+        const sample = swell.sample(x, y)
+        // the slope points along the wind, nothing changes across it
+        assertClose(sample.slopeX * wind.y - sample.slopeY * wind.x, 0, `slope across the wind at (${x}, ${y})`)
+        assertClose(swell.sample(x - wind.y * 50, y + wind.x * 50).height, sample.height, `height across the wind at (${x}, ${y})`)
+    }
+
+    // a single wave moves on by its speed along the wind
+    const wave = new GerstnerWaves({ windDirection, spread: 0, count: 1, gravity: 200, seed: 5 })
+    const [{ x: kx, y: ky }] = wave.uniforms.gerstnerWaves.value
+    const speed = Math.sqrt(200 / Math.hypot(kx, ky))
+    const before = wave.sample(10, 20).height
+    wave.update(0.25)
+    assertClose(wave.sample(10 + wind.x * speed * 0.25, 20 + wind.y * speed * 0.25).height, before, "height carried by the wave")
+})
+
+test("sample() matches the shader formulas, a single wave peaking at its amplitude", () => {
+    const swell = new GerstnerWaves({ windDirection: 2, amplitude: 5, choppiness: 0.8, seed: 9 })
+    swell.update(3.2)
+    for (const [x, y] of [[0, 0], [12.5, -80], [-300, 145], [64, 64]]) {
+        const expected = shaderSwell(swell, x, y)
+        const sample = swell.sample(x, y)
+        assertClose(sample.height, expected.height, `height at (${x}, ${y})`)
+        assertClose(sample.slopeX, expected.slopeX, `slopeX at (${x}, ${y})`)
+        assertClose(sample.slopeY, expected.slopeY, `slopeY at (${x}, ${y})`)
+    }
+
+    // a lone wave takes all of the amplitude: A sin(k.p - phase)
+    const wave = new GerstnerWaves({ windDirection: 0, spread: 0, amplitude: 2, count: 1, seed: 9 })
+    wave.update(1)
+    const [{ x: k, z }] = wave.uniforms.gerstnerWaves.value
+    const [phase] = wave.uniforms.gerstnerPhases.value
+    assert.equal(z, 2)
+    const crest = wave.sample((phase + Math.PI / 2) / k, 7)
+    assertClose(crest.height, 2, "height of the crest")
+    assertClose(crest.slopeX, 0, "slope on the crest")
+    const rising = wave.sample(phase / k, -3)
+    assertClose(rising.height, 0, "height halfway up")
+    assertClose(rising.slopeX, k * 2, "slope halfway up")
+    assertClose(rising.slopeY, 0, "slope across the wave")
+})
@@ -0,0 +1,143 @@
+// Checks that a run replays exactly from the inputs captured by input-events.js, on the cpu reference solver
+// the inputs go through JSON and the start state through a snapshot file, like in a recording of recorder.js
+
+import assert from "node:assert/strict"
+import { test } from "node:test"
+
+import { CpuRippleSolver } from "../src/cpu-ripple-solver.js"
+import { RainEmitter } from "../src/emitters.js"
+import { createFillTexture } from "../src/initial-conditions.js"
+import { captureInput, replayEvent, replayEvents } from "../src/input-events.js"
+import { createRandom } from "../src/random.js"
+import { applySnapshot, createSnapshot, decodeSnapshot, encodeSnapshot } from "../src/snapshot.js"
+
+const OPTIONS = { fboWidth: 32, fboHeight: 16, geomWidth: 64, geomHeight: 32, mouseSize: 4 }
+const TIMESTEP = 1 / 60
+const STEPS = 120
+
+/**
+ * @param {CpuRippleSolver} solver solver holding the state
+ * @returns {object} the parts of a RippleSimulation the snapshots use, over the solver like the cpu fallback
+ */
+const asSimulation = (solver) => ({
+    ...OPTIONS,
+    solver: solver.solver,
+    readHeightmap: () => solver.getHeightData().slice(),
+    writeHeightmap: (data) => solver.getHeightData().set(data),
+})
+
+/**
+ * Forwards the inputs to a solver and tells them to a callback first, like RippleSimulation does with its onInput() callbacks
+ * @param {CpuRippleSolver} solver solver to feed the inputs to
+ * @param {function} notify takes the type of input and its parameters
+ * @returns {object} the input methods of a RippleSimulation over the solver
+ */
+const withInputs = (solver, notify) => ({
+    geomWidth: solver.geomWidth,
+    geomHeight: solver.geomHeight,
+    addImpulse: (impulse) => {
+        notify("impulse", impulse)
+        solver.addImpulse(impulse)
+    },
+    addNoise: (amplitude, seed) => {
+        notify("noise", { amplitude, seed })
+        solver.addNoise(amplitude, seed)
+    },
+    smooth: (iterations, { kernel, strength, region }) => {
+        notify("smooth", { iterations, kernel, strength, region })
+        solver.smooth(iterations, { kernel, strength, region })
+    },
+    setViscosity: (value) => {
+        notify("viscosity", { value })
+        solver.setViscosity(value)
+    },
+    setDampingMap: (map) => {
+        notify("dampingMap", { map })
+        solver.setDampingMap(map)
+    },
+    setObstacleMask: (mask) => {
+        notify("obstacleMask", { mask })
+        solver.setObstacleMask(mask)
+    },
+})
+
+test("a run replayed from its captured inputs and start state ends in exactly the same water", () => {
+    const solver = new CpuRippleSolver({ ...OPTIONS, fillTexture: createFillTexture("fractalNoise", { amplitude: 0.5, octaves: 4, seed: 3 }) })
+    // a few steps in, the recording starts from a moving state
+    for (let n = 0; n < 10; n++) {
+        solver.step()
+    }
+    const start = encodeSnapshot(createSnapshot(asSimulation(solver)))
+
+    // pointer strokes, rain, smoothings, setting changes and per cell maps
+    let step = 0
+    const events = []
+    const inputs = withInputs(solver, (type, params) => events.push(captureInput(step, type, params)))
+    const random = createRandom(11)
+    const rain = new RainEmitter({ rate: 600, radius: 2, seed: 5 })
+    const cells = OPTIONS.fboWidth * OPTIONS.fboHeight
+    const dampingMap = Float32Array.from({ length: cells }, (_, n) => (n % OPTIONS.fboWidth) / OPTIONS.fboWidth * 0.1)
+    const region = Float32Array.from({ length: cells }, (_, n) => n < cells / 2 ? 1 : 0.25)
+    for (; step < STEPS; step++) {
+        if (step % 7 === 0) {
+            const x = (random() - 0.5) * OPTIONS.geomWidth
+            const y = (random() - 0.5) * OPTIONS.geomHeight
+            inputs.addImpulse({ x, y, endX: x + 5, endY: y - 3, strength: random(), brush: "gaussian" })
+        }
+        if (step === 20) {
+            inputs.setDampingMap(dampingMap)
+            // the scene keeps painting on its map, the recording must not see it
+            dampingMap.fill(0.5)
+        }
+        if (step === 40) {
+            inputs.smooth(2, { kernel: "gaussian", strength: 0.5, region })
+        }
+        if (step === 60) {
+            const mask = new Uint8Array(cells)
+            mask.fill(1, 0, OPTIONS.fboWidth)
+            inputs.setObstacleMask(mask)
+        }
+        if (step === 80) {
+            inputs.setViscosity(0.95)
+        }
+        rain.update(inputs, TIMESTEP)
+        solver.step()
+    }
+    const recording = JSON.parse(JSON.stringify({ events, steps: STEPS }))
+    assert.ok(recording.events.some(({ type }) => type === "noise"))
+    assert.ok(recording.events.every((event, n) => n === 0 || event.step >= recording.events[n - 1].step))
+
+    const replayed = new CpuRippleSolver(OPTIONS)
+    applySnapshot(asSimulation(replayed), decodeSnapshot(start))
+    let next = 0
+    for (let n = 0; n < recording.steps; n++) {
+        next = replayEvents(replayed, recording.events, next, n)
+        replayed.step()
+    }
+    assert.equal(next, recording.events.length)
+    assert.deepEqual(replayed.getHeightData(), solver.getHeightData())
+    assert.deepEqual(replayed.damping, solver.damping)
+    assert.deepEqual(replayed.obstacleMask, solver.obstacleMask)
+})
+
+test("a captured input keeps a copy of its maps as plain arrays and replays into the same call", () => {
+    const map = Float32Array.of(0.25, 0.5)
+    const event = captureInput(3, "waveSpeedMap", { map })
+    map[0] = 1
+    assert.deepEqual(event, { step: 3, type: "waveSpeedMap", map: [0.25, 0.5] })
+
+    const calls = []
+    const simulation = {
+        setWaveSpeedMap: (values) => calls.push(["waveSpeedMap", values]),
+        setObstacleMask: (mask) => calls.push(["obstacleMask", mask]),
+        smooth: (iterations, options) => calls.push(["smooth", iterations, options]),
+    }
+    replayEvent(simulation, JSON.parse(JSON.stringify(event)))
+    replayEvent(simulation, captureInput(3, "obstacleMask", { mask: null }))
+    replayEvent(simulation, captureInput(4, "smooth", { iterations: 2, kernel: "box", strength: 1, region: { x: 1, y: 2, radius: 3 } }))
+    assert.deepEqual(calls, [
+        ["waveSpeedMap", Float32Array.of(0.25, 0.5)],
+        ["obstacleMask", null],
+        ["smooth", 2, { kernel: "box", strength: 1, region: { x: 1, y: 2, radius: 3 } }],
+    ])
+})
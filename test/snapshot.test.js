@@ -0,0 +1,118 @@
+// Checks of the snapshot files on the cpu reference solver, a saved moment must play on exactly like the original
+
+import assert from "node:assert/strict"
+import { test } from "node:test"
+
+import { CpuRippleSolver } from "../src/cpu-ripple-solver.js"
+import { applySnapshot, createSnapshot, decodeSnapshot, encodeSnapshot, encodeSnapshotPng } from "../src/snapshot.js"
+
+/**
+ * @param {CpuRippleSolver} solver solver holding the state
+ * @returns {object} the parts of a RippleSimulation the snapshots use, over the solver like the cpu fallback
+ */
+const asSimulation = (solver) => ({
+    fboWidth: solver.fboWidth,
+    fboHeight: solver.fboHeight,
+    geomWidth: solver.geomWidth,
+    geomHeight: solver.geomHeight,
+    solver: solver.solver,
+    readHeightmap: () => solver.getHeightData().slice(),
+    writeHeightmap: (data) => solver.getHeightData().set(data),
+})
+
+/**
+ * @param {object} options options of the solver on top of a 16x8 grid
+ * @returns {CpuRippleSolver} a solver that ran a few steps after a couple of impulses
+ */
+const createRunningSolver = (options = {}) => {
+    const solver = new CpuRippleSolver({ fboWidth: 16, fboHeight: 8, geomWidth: 32, geomHeight: 16, mouseSize: 3, ...options })
+    solver.disturb(-5, 2)
+    solver.disturb(6, -3, { sign: -1 })
+    for (let n = 0; n < 5; n++) {
+        solver.step()
+    }
+    return solver
+}
+
+test("a snapshot file decodes back to the same header and values", () => {
+    for (const solver of ["ripple", "shallowWater"]) {
+        const snapshot = createSnapshot(asSimulation(createRunningSolver({ solver, gravity: 10 })))
+        assert.equal(snapshot.header.channels, solver === "shallowWater" ? 4 : 2)
+
+        const buffer = encodeSnapshot(snapshot)
+        // the values start 4 bytes aligned after the header
+        assert.equal((4 + new DataView(buffer).getUint32(0, true)) % 4, 0)
+        assert.deepEqual(decodeSnapshot(buffer), snapshot)
+    }
+})
+
+test("the water restored from a snapshot goes on exactly like the original", () => {
+    const original = createRunningSolver()
+    const snapshot = decodeSnapshot(encodeSnapshot(createSnapshot(asSimulation(original))))
+
+    const restored = new CpuRippleSolver({ fboWidth: 16, fboHeight: 8, geomWidth: 32, geomHeight: 16 })
+    applySnapshot(asSimulation(restored), snapshot)
+    for (let n = 0; n < 10; n++) {
+        original.step()
+        restored.step()
+    }
+    assert.deepEqual(restored.getHeightData(), original.getHeightData())
+})
+
+test("a snapshot is resampled onto a grid of another size", () => {
+    const level = ({ image: { data } }) => {
+        for (let p = 0; p < data.length; p += 4) {
+            data[p] = 0.5
+            data[p + 1] = 0.25
+        }
+    }
+    const snapshot = createSnapshot(asSimulation(new CpuRippleSolver({ fboWidth: 16, fboHeight: 8, fillTexture: level })))
+
+    const larger = new CpuRippleSolver({ fboWidth: 32, fboHeight: 16 })
+    applySnapshot(asSimulation(larger), snapshot)
+    for (let j = 0; j < 16; j++) {
+        for (let i = 0; i < 32; i++) {
+            assert.ok(Math.abs(larger.getHeight(i, j) - 0.5) < 1e-6)
+        }
+    }
+})
+
+test("files that are not snapshots or are cut short are refused", () => {
+    const buffer = encodeSnapshot(createSnapshot(asSimulation(createRunningSolver())))
+    const errors = []
+    const consoleError = console.error
+    console.error = (message) => errors.push(message)
+    try {
+        assert.equal(decodeSnapshot(new TextEncoder().encode("not a snapshot").buffer), null)
+        assert.equal(decodeSnapshot(buffer.slice(0, buffer.byteLength - 4)), null)
+    } finally {
+        console.error = consoleError
+    }
+    assert.equal(errors.length, 2)
+})
+
+test("the PNG preview maps the heights from ±range to 16 bits, its top row being v = 1", async () => {
+    const snapshot = createSnapshot(asSimulation(createRunningSolver()))
+    const { width, height, channels } = snapshot.header
+    const bytes = new Uint8Array(await (await encodeSnapshotPng(snapshot)).arrayBuffer())
+    const view = new DataView(bytes.buffer)
+
+    assert.deepEqual(Array.from(bytes.subarray(0, 8)), [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])
+    // chunks: IHDR, tEXt, IDAT, IEND
+    const chunks = {}
+    for (let offset = 8; offset < bytes.length;) {
+        const length = view.getUint32(offset)
+        chunks[new TextDecoder().decode(bytes.subarray(offset + 4, offset + 8))] = bytes.subarray(offset + 8, offset + 8 + length)
+        offset += 12 + length
+    }
+    assert.deepEqual(Object.keys(chunks), ["IHDR", "tEXt", "IDAT", "IEND"])
+    assert.equal(new DataView(chunks.IHDR.buffer, chunks.IHDR.byteOffset).getUint32(0), width)
+    const { range } = JSON.parse(new TextDecoder().decode(chunks.tEXt).split("\0")[1])
+
+    const stream = new Blob([chunks.IDAT]).stream().pipeThrough(new DecompressionStream("deflate"))
+    const pixels = new DataView(await new Response(stream).arrayBuffer())
+    // the first pixel of the image is the cell (0, height - 1)
+    const n = (height - 1) * width
+    assert.equal(pixels.getUint16(1), Math.round((snapshot.data[n * channels] / range * 0.5 + 0.5) * 65535))
+    assert.equal(pixels.getUint16(3), Math.round((snapshot.data[n * channels + 1] / range * 0.5 + 0.5) * 65535))
+})
@@ -0,0 +1,63 @@
+// Checks of the stability guard on the heightmap of the cpu reference solver, what the cpu fallback of RippleSimulation runs
+
+import assert from "node:assert/strict"
+import { test } from "node:test"
+
+import { CpuRippleSolver } from "../src/cpu-ripple-solver.js"
+import { clampState, judgeStability, measureStability } from "../src/stability-guard.js"
+
+/**
+ * @param {Array<Array<number>>} cells RGBA values of the cells, height and previous height first
+ * @returns {CpuRippleSolver} a solver holding the cells, one row of them
+ */
+const createSolver = (cells) => new CpuRippleSolver({
+    fboWidth: cells.length,
+    fboHeight: 1,
+    fillTexture: ({ image: { data } }) => data.set(cells.flat()),
+})
+
+const STEADY = { energy: 2, maxAmplitude: 3, nonFinite: 0 }
+
+test("the measure sums the energy over the finite cells, takes the largest height and counts the broken cells", () => {
+    const solver = createSolver([[1, 0.5, 0, 0], [-3, -1, 0, 0], [NaN, 0, 0, 0], [2, 2, Infinity, 0]])
+    assert.deepEqual(measureStability(solver.getHeightData()), {
+        energy: 1 + 0.25 + 9 + 4,
+        maxAmplitude: 3,
+        nonFinite: 2,
+    })
+    assert.deepEqual(measureStability(createSolver([[0, 0, 0, 0]]).getHeightData()), { energy: 0, maxAmplitude: 0, nonFinite: 0 })
+})
+
+test("the guard only acts on broken cells or heights over maxAmplitude, clamping or flattening the water", () => {
+    // within the limit, whatever the mode
+    for (const guard of ["off", "clamp", "reset"]) {
+        assert.deepEqual(judgeStability(guard, 3, 30, STEADY), { stability: { step: 30, ...STEADY, action: "none" }, limit: null })
+    }
+
+    const tall = { energy: 50, maxAmplitude: 4, nonFinite: 0 }
+    assert.deepEqual(judgeStability("clamp", 3, 60, tall), { stability: { step: 60, ...tall, action: "clamp" }, limit: 3 })
+    assert.deepEqual(judgeStability("reset", 3, 60, tall), { stability: { step: 60, ...tall, action: "reset" }, limit: 0 })
+    assert.deepEqual(judgeStability("off", 3, 60, tall), { stability: { step: 60, ...tall, action: "none" }, limit: null })
+
+    // a broken cell is enough, and so is an amplitude that doesn't compare
+    const broken = { ...STEADY, nonFinite: 1 }
+    assert.equal(judgeStability("clamp", 3, 90, broken).limit, 3)
+    assert.equal(judgeStability("clamp", 3, 90, broken).stability.action, "clamp")
+    for (const maxAmplitude of [NaN, Infinity]) {
+        assert.equal(judgeStability("reset", 3, 90, { ...STEADY, maxAmplitude }).stability.action, "reset")
+    }
+})
+
+test("clamping keeps the state within the limit and zeroes the infinite and NaN values", () => {
+    const solver = createSolver([[5, -7, 0.5, -0.25], [NaN, Infinity, -Infinity, 2]])
+    clampState(solver.getHeightData(), 1)
+    assert.deepEqual(Array.from(solver.getHeightData()), [1, -1, 0.5, -0.25, 0, 0, 0, 1])
+
+    // a limit of 0 flattens the water, a clamped state measures as steady
+    clampState(solver.getHeightData(), 0)
+    assert.ok(solver.getHeightData().every((value) => value === 0))
+    const clamped = createSolver([[5, NaN, 0, 0], [-9, 1, 0, 0]])
+    clampState(clamped.getHeightData(), 3)
+    const measure = measureStability(clamped.getHeightData())
+    assert.equal(judgeStability("clamp", 3, 120, measure).stability.action, "none")
+})
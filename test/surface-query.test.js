@@ -0,0 +1,185 @@
+// Checks of the world unit queries of the water on a tilted plane held by the cpu reference solver, through a moved water mesh
+
+import assert from "node:assert/strict"
+import { test } from "node:test"
+
+import * as THREE from "three"
+
+import { CpuRippleSolver } from "../src/cpu-ripple-solver.js"
+import { SurfaceQuery } from "../src/surface-query.js"
+
+// a 16x16 grid over 32x32 system units, 2 units per cell
+const CELLS = 16
+const SIZE = 32
+// the water rises by SLOPE_X per unit towards the mesh's +x and by SLOPE_Y per unit towards its +y
+const SLOPE_X = 0.1
+const SLOPE_Y = 0.05
+
+/**
+ * @param {number} x position along the mesh's x
+ * @param {number} y position along the mesh's y
+ * @returns the height of the tilted plane
+ */
+const plane = (x, y) => SLOPE_X * x + SLOPE_Y * y
+
+/**
+ * @returns {object} the parts of a RippleSimulation the queries use over a solver holding the tilted plane,
+ * with the readbacks asked for in reads
+ */
+const createSimulation = () => {
+    const solver = new CpuRippleSolver({
+        fboWidth: CELLS,
+        fboHeight: CELLS,
+        geomWidth: SIZE,
+        geomHeight: SIZE,
+        fillTexture: ({ image: { data } }) => {
+            for (let n = 0; n < CELLS * CELLS; n++) {
+                const x = ((n % CELLS + 0.5) / CELLS - 0.5) * SIZE
+                const y = ((Math.floor(n / CELLS) + 0.5) / CELLS - 0.5) * SIZE
+                data[n * 4] = plane(x, y)
+                data[n * 4 + 1] = plane(x, y)
+            }
+        },
+    })
+    const simulation = {
+        fboWidth: CELLS,
+        fboHeight: CELLS,
+        geomWidth: SIZE,
+        geomHeight: SIZE,
+        reads: [],
+        sampleSurfaceAsync: (points) => Promise.resolve(solver.sampleSurface(points)),
+        readHeightsAsync: (i, j, width, height) => {
+            simulation.reads.push([i, j, width, height])
+            const heights = new Float32Array(width * height)
+            for (let n = 0; n < heights.length; n++) {
+                heights[n] = solver.getHeightData()[solver.index(i + n % width, j + Math.floor(n / width))]
+            }
+            return Promise.resolve(heights)
+        },
+    }
+    return simulation
+}
+
+/**
+ * @returns {THREE.Object3D} a water mesh lying flat like the ones of the demos and moved to (10, 2, -5),
+ * the mesh's (x, y, z) being the world's (x, -z, y) around it
+ */
+const createWaterMesh = () => {
+    const waterMesh = new THREE.Object3D()
+    waterMesh.rotation.x = -Math.PI / 2
+    waterMesh.position.set(10, 2, -5)
+    return waterMesh
+}
+
+const assertClose = (actual, expected, message) => {
+    assert.ok(Math.abs(actual - expected) < 1e-5, `${message}: ${actual} != ${expected}`)
+}
+
+/**
+ * @param {ArrayLike<number>} actual xyz of the vector
+ * @param {THREE.Vector3} expected the expected vector
+ * @param {string} message what the vector is
+ */
+const assertVector = (actual, expected, message) => {
+    ["x", "y", "z"].forEach((axis, c) => assertClose(actual[c], expected[axis], `${message}, ${axis}`))
+}
+
+// the normal of the plane in the world, leaning downhill: towards -x and, the mesh's +y being the world's -z, towards +z
+const NORMAL = new THREE.Vector3(-SLOPE_X, 1, SLOPE_Y).normalize()
+
+test("world positions map onto the mesh, the y of the simulation going the opposite way of the mesh's", () => {
+    const query = new SurfaceQuery(createSimulation(), createWaterMesh())
+    const point = query.toSimulation(new THREE.Vector3(13, 7, -9))
+    assertClose(point.x, 3, "x")
+    // 4 units along the mesh's y, -4 for RippleSimulation.disturb
+    assertClose(point.y, -4, "y")
+    // the height above the water doesn't matter
+    const below = query.toSimulation(new THREE.Vector3(13, -20, -9))
+    assertClose(below.x, 3, "x below the water")
+    assertClose(below.y, -4, "y below the water")
+})
+
+test("a point query gives the surface straight above or below the point and its normal, in world units", async () => {
+    const query = new SurfaceQuery(createSimulation(), createWaterMesh())
+    const samples = await query.queryPoints([new THREE.Vector3(13, 7, -9), new THREE.Vector3(2.5, -3, 1)])
+    assert.equal(samples.length, 2)
+
+    assertVector(samples[0].position.toArray(), new THREE.Vector3(13, 2 + plane(3, 4), -9), "first position")
+    assertVector(samples[1].position.toArray(), new THREE.Vector3(2.5, 2 + plane(-7.5, -6), 1), "second position")
+    samples.forEach(({ normal }, i) => assertVector(normal.toArray(), NORMAL, `normal ${i}`))
+})
+
+test("a swell adds to the ripples with the same signs", async () => {
+    // the same plane as the ripples, given in the coordinates of RippleSimulation.disturb, over flat ripples
+    const swell = { sample: () => ({ height: 0.5, slopeX: SLOPE_X, slopeY: -SLOPE_Y }) }
+    const simulation = createSimulation()
+    simulation.sampleSurfaceAsync = (points) => Promise.resolve(points.map(() => ({ height: 0, slopeX: 0, slopeY: 0 })))
+    simulation.readHeightsAsync = (i, j, width, height) => Promise.resolve(new Float32Array(width * height))
+    const query = new SurfaceQuery(simulation, createWaterMesh(), swell)
+
+    const [sample] = await query.queryPoints([new THREE.Vector3(13, 7, -9)])
+    assertClose(sample.position.y, 2.5, "height")
+    assertVector(sample.normal.toArray(), NORMAL, "normal")
+
+    const region = await query.queryRegion(new THREE.Vector3(1, 0, 2), new THREE.Vector3(7, 0, -6))
+    for (let n = 0; n < region.width * region.height; n++) {
+        assertClose(region.positions[n * 3 + 1], 2.5, `height of cell ${n}`)
+        assertVector(region.normals.subarray(n * 3, n * 3 + 3), NORMAL, `normal of cell ${n}`)
+    }
+})
+
+test("a region query gives every cell of the rectangle, reading a one cell border around it for the normals", async () => {
+    const simulation = createSimulation()
+    const query = new SurfaceQuery(simulation, createWaterMesh())
+    // the mesh's (-9, -7) to (-3, 1), i.e. the cells (3, 4) to (6, 8), corners in any order
+    const region = await query.queryRegion(new THREE.Vector3(1, 0, 2), new THREE.Vector3(7, 0, -6))
+    assert.deepEqual(simulation.reads, [[2, 3, 6, 7]])
+    assert.equal(region.width, 4)
+    assert.equal(region.height, 5)
+
+    for (let j = 0; j < region.height; j++) {
+        for (let i = 0; i < region.width; i++) {
+            const n = (j * region.width + i) * 3
+            // cell center on the mesh
+            const x = (3 + i + 0.5) * 2 - SIZE / 2
+            const y = (4 + j + 0.5) * 2 - SIZE / 2
+            assertVector(region.positions.subarray(n, n + 3), new THREE.Vector3(10 + x, 2 + plane(x, y), -5 - y), `position of cell (${i}, ${j})`)
+            assertVector(region.normals.subarray(n, n + 3), NORMAL, `normal of cell (${i}, ${j})`)
+        }
+    }
+
+    const swapped = await query.queryRegion(new THREE.Vector3(7, 0, 2), new THREE.Vector3(1, 0, -6))
+    assert.deepEqual(swapped, region)
+})
+
+test("a region query is clamped to the grid and gives null when it misses the water", async () => {
+    const simulation = createSimulation()
+    const query = new SurfaceQuery(simulation, createWaterMesh())
+
+    // past the -x and +y edges of the mesh, i.e. the world's -x and -z
+    const region = await query.queryRegion(new THREE.Vector3(-20, 0, -40), new THREE.Vector3(1, 0, -12))
+    // the cells (0, 11) to (3, 15), the border only read where the grid has cells
+    assert.deepEqual(simulation.reads, [[0, 10, 5, 6]])
+    assert.equal(region.width, 4)
+    assert.equal(region.height, 5)
+    const corner = ((region.height - 1) * region.width) * 3
+    assertVector(region.positions.subarray(corner, corner + 3), new THREE.Vector3(10 - 15, 2 + plane(-15, 15), -5 - 15), "position of the corner cell")
+    // past the edges the heights are held, so the slopes across them are halved
+    const edgeNormal = new THREE.Vector3(-SLOPE_X / 2, 1, SLOPE_Y / 2).normalize()
+    assertVector(region.normals.subarray(corner, corner + 3), edgeNormal, "normal of the corner cell")
+
+    // entirely off the water, nothing is read
+    simulation.reads.length = 0
+    assert.equal(await query.queryRegion(new THREE.Vector3(40, 0, 0), new THREE.Vector3(60, 0, 10)), null)
+    assert.equal(await query.queryRegion(new THREE.Vector3(0, 0, 20), new THREE.Vector3(20, 0, 30)), null)
+    assert.deepEqual(simulation.reads, [])
+})
+
+test("a failed readback gives null", async () => {
+    const simulation = createSimulation()
+    simulation.sampleSurfaceAsync = () => Promise.resolve(null)
+    simulation.readHeightsAsync = () => Promise.resolve(null)
+    const query = new SurfaceQuery(simulation, createWaterMesh())
+    assert.equal(await query.queryPoints([new THREE.Vector3(13, 7, -9)]), null)
+    assert.equal(await query.queryRegion(new THREE.Vector3(1, 0, 2), new THREE.Vector3(7, 0, -6)), null)
+})